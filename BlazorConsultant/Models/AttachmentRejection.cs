@@ -0,0 +1,56 @@
+namespace BlazorConsultant.Models;
+
+/// <summary>
+/// A file that was not attached, with the structured error code from file-utils.js
+/// (FILE_ERROR_CODES) or one of the codes raised on the .NET side.
+/// </summary>
+public class AttachmentRejection
+{
+    public const string TooLarge = "FILE_TOO_LARGE";
+    public const string Empty = "FILE_EMPTY";
+    public const string Blocked = "TYPE_BLOCKED";
+    public const string NotAllowed = "TYPE_NOT_ALLOWED";
+    public const string Mismatch = "TYPE_MISMATCH";
+    public const string Cancelled = "READ_CANCELLED";
+    public const string TooManyFiles = "TOO_MANY_FILES";
+    public const string ReadFailed = "READ_FAILED";
+
+    public string Code { get; set; } = ReadFailed;
+
+    /// <summary>
+    /// Message without the "[CODE] " prefix file-utils.js adds for interop
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Build from a code and message reported by file-utils.js.
+    /// </summary>
+    public static AttachmentRejection From(string? code, string? message)
+    {
+        var text = message ?? string.Empty;
+        var prefix = $"[{code}] ";
+        if (!string.IsNullOrEmpty(code) && text.StartsWith(prefix, StringComparison.Ordinal))
+            text = text[prefix.Length..];
+
+        return new AttachmentRejection
+        {
+            Code = string.IsNullOrEmpty(code) ? ReadFailed : code,
+            Message = text
+        };
+    }
+
+    /// <summary>
+    /// Short headline for the code.
+    /// </summary>
+    public string Title => Code switch
+    {
+        TooLarge => "Too large",
+        Empty => "Empty file",
+        Blocked => "Blocked file type",
+        NotAllowed => "Unsupported file type",
+        Mismatch => "File type doesn't match its name",
+        Cancelled => "Cancelled",
+        TooManyFiles => "Too many files",
+        _ => "Couldn't read file"
+    };
+}
@@ -32,6 +32,21 @@ public class FileAttachment
     [JsonPropertyName("file_size")]
     public int FileSize { get; set; }
 
+    /// <summary>
+    /// File size in bytes before client-side image processing.
+    /// Null for attachments that did not go through the image pipeline.
+    /// Display only - not part of the backend model, so never uploaded.
+    /// </summary>
+    [JsonIgnore]
+    public int? OriginalFileSize { get; set; }
+
+    /// <summary>
+    /// Thumbnail, page/line count and snippet built in the browser.
+    /// Display only - not part of the backend model, so never uploaded.
+    /// </summary>
+    [JsonIgnore]
+    public FilePreview? Preview { get; set; }
+
     /// <summary>
     /// Get formatted file size (e.g., "2.5 MB", "150 KB").
     /// </summary>
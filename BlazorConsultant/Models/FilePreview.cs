@@ -0,0 +1,60 @@
+using System.Text.Json.Serialization;
+
+namespace BlazorConsultant.Models;
+
+/// <summary>
+/// Browser-side preview of an attachment (createFilePreview in wwwroot/js/file-utils.js).
+/// Display only - never sent to the backend.
+/// </summary>
+public class FilePreview
+{
+    public const string KindImage = "image";
+    public const string KindPdf = "pdf";
+    public const string KindText = "text";
+
+    /// <summary>
+    /// Key for the full-size source kept in the browser (getFilePreviewSource / releaseFilePreview).
+    /// </summary>
+    [JsonPropertyName("preview_id")]
+    public string PreviewId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// image, pdf or text
+    /// </summary>
+    [JsonPropertyName("kind")]
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// blob: object URL of a small JPEG - images and the first page of PDFs.
+    /// </summary>
+    [JsonPropertyName("thumbnail")]
+    public string? Thumbnail { get; set; }
+
+    /// <summary>
+    /// Full image size in pixels.
+    /// </summary>
+    [JsonPropertyName("width")]
+    public int? Width { get; set; }
+
+    [JsonPropertyName("height")]
+    public int? Height { get; set; }
+
+    [JsonPropertyName("page_count")]
+    public int? PageCount { get; set; }
+
+    [JsonPropertyName("line_count")]
+    public int? LineCount { get; set; }
+
+    /// <summary>
+    /// First few lines of a TXT/CSV file.
+    /// </summary>
+    [JsonPropertyName("snippet")]
+    public string? Snippet { get; set; }
+
+    public bool HasThumbnail => !string.IsNullOrEmpty(Thumbnail);
+
+    /// <summary>
+    /// Whether there is anything to show in the lightbox.
+    /// </summary>
+    public bool CanEnlarge => HasThumbnail || (Kind == KindText && !string.IsNullOrEmpty(Snippet));
+}
@@ -0,0 +1,37 @@
+namespace BlazorConsultant.Models;
+
+/// <summary>
+/// Progress of a browser-side file read (dispatchFileReadProgress in wwwroot/js/file-utils.js),
+/// delivered to components subscribed with subscribeFileReadProgress.
+/// </summary>
+public class FileReadProgress
+{
+    /// <summary>
+    /// Id passed to readFilesAsStreams; also used to cancel the read (cancelFileRead)
+    /// </summary>
+    public string ReadId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// File currently being read
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Zero-based position of the file in the read
+    /// </summary>
+    public int FileIndex { get; set; }
+
+    public int FileCount { get; set; }
+
+    /// <summary>
+    /// Bytes read across all files in the read
+    /// </summary>
+    public long OverallLoaded { get; set; }
+
+    public long OverallTotal { get; set; }
+
+    /// <summary>
+    /// Overall progress, 0-100
+    /// </summary>
+    public int Percent { get; set; }
+}
@@ -0,0 +1,22 @@
+using System.Text.Json.Serialization;
+
+namespace BlazorConsultant.Models;
+
+/// <summary>
+/// Files read from an attachment picker by readFilesAsStreams (wwwroot/js/file-utils.js).
+/// Each file is checked on its own, so one rejected file does not block the rest.
+/// </summary>
+public class FileReadResult
+{
+    /// <summary>
+    /// Files that passed the upload policy; their data still has to be streamed in (ReadAsync)
+    /// </summary>
+    [JsonPropertyName("files")]
+    public List<StreamedAttachment> Files { get; set; } = new();
+
+    /// <summary>
+    /// Files that were not read, with their FILE_ERROR_CODES code. Messages keep the "[CODE] " prefix.
+    /// </summary>
+    [JsonPropertyName("rejected")]
+    public List<AttachmentRejection> Rejected { get; set; } = new();
+}
@@ -54,4 +54,10 @@ public class AgentStepResponse
 
     [JsonPropertyName("data")]
     public Dictionary<string, object>? Data { get; set; }
+
+    /// <summary>
+    /// When this step was read from the stream (UTC) - drives the agent timeline
+    /// </summary>
+    [JsonIgnore]
+    public DateTime ReceivedAt { get; set; } = DateTime.UtcNow;
 }
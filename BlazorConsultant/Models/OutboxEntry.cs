@@ -0,0 +1,33 @@
+namespace BlazorConsultant.Models;
+
+/// <summary>
+/// A chat message queued in the browser's offline outbox (chat-outbox.js),
+/// handed over for replay. Attachment data is streamed (StreamedAttachment).
+/// </summary>
+public class OutboxEntry
+{
+    /// <summary>
+    /// IndexedDB key (increases in queue order)
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// SessionService.SessionId of the consultation the message was written in
+    /// </summary>
+    public string? SessionId { get; set; }
+
+    /// <summary>
+    /// Message text as typed, without profile context
+    /// </summary>
+    public string Text { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Attachments captured with the message
+    /// </summary>
+    public List<StreamedAttachment> Attachments { get; set; } = new();
+
+    /// <summary>
+    /// When the message was queued (browser clock)
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+}
@@ -0,0 +1,25 @@
+namespace BlazorConsultant.Models;
+
+/// <summary>
+/// Result of pwaInstall.showPrompt (wwwroot/js/pwa-install.js).
+/// </summary>
+public class PwaInstallResult
+{
+    public const string OutcomeAccepted = "accepted";
+    public const string OutcomeDismissed = "dismissed";
+    public const string OutcomeInstructionsShown = "instructions_shown";
+
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// True only when the native prompt was accepted
+    /// </summary>
+    public bool Installed { get; set; }
+
+    /// <summary>
+    /// accepted, dismissed, instructions_shown (manual install sheet), unavailable or error
+    /// </summary>
+    public string Outcome { get; set; } = string.Empty;
+
+    public string? Error { get; set; }
+}
@@ -0,0 +1,89 @@
+using System.Text;
+using System.Text.Json.Serialization;
+using Microsoft.JSInterop;
+
+namespace BlazorConsultant.Models;
+
+/// <summary>
+/// An attachment handed over from the browser (toDotNetAttachment in wwwroot/js/file-utils.js).
+/// The base64 payload arrives as a JS stream, sent in chunks, so a 10MB file does not have to
+/// fit in a single SignalR message and the hub keeps its default message size limit.
+/// </summary>
+public class StreamedAttachment : IAsyncDisposable
+{
+    [JsonPropertyName("filename")]
+    public string FileName { get; set; } = string.Empty;
+
+    [JsonPropertyName("mime_type")]
+    public string MimeType { get; set; } = string.Empty;
+
+    [JsonPropertyName("file_size")]
+    public int FileSize { get; set; }
+
+    [JsonPropertyName("original_file_size")]
+    public int? OriginalFileSize { get; set; }
+
+    /// <summary>
+    /// Base64 text of the file. Null in metadata-only payloads.
+    /// </summary>
+    [JsonPropertyName("base64_stream")]
+    public IJSStreamReference? Base64Stream { get; set; }
+
+    [JsonPropertyName("preview")]
+    public FilePreview? Preview { get; set; }
+
+    /// <summary>
+    /// Receive the base64 payload and release the browser-side stream.
+    /// </summary>
+    /// <param name="maxFileSizeMB">Upload limit; larger payloads are refused before they are read</param>
+    /// <param name="cancellationToken">Cancels the transfer</param>
+    public async Task<FileAttachment> ReadAsync(int maxFileSizeMB, CancellationToken cancellationToken = default)
+    {
+        if (Base64Stream == null)
+            throw new InvalidOperationException($"No file data was sent for {FileName}");
+
+        // Base64 encodes every 3 bytes as 4 characters
+        var maxBase64Length = (maxFileSizeMB * 1024L * 1024L + 2) / 3 * 4;
+
+        try
+        {
+            await using var stream = await Base64Stream.OpenReadStreamAsync(maxBase64Length, cancellationToken);
+            using var reader = new StreamReader(stream, Encoding.ASCII);
+
+            return new FileAttachment
+            {
+                FileName = FileName,
+                Base64Data = await reader.ReadToEndAsync(cancellationToken),
+                MimeType = MimeType,
+                FileSize = FileSize,
+                OriginalFileSize = OriginalFileSize,
+                Preview = Preview
+            };
+        }
+        finally
+        {
+            await DisposeAsync();
+        }
+    }
+
+    /// <summary>
+    /// Release the browser-side stream without reading it.
+    /// </summary>
+    public async ValueTask DisposeAsync()
+    {
+        if (Base64Stream == null)
+            return;
+
+        var streamReference = Base64Stream;
+        Base64Stream = null;
+
+        try
+        {
+            await streamReference.DisposeAsync();
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit gone - the browser dropped the stream with the page
+        }
+    }
+}
@@ -0,0 +1,27 @@
+namespace BlazorConsultant.Models;
+
+/// <summary>
+/// Messages shared between open tabs/windows through tab-sync.js.
+/// </summary>
+public enum TabSyncEvent
+{
+    /// <summary>
+    /// Theme preference or brand palette changed (applied by tab-sync.js itself)
+    /// </summary>
+    Theme,
+
+    /// <summary>
+    /// The PWA install banner was dismissed
+    /// </summary>
+    InstallBannerDismissed,
+
+    /// <summary>
+    /// The user signed out (other windows return to the start page)
+    /// </summary>
+    SignOut,
+
+    /// <summary>
+    /// The consultation was reset
+    /// </summary>
+    SessionReset
+}
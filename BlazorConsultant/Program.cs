@@ -59,6 +59,7 @@ builder.Services.AddScoped<IInstructionService, InstructionService>();
 builder.Services.AddScoped<IChatStateService, ChatStateService>();
 builder.Services.AddScoped<IMultiAgentService, MultiAgentService>();
 builder.Services.AddScoped<IVectorStoreService, VectorStoreService>();
+builder.Services.AddScoped<ITabSyncService, TabSyncService>();
 // SseStreamManager removed - now using client-side StreamSimulator for fake streaming
 
 // ============================================================================
@@ -91,6 +92,12 @@ using (var scope = app.Services.CreateScope())
 // Use forwarded headers FIRST (required for fly.io proxy)
 app.UseForwardedHeaders();
 
+// Telemetry may post to another origin (see telemetry.js) - allow it in connect-src
+var telemetryConnectSrc = Uri.TryCreate(app.Configuration["Telemetry:Endpoint"], UriKind.Absolute, out var telemetryUri)
+    && (telemetryUri.Scheme == Uri.UriSchemeHttps || telemetryUri.Scheme == Uri.UriSchemeHttp)
+    ? " " + telemetryUri.GetLeftPart(UriPartial.Authority)
+    : string.Empty;
+
 // Security headers middleware
 app.Use(async (context, next) =>
 {
@@ -112,9 +119,12 @@ app.Use(async (context, next) =>
         "default-src 'self'; " +
         "script-src 'self' 'unsafe-inline' 'unsafe-eval'; " +
         "style-src 'self' 'unsafe-inline'; " +
-        "img-src 'self' data:; " +
+        // Attachment thumbnails and the lightbox (lightbox.js) use blob: object URLs
+        "img-src 'self' data: blob:; " +
         "font-src 'self' data:; " +
-        "connect-src 'self' ws: wss:; " +
+        "connect-src 'self' ws: wss:" + telemetryConnectSrc + "; " +
+        // theme.js swaps in a blob: copy of manifest.json carrying brand palette colours
+        "manifest-src 'self' blob:; " +
         "frame-ancestors 'self'");
 
     // Cross-Origin isolation for better security
@@ -131,9 +141,14 @@ if (!app.Environment.IsDevelopment())
     // Don't use HTTPS redirection - fly.io handles this
 }
 
+// pdf.js (wwwroot/lib/pdfjs) ships as ES modules; browsers refuse to import them without a JavaScript MIME type
+var staticContentTypes = new FileExtensionContentTypeProvider();
+staticContentTypes.Mappings[".mjs"] = "text/javascript";
+
 // Static files with cache headers
 app.UseStaticFiles(new StaticFileOptions
 {
+    ContentTypeProvider = staticContentTypes,
     OnPrepareResponse = ctx =>
     {
         // Cache assets with version query string for 1 year
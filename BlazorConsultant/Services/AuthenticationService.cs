@@ -5,6 +5,7 @@ using Microsoft.AspNetCore.Authentication;
 using Microsoft.AspNetCore.Authentication.Cookies;
 using Microsoft.AspNetCore.Components.Authorization;
 using Microsoft.AspNetCore.Http;
+using BlazorConsultant.Models;
 
 namespace BlazorConsultant.Services;
 
@@ -12,6 +13,7 @@ public class PasswordAuthService : IPasswordAuthService
 {
     private readonly IHttpContextAccessor _httpContextAccessor;
     private readonly AuthenticationStateProvider _authenticationStateProvider;
+    private readonly ITabSyncService _tabSync;
 
     // Securely hashed password for "Pieterwielietjie"
     // This is SHA256 hash of the password
@@ -19,10 +21,12 @@ public class PasswordAuthService : IPasswordAuthService
 
     public PasswordAuthService(
         IHttpContextAccessor httpContextAccessor,
-        AuthenticationStateProvider authenticationStateProvider)
+        AuthenticationStateProvider authenticationStateProvider,
+        ITabSyncService tabSync)
     {
         _httpContextAccessor = httpContextAccessor;
         _authenticationStateProvider = authenticationStateProvider;
+        _tabSync = tabSync;
     }
 
     public Task<bool> ValidatePasswordAsync(string password)
@@ -68,6 +72,10 @@ public class PasswordAuthService : IPasswordAuthService
 
     public async Task LogoutAsync()
     {
+        // Other open tabs and PWA windows return to the start page (tab-sync.js).
+        // Published first: inside a circuit there is no HttpContext to sign out of.
+        await _tabSync.PublishAsync(TabSyncEvent.SignOut);
+
         var httpContext = _httpContextAccessor.HttpContext;
         if (httpContext == null)
             return;
@@ -151,7 +151,7 @@ public class ChatService : IChatService
         return ex is IOException;
     }
 
-    public async Task<SessionStats> GetSessionStatsAsync(CancellationToken cancellationToken = default)
+    public async Task<SessionStats?> GetSessionStatsAsync(CancellationToken cancellationToken = default)
     {
         var client = _httpClientFactory.CreateClient("PythonAPI");
 
@@ -174,12 +174,12 @@ public class ChatService : IChatService
         {
             // Timeout occurred
             _logger.LogWarning("Session stats request timed out for session {SessionId}", _sessionService.SessionId);
-            return new SessionStats { SessionId = _sessionService.SessionId };
+            return null;
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Failed to fetch session stats for session {SessionId}", _sessionService.SessionId);
-            return new SessionStats { SessionId = _sessionService.SessionId };
+            return null;
         }
     }
 
@@ -33,16 +33,17 @@ public class ChatStateService : IChatStateService
 
     public event EventHandler? OnStateChanged;
 
-    public async Task SendMessageAsync(
+    public async Task<bool> SendMessageAsync(
         string message,
         List<FileAttachment>? attachments = null,
         string? customInstructions = null,
         string? reasoningEffort = null,
         string? verbosity = null,
+        bool removeOnFailure = false,
         CancellationToken cancellationToken = default)
     {
         if (string.IsNullOrWhiteSpace(message) || _isLoading)
-            return;
+            return false;
 
         // Add user message immediately
         var userMessage = new ChatMessage
@@ -57,6 +58,7 @@ public class ChatStateService : IChatStateService
         _isLoading = true;
         NotifyStateChanged();
 
+        var sent = false;
         try
         {
             _logger.LogInformation("Sending chat message with {AttachmentCount} attachments", attachments?.Count ?? 0);
@@ -91,6 +93,7 @@ public class ChatStateService : IChatStateService
 
             // Increment message counter
             _sessionService.IncrementMessageCount();
+            sent = true;
         }
         catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
         {
@@ -101,31 +104,42 @@ public class ChatStateService : IChatStateService
         {
             _logger.LogWarning(ex, "Chat message timed out");
 
-            var errorMessage = new ChatMessage
+            if (!removeOnFailure)
             {
-                Role = "assistant",
-                Content = $"⚠️ Request timed out. The server is taking too long to respond. Please try again.",
-                Timestamp = DateTime.Now
-            };
-            _messages.Add(errorMessage);
+                var errorMessage = new ChatMessage
+                {
+                    Role = "assistant",
+                    Content = $"⚠️ Request timed out. The server is taking too long to respond. Please try again.",
+                    Timestamp = DateTime.Now
+                };
+                _messages.Add(errorMessage);
+            }
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Chat request failed: {Message}", ex.Message);
 
-            var errorMessage = new ChatMessage
+            if (!removeOnFailure)
             {
-                Role = "assistant",
-                Content = $"⚠️ Sorry, we're having trouble connecting. Please try again.",
-                Timestamp = DateTime.Now
-            };
-            _messages.Add(errorMessage);
+                var errorMessage = new ChatMessage
+                {
+                    Role = "assistant",
+                    Content = $"⚠️ Sorry, we're having trouble connecting. Please try again.",
+                    Timestamp = DateTime.Now
+                };
+                _messages.Add(errorMessage);
+            }
         }
         finally
         {
+            if (!sent && removeOnFailure)
+                _messages.Remove(userMessage);
+
             _isLoading = false;
             NotifyStateChanged();
         }
+
+        return sent;
     }
 
     public void Clear()
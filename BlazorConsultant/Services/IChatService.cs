@@ -34,8 +34,8 @@ public interface IChatService
     /// Get session statistics from Python API.
     /// </summary>
     /// <param name="cancellationToken">Cancellation token</param>
-    /// <returns>Session statistics including tokens and cost</returns>
-    Task<SessionStats> GetSessionStatsAsync(CancellationToken cancellationToken = default);
+    /// <returns>Session statistics including tokens and cost, or null if the backend call failed or timed out</returns>
+    Task<SessionStats?> GetSessionStatsAsync(CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Reset session conversation state.
@@ -33,13 +33,17 @@ public interface IChatStateService : IAsyncDisposable
     /// <param name="customInstructions">Custom system instructions to use</param>
     /// <param name="reasoningEffort">GPT-5 reasoning effort (minimal/low/medium/high)</param>
     /// <param name="verbosity">GPT-5 response verbosity (low/medium/high)</param>
+    /// <param name="removeOnFailure">On failure, take the user message back out instead of adding an
+    /// error reply - for messages that stay queued and are sent again later (offline outbox)</param>
     /// <param name="cancellationToken">Cancellation token</param>
-    Task SendMessageAsync(
+    /// <returns>True when the response was received</returns>
+    Task<bool> SendMessageAsync(
         string message,
         List<FileAttachment>? attachments = null,
         string? customInstructions = null,
         string? reasoningEffort = null,
         string? verbosity = null,
+        bool removeOnFailure = false,
         CancellationToken cancellationToken = default);
 
     /// <summary>
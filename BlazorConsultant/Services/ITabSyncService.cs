@@ -0,0 +1,32 @@
+using System.Text.Json;
+using BlazorConsultant.Models;
+
+namespace BlazorConsultant.Services;
+
+/// <summary>
+/// Typed wrapper around the cross-tab message bus (tab-sync.js).
+/// Scoped per SignalR connection. Call from OnAfterRenderAsync or later -
+/// JS interop is not available while prerendering.
+/// </summary>
+public interface ITabSyncService : IAsyncDisposable
+{
+    /// <summary>
+    /// Send an event to every other open tab/window.
+    /// </summary>
+    /// <param name="syncEvent">Event type</param>
+    /// <param name="payload">Optional JSON-serializable payload</param>
+    Task PublishAsync(TabSyncEvent syncEvent, object? payload = null);
+
+    /// <summary>
+    /// Handle an event sent by another tab. Handlers run outside the renderer's
+    /// sync context - components should use InvokeAsync before touching state.
+    /// </summary>
+    /// <returns>Dispose to unsubscribe</returns>
+    Task<IDisposable> SubscribeAsync(TabSyncEvent syncEvent, Func<JsonElement?, Task> handler);
+
+    /// <summary>
+    /// Handle an event with its payload deserialized to <typeparamref name="T"/>.
+    /// </summary>
+    /// <returns>Dispose to unsubscribe</returns>
+    Task<IDisposable> SubscribeAsync<T>(TabSyncEvent syncEvent, Func<T?, Task> handler);
+}
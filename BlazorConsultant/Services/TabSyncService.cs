@@ -0,0 +1,178 @@
+using System.Text.Json;
+using BlazorConsultant.Models;
+using Microsoft.JSInterop;
+
+namespace BlazorConsultant.Services;
+
+/// <summary>
+/// Cross-tab message bus implementation.
+/// Connects one .NET reference to tab-sync.js on first subscription and
+/// dispatches incoming messages to the handlers registered for their type.
+/// </summary>
+public class TabSyncService : ITabSyncService
+{
+    private static readonly Dictionary<TabSyncEvent, string> WireNames = new()
+    {
+        [TabSyncEvent.Theme] = "theme",
+        [TabSyncEvent.InstallBannerDismissed] = "install-banner-dismissed",
+        [TabSyncEvent.SignOut] = "sign-out",
+        [TabSyncEvent.SessionReset] = "session-reset"
+    };
+
+    private static readonly JsonSerializerOptions PayloadOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly IJSRuntime _js;
+    private readonly ILogger<TabSyncService> _logger;
+    private readonly List<Subscription> _subscriptions = new();
+    private readonly SemaphoreSlim _connectLock = new(1, 1);
+    private DotNetObjectReference<TabSyncService>? _dotNetRef;
+    private int? _listenerId;
+    private bool _disposed;
+
+    public TabSyncService(IJSRuntime js, ILogger<TabSyncService> logger)
+    {
+        _js = js;
+        _logger = logger;
+    }
+
+    public async Task PublishAsync(TabSyncEvent syncEvent, object? payload = null)
+    {
+        if (_disposed)
+            return;
+
+        try
+        {
+            await _js.InvokeVoidAsync("tbSync.publish", WireNames[syncEvent], payload);
+        }
+        catch (JSDisconnectedException)
+        {
+            // Circuit gone - nothing to publish to
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to publish {Event} to other tabs", syncEvent);
+        }
+    }
+
+    public async Task<IDisposable> SubscribeAsync(TabSyncEvent syncEvent, Func<JsonElement?, Task> handler)
+    {
+        var subscription = new Subscription(this, WireNames[syncEvent], handler);
+        lock (_subscriptions)
+        {
+            _subscriptions.Add(subscription);
+        }
+
+        await EnsureConnectedAsync();
+        return subscription;
+    }
+
+    public Task<IDisposable> SubscribeAsync<T>(TabSyncEvent syncEvent, Func<T?, Task> handler)
+    {
+        return SubscribeAsync(syncEvent, payload =>
+        {
+            var value = payload is { ValueKind: not JsonValueKind.Null and not JsonValueKind.Undefined }
+                ? payload.Value.Deserialize<T>(PayloadOptions)
+                : default;
+            return handler(value);
+        });
+    }
+
+    /// <summary>
+    /// Called by tab-sync.js for every message from another tab.
+    /// </summary>
+    [JSInvokable]
+    public async Task OnTabSyncMessage(string type, JsonElement? payload)
+    {
+        List<Subscription> matching;
+        lock (_subscriptions)
+        {
+            matching = _subscriptions.Where(s => s.Type == type).ToList();
+        }
+
+        foreach (var subscription in matching)
+        {
+            try
+            {
+                await subscription.Handler(payload);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Tab sync handler for {Type} failed", type);
+            }
+        }
+    }
+
+    private async Task EnsureConnectedAsync()
+    {
+        if (_listenerId.HasValue || _disposed)
+            return;
+
+        await _connectLock.WaitAsync();
+        try
+        {
+            if (_listenerId.HasValue)
+                return;
+
+            _dotNetRef ??= DotNetObjectReference.Create(this);
+            _listenerId = await _js.InvokeAsync<int>("tbSync.connect", _dotNetRef, nameof(OnTabSyncMessage));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to connect to cross-tab sync");
+        }
+        finally
+        {
+            _connectLock.Release();
+        }
+    }
+
+    private void Remove(Subscription subscription)
+    {
+        lock (_subscriptions)
+        {
+            _subscriptions.Remove(subscription);
+        }
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        _disposed = true;
+
+        if (_listenerId.HasValue)
+        {
+            try
+            {
+                await _js.InvokeVoidAsync("tbSync.disconnect", _listenerId.Value);
+            }
+            catch (Exception ex) when (ex is JSDisconnectedException or TaskCanceledException)
+            {
+                // Circuit already gone
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Failed to disconnect from cross-tab sync");
+            }
+        }
+
+        _dotNetRef?.Dispose();
+        _connectLock.Dispose();
+    }
+
+    private sealed class Subscription : IDisposable
+    {
+        private readonly TabSyncService _owner;
+
+        public Subscription(TabSyncService owner, string type, Func<JsonElement?, Task> handler)
+        {
+            _owner = owner;
+            Type = type;
+            Handler = handler;
+        }
+
+        public string Type { get; }
+
+        public Func<JsonElement?, Task> Handler { get; }
+
+        public void Dispose() => _owner.Remove(this);
+    }
+}
@@ -0,0 +1,406 @@
+/**
+ * TailorBlend Agent Timeline
+ *
+ * Live swim-lane view of a multi-agent run (MultiAgentBlend page). Blazor
+ * renders an empty host and sends the streamed AgentStepResponse objects as
+ * they arrive; each agent gets a lane and each step a bar that lasts until
+ * that agent's next step (a "thinking" step stays open until it resolves).
+ *
+ * - Stretches where two or more agents work at once are shaded as parallel phases
+ * - Safety/guardrail agents and steps are highlighted; flagged steps get a warning
+ * - The slowest agent is labelled
+ * - Clicking a step shows its details (with the expandable `data` payload)
+ *   and scrolls to its full content in the step list (`#<stepIdPrefix><index>`)
+ *
+ * Step times are the server's receipt times, shifted onto the browser clock.
+ */
+
+(function () {
+    'use strict';
+
+    const TICK_MS = 500;
+    const HIGHLIGHT_MS = 1600;
+    const SAFETY_PATTERN = /safety|guardrail|contraindicat|interaction|compliance|moderation/i;
+    const FLAG_PATTERN = /warning|flag|contraindicat|interaction|violation|risk|blocked/i;
+    const FLAGGED_STEP_TYPES = ['error', 'warning', 'blocked', 'flagged'];
+
+    const timelines = new WeakMap();
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function formatDuration(ms) {
+        if (ms < 1000) return `${Math.max(0, Math.round(ms))}ms`;
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+        const minutes = Math.floor(ms / 60000);
+        return `${minutes}m ${Math.round((ms % 60000) / 1000)}s`;
+    }
+
+    // A value that says something was found (non-empty list/object, true, non-empty text)
+    function hasFinding(value) {
+        if (value === null || value === undefined || value === false) return false;
+        if (Array.isArray(value)) return value.length > 0;
+        if (typeof value === 'object') return Object.keys(value).length > 0;
+        if (typeof value === 'string') return value.trim() !== '' && !/^(none|no|false|0)$/i.test(value.trim());
+        return !!value;
+    }
+
+    function classify(step) {
+        const data = step.data || {};
+        const flaggedKeys = Object.keys(data).filter(key => FLAG_PATTERN.test(key) && hasFinding(data[key]));
+
+        const flagged = FLAGGED_STEP_TYPES.indexOf(String(step.stepType).toLowerCase()) !== -1 || flaggedKeys.length > 0;
+        const safety = flagged ||
+            SAFETY_PATTERN.test(step.agentName) ||
+            SAFETY_PATTERN.test(step.stepType) ||
+            Object.keys(data).some(key => SAFETY_PATTERN.test(key));
+
+        return { safety: safety, flagged: flagged, flaggedKeys: flaggedKeys };
+    }
+
+    // ============================================================================
+    // MODEL
+    // ============================================================================
+
+    /**
+     * Turn the step list into lanes of segments ({step, start, end, open}).
+     */
+    function buildLanes(state, now) {
+        const lanes = new Map();
+
+        state.steps.forEach(step => {
+            if (!lanes.has(step.agentName)) {
+                lanes.set(step.agentName, { name: step.agentName, segments: [], total: 0, safety: false, flagged: false });
+            }
+        });
+
+        lanes.forEach(lane => {
+            const steps = state.steps.filter(step => step.agentName === lane.name);
+            steps.forEach((step, i) => {
+                const next = steps[i + 1];
+                const open = !next && step.stepType === 'thinking';
+                const end = next ? next.time : open ? (state.completedAt || now) : step.time;
+
+                lane.segments.push({ step: step, start: step.time, end: end, open: open && !state.completedAt });
+                lane.total += end - step.time;
+                lane.safety = lane.safety || step.kind.safety;
+                lane.flagged = lane.flagged || step.kind.flagged;
+            });
+        });
+
+        return Array.from(lanes.values());
+    }
+
+    /**
+     * Intervals where two or more agents have a bar running at the same time.
+     */
+    function parallelPhases(lanes) {
+        const edges = [];
+        lanes.forEach(lane => lane.segments.forEach(segment => {
+            if (segment.end > segment.start) {
+                edges.push({ time: segment.start, delta: 1 });
+                edges.push({ time: segment.end, delta: -1 });
+            }
+        }));
+        edges.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+        const phases = [];
+        let active = 0;
+        let phaseStart = null;
+        edges.forEach(edge => {
+            active += edge.delta;
+            if (active >= 2 && phaseStart === null) {
+                phaseStart = edge.time;
+            } else if (active < 2 && phaseStart !== null) {
+                if (edge.time > phaseStart) phases.push({ start: phaseStart, end: edge.time });
+                phaseStart = null;
+            }
+        });
+        return phases;
+    }
+
+    // ============================================================================
+    // RENDERING
+    // ============================================================================
+
+    function render(state) {
+        state.frame = 0;
+        const now = Date.now();
+
+        if (!state.steps.length) {
+            state.lanesElement.innerHTML = `<p class="tb-agent-timeline__empty">${escapeHtml(state.options.emptyText)}</p>`;
+            state.summaryElement.textContent = '';
+            return;
+        }
+
+        const lanes = buildLanes(state, now);
+        const phases = parallelPhases(lanes);
+        const start = state.steps[0].time;
+        const end = Math.max(state.completedAt || now, state.steps[state.steps.length - 1].time, start + 1000);
+        const span = end - start;
+        const position = (time) => ((time - start) / span) * 100;
+
+        const slowest = lanes.length > 1
+            ? lanes.reduce((max, lane) => lane.total > max.total ? lane : max, lanes[0])
+            : null;
+
+        const phaseHtml = phases.map(phase => `
+            <div class="tb-agent-timeline__phase" style="left: ${position(phase.start)}%; width: ${position(phase.end) - position(phase.start)}%;"
+                 title="Parallel: ${formatDuration(phase.end - phase.start)}"></div>
+        `).join('');
+
+        state.lanesElement.innerHTML = `
+            <div class="tb-agent-timeline__phases" aria-hidden="true">${phaseHtml}</div>
+            ${lanes.map(lane => `
+                <div class="tb-agent-timeline__lane${lane.safety ? ' tb-agent-timeline__lane--safety' : ''}${lane.flagged ? ' tb-agent-timeline__lane--flagged' : ''}" role="listitem">
+                    <div class="tb-agent-timeline__label">
+                        <span class="tb-agent-timeline__name">
+                            ${lane.safety ? '<i class="fas fa-shield-halved" aria-hidden="true"></i>' : ''}
+                            ${escapeHtml(lane.name)}
+                        </span>
+                        <span class="tb-agent-timeline__total">
+                            ${formatDuration(lane.total)}
+                            ${lane === slowest ? '<span class="tb-agent-timeline__badge">Slowest</span>' : ''}
+                        </span>
+                    </div>
+                    <div class="tb-agent-timeline__track">
+                        ${lane.segments.map(segment => renderSegment(state, segment, position)).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        `;
+
+        const flaggedCount = state.steps.filter(step => step.kind.flagged).length;
+        state.summaryElement.innerHTML = `
+            <span>${lanes.length} agent${lanes.length === 1 ? '' : 's'}</span>
+            <span>${formatDuration(end - start)}${state.completedAt ? '' : ' so far'}</span>
+            ${phases.length ? `<span>${phases.length} parallel phase${phases.length === 1 ? '' : 's'}</span>` : ''}
+            ${flaggedCount ? `<span class="tb-agent-timeline__flag-count"><i class="fas fa-triangle-exclamation" aria-hidden="true"></i> ${flaggedCount} flagged</span>` : ''}
+        `;
+    }
+
+    function renderSegment(state, segment, position) {
+        const step = segment.step;
+        const left = position(segment.start);
+        const width = Math.max(position(segment.end) - left, 0);
+        const duration = segment.end - segment.start;
+        const classes = [
+            'tb-agent-timeline__step',
+            `tb-agent-timeline__step--${escapeHtml(String(step.stepType).toLowerCase())}`,
+            step.kind.safety ? 'tb-agent-timeline__step--safety' : '',
+            step.kind.flagged ? 'tb-agent-timeline__step--flagged' : '',
+            segment.open ? 'tb-agent-timeline__step--open' : '',
+            step.index === state.selected ? 'tb-agent-timeline__step--selected' : ''
+        ].filter(Boolean).join(' ');
+
+        const label = `${step.agentName} - ${step.stepType}${duration > 0 ? ', ' + formatDuration(duration) : ''}`;
+
+        return `
+            <button type="button" class="${classes}" data-step="${step.index}"
+                    style="left: ${left}%; width: ${width}%;"
+                    title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">
+                ${duration >= 1000 ? `<span>${formatDuration(duration)}</span>` : ''}
+            </button>
+        `;
+    }
+
+    function renderDetail(state) {
+        const step = state.steps.find(s => s.index === state.selected);
+        if (!step) {
+            state.detailElement.hidden = true;
+            return;
+        }
+
+        const hasData = step.data && Object.keys(step.data).length > 0;
+        state.detailElement.hidden = false;
+        state.detailElement.innerHTML = `
+            <div class="tb-agent-timeline__detail-head">
+                <strong>${escapeHtml(step.agentName)}</strong>
+                <span class="tb-agent-timeline__type">${escapeHtml(step.stepType)}</span>
+                ${step.kind.flagged ? '<span class="tb-agent-timeline__badge tb-agent-timeline__badge--flagged">Flagged</span>' : ''}
+            </div>
+            ${step.kind.flaggedKeys.length ? `<p class="tb-agent-timeline__flags">Flagged: ${step.kind.flaggedKeys.map(escapeHtml).join(', ')}</p>` : ''}
+            <p class="tb-agent-timeline__excerpt">${escapeHtml(step.content.length > 240 ? step.content.slice(0, 240) + '…' : step.content)}</p>
+            ${hasData ? `
+                <details class="tb-agent-timeline__data">
+                    <summary>Data payload (${Object.keys(step.data).length} field${Object.keys(step.data).length === 1 ? '' : 's'})</summary>
+                    <pre>${escapeHtml(JSON.stringify(step.data, null, 2))}</pre>
+                </details>
+            ` : ''}
+        `;
+    }
+
+    function schedule(state) {
+        if (!state.frame) {
+            state.frame = requestAnimationFrame(() => render(state));
+        }
+    }
+
+    /**
+     * Select a step, show its details and bring its full content into view.
+     */
+    function select(state, index) {
+        state.selected = index;
+        renderDetail(state);
+        schedule(state);
+
+        const target = document.getElementById(state.options.stepIdPrefix + index);
+        if (!target) return;
+
+        const behavior = window.tbMobile && window.tbMobile.getScrollBehavior ? window.tbMobile.getScrollBehavior() : 'smooth';
+        target.scrollIntoView({ behavior: behavior, block: 'center' });
+        target.classList.add('tb-agent-step--highlight');
+        setTimeout(() => target.classList.remove('tb-agent-step--highlight'), HIGHLIGHT_MS);
+    }
+
+    function startTicker(state) {
+        if (state.ticker) return;
+        // Open bars keep growing while agents work
+        state.ticker = setInterval(() => {
+            if (!state.element.isConnected) {
+                destroy(state.element);
+                return;
+            }
+            // Re-rendering under the pointer would swallow the click
+            if (!state.pointerDown) schedule(state);
+        }, TICK_MS);
+    }
+
+    function stopTicker(state) {
+        if (state.ticker) {
+            clearInterval(state.ticker);
+            state.ticker = null;
+        }
+    }
+
+    // ============================================================================
+    // LIFECYCLE
+    // ============================================================================
+
+    function create(element, options) {
+        destroy(element);
+
+        element.classList.add('tb-agent-timeline');
+        element.innerHTML = `
+            <div class="tb-agent-timeline__summary" aria-live="polite"></div>
+            <div class="tb-agent-timeline__lanes" role="list"></div>
+            <div class="tb-agent-timeline__detail" hidden></div>
+        `;
+
+        const state = {
+            element: element,
+            options: Object.assign({ stepIdPrefix: 'agent-step-', emptyText: 'Waiting for the first agent…' }, options || {}),
+            summaryElement: element.querySelector('.tb-agent-timeline__summary'),
+            lanesElement: element.querySelector('.tb-agent-timeline__lanes'),
+            detailElement: element.querySelector('.tb-agent-timeline__detail'),
+            steps: [],
+            selected: null,
+            completedAt: null,
+            clockOffset: 0,
+            frame: 0,
+            ticker: null,
+            pointerDown: false
+        };
+
+        state.onClick = (e) => {
+            const button = e.target instanceof Element ? e.target.closest('[data-step]') : null;
+            if (button) select(state, Number(button.dataset.step));
+        };
+        state.onPointer = (e) => { state.pointerDown = e.type === 'pointerdown'; };
+        element.addEventListener('click', state.onClick);
+        element.addEventListener('pointerdown', state.onPointer);
+        element.addEventListener('pointerup', state.onPointer);
+        element.addEventListener('pointercancel', state.onPointer);
+
+        timelines.set(element, state);
+        render(state);
+        return state;
+    }
+
+    function destroy(element) {
+        const state = timelines.get(element);
+        if (!state) return;
+
+        stopTicker(state);
+        if (state.frame) cancelAnimationFrame(state.frame);
+        element.removeEventListener('click', state.onClick);
+        element.removeEventListener('pointerdown', state.onPointer);
+        element.removeEventListener('pointerup', state.onPointer);
+        element.removeEventListener('pointercancel', state.onPointer);
+        timelines.delete(element);
+    }
+
+    // Expose API for Blazor
+    window.tbAgentTimeline = {
+        /**
+         * Set up (or clear) the timeline inside `element`.
+         * @param {HTMLElement} element - Host element (left empty by Blazor)
+         * @param {Object} options - {stepIdPrefix: 'agent-step-', emptyText}
+         */
+        create: function (element, options) {
+            create(element, options);
+        },
+
+        /**
+         * Append streamed steps.
+         * @param {HTMLElement} element - Host element
+         * @param {Array} steps - [{index, agentName, stepType, content, data, receivedAt}]
+         *   receivedAt: server time in ms since epoch
+         * @param {number} serverNow - Server time of this call (to line up the clocks)
+         */
+        addSteps: function (element, steps, serverNow) {
+            const state = timelines.get(element) || create(element);
+            if (typeof serverNow === 'number') {
+                state.clockOffset = Date.now() - serverNow;
+            }
+
+            (steps || []).forEach(step => {
+                const item = {
+                    index: step.index,
+                    agentName: step.agentName || 'Agent',
+                    stepType: step.stepType || 'info',
+                    content: step.content || '',
+                    data: step.data || null,
+                    time: (typeof step.receivedAt === 'number' ? step.receivedAt + state.clockOffset : Date.now())
+                };
+                item.kind = classify(item);
+                state.steps.push(item);
+            });
+
+            state.completedAt = null;
+            startTicker(state);
+            schedule(state);
+        },
+
+        /**
+         * The run ended - close open bars and stop the clock.
+         * @param {number} serverNow - Server time the run ended (optional)
+         */
+        complete: function (element, serverNow) {
+            const state = timelines.get(element);
+            if (!state) return;
+
+            state.completedAt = typeof serverNow === 'number' ? serverNow + state.clockOffset : Date.now();
+            stopTicker(state);
+            schedule(state);
+        },
+
+        select: function (element, index) {
+            const state = timelines.get(element);
+            if (state) select(state, index);
+        },
+
+        destroy: function (element) {
+            destroy(element);
+        }
+    };
+})();
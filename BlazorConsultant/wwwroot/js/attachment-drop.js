@@ -0,0 +1,283 @@
+/**
+ * TailorBlend Attachment Drop & Paste
+ *
+ * Lets practitioners drop files onto the chat, paste screenshots into the
+ * composer or photograph a document (camera-capture.js). Files go through
+ * the same validation and image pipeline as readFilesAsBase64
+ * (window.tbFileUtils from file-utils.js) and are handed to Blazor one at a
+ * time through a registered .NET object reference, with the file data
+ * streamed rather than sent inline.
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULT_OPTIONS = {
+        dropTargetSelector: '.tb-chat-container',
+        pasteTargetSelector: '.tb-chat-input',
+        maxFileSizeMB: 10,
+        imageOptions: true,
+        fileAddedMethod: 'OnExternalFileAdded',
+        fileRejectedMethod: 'OnExternalFileRejected'
+    };
+
+    const AttachmentDrop = {
+        dotNetRef: null,
+        options: { ...DEFAULT_OPTIONS },
+        dragDepth: 0,
+        overlay: null,
+        overlayTarget: null,
+        listenersBound: false,
+
+        /**
+         * Register the Blazor component that receives dropped/pasted files.
+         * Listeners are delegated from the document so they survive re-renders.
+         * @param {DotNetObjectReference} dotNetRef - Component reference
+         * @param {Object} options - Overrides for DEFAULT_OPTIONS
+         */
+        register: function (dotNetRef, options) {
+            this.dotNetRef = dotNetRef;
+            this.options = { ...DEFAULT_OPTIONS, ...(options || {}) };
+
+            if (!this.listenersBound) {
+                document.addEventListener('dragenter', (e) => this.handleDragEnter(e));
+                document.addEventListener('dragover', (e) => this.handleDragOver(e));
+                document.addEventListener('dragleave', (e) => this.handleDragLeave(e));
+                document.addEventListener('drop', (e) => this.handleDrop(e));
+                document.addEventListener('paste', (e) => this.handlePaste(e));
+                this.listenersBound = true;
+            }
+        },
+
+        /**
+         * Stop forwarding files (called when the component is disposed).
+         */
+        unregister: function () {
+            this.dotNetRef = null;
+            this.hideOverlay();
+        },
+
+        hasFiles: function (e) {
+            return !!(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files'));
+        },
+
+        findDropTarget: function (e) {
+            return e.target instanceof Element ? e.target.closest(this.options.dropTargetSelector) : null;
+        },
+
+        handleDragEnter: function (e) {
+            if (!this.dotNetRef || !this.hasFiles(e)) return;
+
+            const target = this.findDropTarget(e);
+            if (!target) return;
+
+            e.preventDefault();
+            this.dragDepth++;
+            this.showOverlay(target);
+        },
+
+        handleDragOver: function (e) {
+            if (!this.dotNetRef || !this.hasFiles(e)) return;
+
+            // Cancelling dragover is required for drop to fire. Outside the target we still
+            // cancel it (with dropEffect "none") so a stray drop cannot navigate away from the chat.
+            e.preventDefault();
+            e.dataTransfer.dropEffect = this.findDropTarget(e) ? 'copy' : 'none';
+        },
+
+        handleDragLeave: function (e) {
+            if (!this.dotNetRef || !this.hasFiles(e) || !this.findDropTarget(e)) return;
+
+            // dragleave fires for every child element - only hide once we leave the target
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) {
+                this.hideOverlay();
+            }
+        },
+
+        handleDrop: function (e) {
+            if (!this.dotNetRef || !this.hasFiles(e)) return;
+
+            const target = this.findDropTarget(e);
+            this.dragDepth = 0;
+            this.hideOverlay();
+
+            e.preventDefault();
+            if (!target) return;
+
+            this.processFiles(Array.from(e.dataTransfer.files));
+        },
+
+        handlePaste: function (e) {
+            if (!this.dotNetRef || !e.clipboardData) return;
+            if (!(e.target instanceof Element) || !e.target.closest(this.options.pasteTargetSelector)) return;
+
+            const files = Array.from(e.clipboardData.items || [])
+                .filter(item => item.kind === 'file')
+                .map(item => item.getAsFile())
+                .filter(Boolean);
+
+            if (files.length === 0) return;
+
+            // Copying a file in the OS file manager also puts its name on the clipboard as text -
+            // only suppress the text paste when there is none
+            if (!e.clipboardData.types.includes('text/plain')) {
+                e.preventDefault();
+            }
+
+            this.processFiles(files.map(file => this.renamePastedFile(file)));
+        },
+
+        /**
+         * Screenshots arrive as "image.png" - give them a unique, readable name.
+         */
+        renamePastedFile: function (file) {
+            if (file.name && file.name !== 'image.png') {
+                return file;
+            }
+
+            const ext = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+            return new File([file], `pasted-image-${stamp}.${ext}`, { type: file.type, lastModified: file.lastModified });
+        },
+
+        /**
+         * Validate and read each file independently so one rejected file
+         * does not block the rest, then hand it to Blazor.
+         */
+        processFiles: async function (files) {
+            const dotNetRef = this.dotNetRef;
+
+            for (const file of files) {
+                const outcome = await this.attachFile(file);
+                if (!outcome.code) continue;
+
+                try {
+                    await dotNetRef.invokeMethodAsync(this.options.fileRejectedMethod, outcome.code, outcome.message);
+                } catch (interopErr) {
+                    console.warn('[AttachmentDrop] Failed to report rejection to Blazor:', interopErr);
+                }
+            }
+        },
+
+        /**
+         * Validate and read one file and hand it to Blazor.
+         * @param {File} file - Dropped, pasted or scanned file
+         * @returns {Promise<Object>} {accepted, code, message}; code and message are set when the
+         *          file was rejected here (Blazor reports its own refusals, e.g. a full composer)
+         */
+        attachFile: async function (file) {
+            const dotNetRef = this.dotNetRef;
+            const { maxFileSizeMB, imageOptions, fileAddedMethod } = this.options;
+
+            if (!dotNetRef) {
+                return { accepted: false, code: null, message: null };
+            }
+
+            try {
+                const [result] = await window.tbFileUtils.readFileList([file], maxFileSizeMB, imageOptions);
+                if (!result) {
+                    return { accepted: false, code: null, message: null };
+                }
+
+                const { preview, ...attachment } = result;
+                const accepted = await dotNetRef.invokeMethodAsync(fileAddedMethod, window.tbFileUtils.toDotNetAttachment(result));
+
+                if (!accepted) {
+                    // Not attached (composer full) - nothing will show the preview
+                    if (preview) window.releaseFilePreview(preview.preview_id);
+                } else if (window.tbOutbox) {
+                    // Keep a copy so the message can still be queued offline (chat-outbox.js)
+                    window.tbOutbox.stageAttachment(attachment);
+                }
+
+                return { accepted: !!accepted, code: null, message: null };
+            } catch (err) {
+                console.warn('[AttachmentDrop] File rejected:', err);
+                return { accepted: false, code: err.code || 'READ_FAILED', message: err.message || String(err) };
+            }
+        },
+
+        /**
+         * Photograph a document with the in-app camera (camera-capture.js) and
+         * attach the straightened result like a dropped file. The camera stays
+         * open until the file is accepted and shows why it was not, so a
+         * rejected multi-page PDF keeps its pages. Falls back to the file
+         * picker when the camera module is not loaded.
+         */
+        openCamera: async function () {
+            if (!this.dotNetRef) return;
+
+            if (!window.tbCamera) {
+                window.triggerFileInput();
+                return;
+            }
+
+            try {
+                await window.tbCamera.open({
+                    maxFileSizeMB: this.options.maxFileSizeMB,
+                    attach: file => this.attachFile(file)
+                });
+            } catch (err) {
+                console.warn('[AttachmentDrop] Camera capture failed:', err);
+            }
+        },
+
+        showOverlay: function (target) {
+            if (this.overlay && this.overlayTarget === target) return;
+
+            this.hideOverlay();
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'tb-drop-overlay';
+            this.overlay.setAttribute('aria-hidden', 'true');
+            this.overlay.innerHTML = `
+                <div class="tb-drop-overlay__panel">
+                    <i class="fas fa-file-arrow-up tb-drop-overlay__icon"></i>
+                    <p class="tb-drop-overlay__title">Drop files to attach</p>
+                    <p class="tb-drop-overlay__hint">PDF, images, TXT, CSV, DOCX or XLSX up to ${this.options.maxFileSizeMB}MB</p>
+                </div>
+            `;
+
+            target.appendChild(this.overlay);
+            this.overlayTarget = target;
+        },
+
+        hideOverlay: function () {
+            if (this.overlay) {
+                this.overlay.remove();
+            }
+            this.overlay = null;
+            this.overlayTarget = null;
+        }
+    };
+
+    // Expose API for Blazor
+    window.tbAttachments = {
+        register: function (dotNetRef, options) {
+            AttachmentDrop.register(dotNetRef, options);
+        },
+        unregister: function () {
+            AttachmentDrop.unregister();
+            if (window.tbCamera) {
+                window.tbCamera.close();
+            }
+        },
+
+        /**
+         * Attach files as if they were dropped (e.g. an orphaned outbox draft).
+         * @param {File[]} files - Files to validate and hand to Blazor
+         */
+        attachFiles: function (files) {
+            return AttachmentDrop.processFiles(files);
+        },
+
+        /**
+         * Open the document camera. Returns immediately - the photo arrives
+         * through the registered fileAddedMethod, like a drop.
+         */
+        openCamera: function () {
+            AttachmentDrop.openCamera();
+        }
+    };
+})();
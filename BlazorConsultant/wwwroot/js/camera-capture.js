@@ -0,0 +1,1267 @@
+/**
+ * TailorBlend Document Camera
+ *
+ * Full-screen capture view for supplement labels and lab printouts. The rear
+ * camera is streamed with getUserMedia behind a page-shaped guide; after the
+ * shot the four corners can be dragged onto the document edges and the photo
+ * is flattened with a perspective transform, rotated in quarter turns and
+ * optionally run through a "scan" filter (uneven lighting flattened, paper
+ * pushed to white, ink darkened).
+ *
+ * Without camera access (no getUserMedia, permission denied, camera in use)
+ * the view offers the system camera or photo library instead, and the chosen
+ * photo goes through the same crop step.
+ *
+ * Multi-page mode collects pages instead of attaching each photo; they can
+ * be reordered and deleted, then pdf-builder.js assembles them into a single
+ * PDF on the device (works offline).
+ *
+ * `tbCamera.open()` resolves with a JPEG or PDF File, or null when cancelled.
+ * `tbAttachments.openCamera()` (attachment-drop.js) passes an attach
+ * callback so the file goes through the same pipeline as dropped files; the
+ * view stays open until it is accepted, so a rejected PDF keeps its pages.
+ *
+ * Depends on window.tbFileUtils (file-utils.js) for image decoding and
+ * encoding, and window.tbPdf (pdf-builder.js) for multi-page documents.
+ */
+
+(function () {
+    'use strict';
+
+    const MAX_OUTPUT_EDGE = 2048;           // Same longest edge as DEFAULT_IMAGE_OPTIONS in file-utils.js
+    const OUTPUT_QUALITY = 0.9;
+    const GUIDE_ASPECT = 1 / Math.SQRT2;    // Portrait A4 (width / height); Letter is close enough
+    const GUIDE_MARGIN = 0.08;              // Share of the viewport kept clear around the guide
+    const PICKED_PHOTO_INSET = 0.04;        // Initial corner inset for photos from the library
+    const HANDLE_RADIUS_PX = 14;
+    const HANDLE_HIT_PX = 36;               // Generous touch target for grabbing a corner
+    const NUDGE_FRACTION = 0.005;           // Arrow-key step as a share of the photo size
+    const SCAN_PAPER_RATIO = 0.88;          // Pixels this close to the local background become white
+    const SCAN_INK_GAMMA = 2;               // Darkens everything below the paper ratio
+    const FILTER_KEY = 'tb-camera-filter';
+
+    // Multi-page documents: A4 at 150 dpi keeps a 10-page report well under the upload limit.
+    // Pages are also counted against the limit as they are added, since busy pages encode larger.
+    const PDF_PAGE_MAX_EDGE = 1754;
+    const PDF_PAGE_QUALITY = 0.8;
+    const MAX_PAGES = 20;
+    const DEFAULT_MAX_FILE_SIZE_MB = 10;    // Upload limit in file-utils.js unless open() is given one
+    const PDF_OVERHEAD_BYTES = 4096;        // Header, catalog and xref (pdf-builder.js), rounded up
+    const PDF_PAGE_OVERHEAD_BYTES = 1024;   // Page, content stream and image dictionaries, rounded up
+    const THUMBNAIL_EDGE = 160;
+
+    const CAMERA_CONSTRAINTS = {
+        audio: false,
+        video: {
+            facingMode: { ideal: 'environment' },
+            width: { ideal: 2560 },
+            height: { ideal: 1920 }
+        }
+    };
+
+    const CORNER_LABELS = ['Top-left corner', 'Top-right corner', 'Bottom-right corner', 'Bottom-left corner'];
+
+    function isSupported() {
+        return !!(navigator.mediaDevices && typeof navigator.mediaDevices.getUserMedia === 'function');
+    }
+
+    function readStoredFilter() {
+        try {
+            return localStorage.getItem(FILTER_KEY) === 'scan' ? 'scan' : 'original';
+        } catch (err) {
+            return 'original';
+        }
+    }
+
+    function storeFilter(filter) {
+        try {
+            localStorage.setItem(FILTER_KEY, filter);
+        } catch (err) {
+            // Private mode - the choice just isn't remembered
+        }
+    }
+
+    function track(name, props) {
+        if (window.tbTelemetry) {
+            window.tbTelemetry.track(name, props);
+        }
+    }
+
+    // ============================================================================
+    // GEOMETRY
+    // ============================================================================
+
+    function distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * True when the corners (in order) form a convex quadrilateral -
+     * a crossed or folded quad has no sensible perspective correction.
+     */
+    function isConvex(quad) {
+        let sign = 0;
+        for (let i = 0; i < 4; i++) {
+            const a = quad[i];
+            const b = quad[(i + 1) % 4];
+            const c = quad[(i + 2) % 4];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (Math.abs(cross) < 1e-6) return false;
+            if (sign === 0) {
+                sign = Math.sign(cross);
+            } else if (Math.sign(cross) !== sign) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Gaussian elimination with partial pivoting.
+     * @returns {number[]|null} Solution, or null for a singular system
+     */
+    function solveLinear(matrix, vector) {
+        const n = vector.length;
+        const rows = matrix.map((row, i) => row.concat(vector[i]));
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+            }
+            if (Math.abs(rows[pivot][col]) < 1e-10) return null;
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const factor = rows[r][col] / rows[col][col];
+                for (let c = col; c <= n; c++) {
+                    rows[r][c] -= factor * rows[col][c];
+                }
+            }
+        }
+
+        return rows.map((row, i) => row[n] / row[i]);
+    }
+
+    /**
+     * Homography taking the rectangle (0,0)-(width,height) onto the quad
+     * [tl, tr, br, bl]: x' = (ax + by + c) / (gx + hy + 1), y' = (dx + ey + f) / (gx + hy + 1).
+     * @returns {number[]|null} [a, b, c, d, e, f, g, h]
+     */
+    function computeHomography(width, height, quad) {
+        const rect = [[0, 0], [width, 0], [width, height], [0, height]];
+        const matrix = [];
+        const vector = [];
+
+        for (let i = 0; i < 4; i++) {
+            const [x, y] = rect[i];
+            const { x: u, y: v } = quad[i];
+            matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+            vector.push(u);
+            matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+            vector.push(v);
+        }
+
+        return solveLinear(matrix, vector);
+    }
+
+    // ============================================================================
+    // IMAGE PROCESSING
+    // ============================================================================
+
+    function createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Map the quad of `source` onto an upright rectangle. Output size follows
+     * the longest opposite edges so text keeps its proportions, capped at
+     * MAX_OUTPUT_EDGE. Every output pixel is sampled bilinearly from the source.
+     * @returns {HTMLCanvasElement|null} Flattened photo, or null for a degenerate quad
+     */
+    function warpPerspective(source, quad) {
+        const edgeWidth = Math.max(distance(quad[0], quad[1]), distance(quad[3], quad[2]));
+        const edgeHeight = Math.max(distance(quad[0], quad[3]), distance(quad[1], quad[2]));
+        const scale = Math.min(1, MAX_OUTPUT_EDGE / Math.max(edgeWidth, edgeHeight));
+        const width = Math.max(1, Math.round(edgeWidth * scale));
+        const height = Math.max(1, Math.round(edgeHeight * scale));
+
+        const h = computeHomography(width, height, quad);
+        if (!h) return null;
+
+        const sw = source.width;
+        const sh = source.height;
+        const input = source.getContext('2d').getImageData(0, 0, sw, sh).data;
+
+        const output = createCanvas(width, height);
+        const ctx = output.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        const data = image.data;
+
+        let o = 0;
+        for (let y = 0; y < height; y++) {
+            const py = y + 0.5;
+            for (let x = 0; x < width; x++) {
+                const px = x + 0.5;
+                const w = h[6] * px + h[7] * py + 1;
+                const sx = Math.min(sw - 1, Math.max(0, (h[0] * px + h[1] * py + h[2]) / w - 0.5));
+                const sy = Math.min(sh - 1, Math.max(0, (h[3] * px + h[4] * py + h[5]) / w - 0.5));
+
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(sw - 1, x0 + 1);
+                const y1 = Math.min(sh - 1, y0 + 1);
+                const fx = sx - x0;
+                const fy = sy - y0;
+
+                const i00 = (y0 * sw + x0) * 4;
+                const i10 = (y0 * sw + x1) * 4;
+                const i01 = (y1 * sw + x0) * 4;
+                const i11 = (y1 * sw + x1) * 4;
+
+                for (let c = 0; c < 3; c++) {
+                    const top = input[i00 + c] + (input[i10 + c] - input[i00 + c]) * fx;
+                    const bottom = input[i01 + c] + (input[i11 + c] - input[i01 + c]) * fx;
+                    data[o + c] = top + (bottom - top) * fy;
+                }
+                data[o + 3] = 255;
+                o += 4;
+            }
+        }
+
+        ctx.putImageData(image, 0, 0);
+        return output;
+    }
+
+    /**
+     * "Scan" look: each pixel is compared with the average brightness around
+     * it (summed-area table), which cancels shadows and uneven lighting.
+     * Paper becomes white, ink is darkened on a curve so small print stays
+     * readable. Returns a new greyscale canvas.
+     */
+    function applyScanFilter(source) {
+        const width = source.width;
+        const height = source.height;
+        const output = createCanvas(width, height);
+        const ctx = output.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+
+        const image = ctx.getImageData(0, 0, width, height);
+        const data = image.data;
+
+        const luma = new Uint8Array(width * height);
+        for (let i = 0, p = 0; p < luma.length; i += 4, p++) {
+            luma[p] = (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+        }
+
+        const stride = width + 1;
+        const sums = new Uint32Array(stride * (height + 1));
+        for (let y = 1; y <= height; y++) {
+            let rowSum = 0;
+            for (let x = 1; x <= width; x++) {
+                rowSum += luma[(y - 1) * width + x - 1];
+                sums[y * stride + x] = sums[(y - 1) * stride + x] + rowSum;
+            }
+        }
+
+        // About one line of heading text - large enough that ink doesn't set its own background
+        const radius = Math.max(8, Math.round(Math.min(width, height) / 16));
+
+        for (let y = 0; y < height; y++) {
+            const top = Math.max(0, y - radius);
+            const bottom = Math.min(height, y + radius + 1);
+            for (let x = 0; x < width; x++) {
+                const left = Math.max(0, x - radius);
+                const right = Math.min(width, x + radius + 1);
+                const sum = sums[bottom * stride + right] - sums[top * stride + right]
+                    - sums[bottom * stride + left] + sums[top * stride + left];
+                const mean = sum / ((right - left) * (bottom - top));
+
+                const p = y * width + x;
+                const ratio = mean > 0 ? luma[p] / mean : 1;
+                const value = ratio >= SCAN_PAPER_RATIO
+                    ? 255
+                    : 255 * Math.pow(ratio / SCAN_PAPER_RATIO, SCAN_INK_GAMMA);
+
+                const i = p * 4;
+                data[i] = data[i + 1] = data[i + 2] = value;
+            }
+        }
+
+        ctx.putImageData(image, 0, 0);
+        return output;
+    }
+
+    /**
+     * Draw `source` into `target`, rotated clockwise by quarter turns.
+     */
+    function drawRotated(target, source, quarterTurns) {
+        const turns = ((quarterTurns % 4) + 4) % 4;
+        const sideways = turns % 2 === 1;
+        target.width = sideways ? source.height : source.width;
+        target.height = sideways ? source.width : source.height;
+
+        const ctx = target.getContext('2d');
+        ctx.save();
+        ctx.translate(target.width / 2, target.height / 2);
+        ctx.rotate(turns * Math.PI / 2);
+        ctx.drawImage(source, -source.width / 2, -source.height / 2);
+        ctx.restore();
+    }
+
+    /**
+     * Copy of `source` scaled down so its longest edge is at most `maxEdge`.
+     */
+    function scaleCanvas(source, maxEdge) {
+        const scale = Math.min(1, maxEdge / Math.max(source.width, source.height));
+        const output = createCanvas(Math.max(1, Math.round(source.width * scale)), Math.max(1, Math.round(source.height * scale)));
+        output.getContext('2d').drawImage(source, 0, 0, output.width, output.height);
+        return output;
+    }
+
+    function createScanFilename(extension) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        return `scan-${stamp}.${extension}`;
+    }
+
+    function describePages(count) {
+        return count === 1 ? '1 page' : `${count} pages`;
+    }
+
+    /**
+     * Hint for a file the attach callback did not accept.
+     * @param {Object} outcome - {accepted, code, message} from the callback
+     * @param {number} pageCount - Pages in the document (0 for a single photo)
+     */
+    function describeAttachFailure(outcome, pageCount) {
+        if (outcome.code === 'FILE_TOO_LARGE' && pageCount > 1) {
+            return 'The PDF is over the upload limit - delete a page and try again';
+        }
+        if (outcome.message) {
+            // file-utils.js prefixes messages with their code for .NET
+            return `Not attached: ${outcome.message.replace(/^\[[A-Z_]+\] /, '')}`;
+        }
+        return 'This couldn\'t be attached - please try again';
+    }
+
+    // ============================================================================
+    // VIEW
+    // ============================================================================
+
+    const DocumentCamera = {
+        element: null,
+        stream: null,
+        resolve: null,
+        returnFocus: null,
+        onKeyDown: null,
+        onResize: null,
+        onPageHide: null,
+        stage: null,
+        source: null,           // 'camera' | 'picker'
+        photo: null,            // Captured frame at full resolution (canvas)
+        corners: null,          // [tl, tr, br, bl] in photo pixels
+        flattened: null,        // Perspective-corrected photo
+        scanned: null,          // flattened with the scan filter (cached)
+        rotation: 0,            // Quarter turns clockwise
+        filter: 'original',
+        displayScale: 1,        // CSS pixels per photo pixel in the crop stage
+        dragIndex: -1,
+        multiPage: false,
+        pages: [],              // Multi-page mode: {blob: JPEG, thumbnail: canvas} in page order
+        discardArmed: false,    // Close was tapped once with pages collected
+        maxBytes: DEFAULT_MAX_FILE_SIZE_MB * 1024 * 1024,
+        attach: null,           // Optional (file) => Promise<{accepted, code, message}>
+
+        isOpen: function () {
+            return !!this.element;
+        },
+
+        /**
+         * @param {Object} options - {multiPage: start in multi-page mode, maxFileSizeMB: upload limit,
+         *        attach: callback that attaches the file before the view closes}
+         * @returns {Promise<File|null>} The processed photo or PDF, or null when cancelled
+         */
+        open: function (options) {
+            this.close(null);
+
+            const opts = options || {};
+            return new Promise(resolve => {
+                this.resolve = resolve;
+                this.filter = readStoredFilter();
+                this.multiPage = !!opts.multiPage;
+                this.maxBytes = (opts.maxFileSizeMB || DEFAULT_MAX_FILE_SIZE_MB) * 1024 * 1024;
+                this.attach = opts.attach || null;
+                this.pages = [];
+                this.discardArmed = false;
+                this.render();
+                this.showStage('live');
+                this.startCamera();
+                track('document_camera_opened', { cameraSupported: isSupported() });
+            });
+        },
+
+        close: function (result) {
+            if (!this.element) return;
+
+            this.stopCamera();
+            this.element.remove();
+            this.element = null;
+            document.removeEventListener('keydown', this.onKeyDown);
+            window.removeEventListener('resize', this.onResize);
+            window.removeEventListener('pagehide', this.onPageHide);
+
+            this.photo = this.corners = this.flattened = this.scanned = null;
+            this.pages = [];
+            this.attach = null;
+            this.dragIndex = -1;
+
+            if (this.returnFocus && this.returnFocus.isConnected) {
+                this.returnFocus.focus({ preventScroll: true });
+            }
+            this.returnFocus = null;
+
+            const resolve = this.resolve;
+            this.resolve = null;
+            if (resolve) resolve(result || null);
+        },
+
+        render: function () {
+            const element = document.createElement('div');
+            element.className = 'tb-camera';
+            element.setAttribute('role', 'dialog');
+            element.setAttribute('aria-modal', 'true');
+            element.setAttribute('aria-labelledby', 'tb-camera-title');
+            element.innerHTML = `
+                <div class="tb-camera__header">
+                    <button type="button" class="tb-camera__icon-btn" data-action="cancel" aria-label="Close">
+                        <i class="fas fa-xmark" aria-hidden="true"></i>
+                    </button>
+                    <h2 id="tb-camera-title" class="tb-camera__title">Scan document</h2>
+                    <div class="tb-camera__slot">
+                        <button type="button" class="tb-camera__toggle" data-action="toggle-multipage" aria-pressed="false">
+                            <i class="fas fa-layer-group" aria-hidden="true"></i> Multi-page
+                        </button>
+                    </div>
+                </div>
+
+                <div class="tb-camera__viewport" data-role="viewport">
+                    <video class="tb-camera__video" data-for="live" playsinline muted autoplay></video>
+                    <div class="tb-camera__guide" data-for="live" data-role="guide" aria-hidden="true">
+                        <span class="tb-camera__guide-corner" data-corner="tl"></span>
+                        <span class="tb-camera__guide-corner" data-corner="tr"></span>
+                        <span class="tb-camera__guide-corner" data-corner="br"></span>
+                        <span class="tb-camera__guide-corner" data-corner="bl"></span>
+                    </div>
+                    <div class="tb-camera__fallback" data-role="fallback" hidden>
+                        <i class="fas fa-camera" aria-hidden="true"></i>
+                        <p data-role="fallback-text"></p>
+                        <div class="tb-camera__fallback-actions">
+                            <button type="button" class="tb-btn tb-btn--primary" data-action="take-photo">Take photo</button>
+                            <button type="button" class="tb-btn tb-btn--secondary" data-action="choose-photo">Choose photo</button>
+                        </div>
+                    </div>
+
+                    <div class="tb-camera__stage" data-for="crop" data-role="crop-stage">
+                        <svg class="tb-camera__crop" data-role="crop" preserveAspectRatio="none">
+                            <path class="tb-camera__crop-shade" data-role="shade" fill-rule="evenodd" />
+                            <polygon class="tb-camera__crop-edge" data-role="edge" />
+                            ${CORNER_LABELS.map((label, index) => `
+                                <circle class="tb-camera__crop-handle" data-corner="${index}" tabindex="0"
+                                        role="button" aria-label="${label} - use the arrow keys to move" />
+                            `).join('')}
+                        </svg>
+                    </div>
+
+                    <canvas class="tb-camera__result" data-for="adjust" data-role="result"></canvas>
+
+                    <div class="tb-camera__pages" data-for="pages">
+                        <ol class="tb-camera__page-list" data-role="page-list"></ol>
+                    </div>
+                    <p class="tb-camera__hint" data-role="hint" aria-live="polite"></p>
+                </div>
+
+                <div class="tb-camera__controls" data-for="live">
+                    <button type="button" class="tb-camera__icon-btn" data-action="choose-photo" aria-label="Choose photo">
+                        <i class="fas fa-images" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="tb-camera__shutter" data-action="capture" aria-label="Take photo" disabled></button>
+                    <div class="tb-camera__slot">
+                        <button type="button" class="tb-camera__icon-btn tb-camera__pages-btn" data-action="review-pages" aria-label="Review pages" hidden>
+                            <i class="fas fa-copy" aria-hidden="true"></i>
+                            <span class="tb-camera__badge" data-role="page-count">0</span>
+                        </button>
+                    </div>
+                </div>
+
+                <div class="tb-camera__controls" data-for="crop">
+                    <button type="button" class="tb-btn tb-btn--ghost" data-action="retake">Retake</button>
+                    <button type="button" class="tb-btn tb-btn--secondary" data-action="reset-corners">Whole photo</button>
+                    <button type="button" class="tb-btn tb-btn--primary" data-action="apply-crop">Next</button>
+                </div>
+
+                <div class="tb-camera__controls" data-for="adjust">
+                    <button type="button" class="tb-btn tb-btn--ghost" data-action="back">Back</button>
+                    <div class="tb-camera__tools">
+                        <button type="button" class="tb-camera__icon-btn" data-action="rotate-left" aria-label="Rotate left">
+                            <i class="fas fa-rotate-left" aria-hidden="true"></i>
+                        </button>
+                        <button type="button" class="tb-camera__icon-btn" data-action="rotate-right" aria-label="Rotate right">
+                            <i class="fas fa-rotate-right" aria-hidden="true"></i>
+                        </button>
+                        <button type="button" class="tb-camera__toggle" data-action="toggle-filter" aria-pressed="false">
+                            <i class="fas fa-wand-magic-sparkles" aria-hidden="true"></i> Scan
+                        </button>
+                    </div>
+                    <button type="button" class="tb-btn tb-btn--primary" data-action="use">Attach</button>
+                </div>
+
+                <div class="tb-camera__controls" data-for="pages">
+                    <button type="button" class="tb-btn tb-btn--secondary" data-action="add-page">
+                        <i class="fas fa-plus" aria-hidden="true"></i> Add page
+                    </button>
+                    <button type="button" class="tb-btn tb-btn--primary" data-action="create-pdf">Create PDF</button>
+                </div>
+
+                <input type="file" accept="image/*" data-role="picker" hidden />
+            `;
+
+            element.addEventListener('click', (e) => {
+                const target = e.target instanceof Element ? e.target.closest('[data-action]') : null;
+                if (target && !target.disabled) this.handleAction(target.dataset.action, target);
+            });
+
+            const picker = element.querySelector('[data-role="picker"]');
+            picker.addEventListener('change', () => {
+                const file = picker.files && picker.files[0];
+                picker.value = '';
+                if (file) this.loadPickedPhoto(file);
+            });
+
+            const crop = element.querySelector('[data-role="crop"]');
+            crop.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+            crop.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+            crop.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+            crop.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+            crop.addEventListener('keydown', (e) => this.handleHandleKeyDown(e));
+
+            this.onKeyDown = (e) => {
+                if (e.key === 'Escape') this.cancel();
+            };
+            this.onResize = () => this.layout();
+            this.onPageHide = () => this.close(null);
+            document.addEventListener('keydown', this.onKeyDown);
+            window.addEventListener('resize', this.onResize);
+            window.addEventListener('pagehide', this.onPageHide);
+
+            this.returnFocus = document.activeElement;
+            this.element = element;
+            document.body.appendChild(element);
+
+            element.querySelector('[data-action="cancel"]').focus({ preventScroll: true });
+        },
+
+        query: function (role) {
+            return this.element.querySelector(`[data-role="${role}"]`);
+        },
+
+        setHint: function (text) {
+            this.query('hint').textContent = text || '';
+        },
+
+        showStage: function (stage) {
+            this.stage = stage;
+            this.element.dataset.stage = stage;
+            this.element.querySelectorAll('[data-for]').forEach(node => {
+                node.hidden = node.dataset.for !== stage;
+            });
+
+            const hints = {
+                live: 'Fit the page inside the frame',
+                crop: 'Drag the corners onto the edges of the page',
+                adjust: '',
+                pages: ''
+            };
+            this.setHint(hints[stage]);
+            this.updatePageControls();
+            this.layout();
+        },
+
+        /**
+         * Mode toggle (live stage, before the first page), page count badge
+         * and the label of the adjust stage's primary button.
+         */
+        updatePageControls: function () {
+            const count = this.pages.length;
+            const toggle = this.element.querySelector('[data-action="toggle-multipage"]');
+            toggle.hidden = this.stage !== 'live' || count > 0;
+            toggle.setAttribute('aria-pressed', String(this.multiPage));
+
+            const review = this.element.querySelector('[data-action="review-pages"]');
+            review.hidden = count === 0;
+            review.setAttribute('aria-label', `Review ${describePages(count)}`);
+            this.query('page-count').textContent = String(count);
+
+            this.element.querySelector('[data-action="use"]').textContent = this.multiPage ? 'Add page' : 'Attach';
+            this.element.querySelector('[data-action="create-pdf"]').textContent = `Create PDF (${describePages(count)})`;
+        },
+
+        cancel: function () {
+            // Don't throw away a half-scanned report on a stray tap
+            if (this.pages.length > 0 && !this.discardArmed) {
+                this.discardArmed = true;
+                this.setHint(`Close again to discard ${describePages(this.pages.length)}`);
+                return;
+            }
+            this.close(null);
+        },
+
+        layout: function () {
+            if (!this.element) return;
+            if (this.stage === 'live') this.layoutGuide();
+            if (this.stage === 'crop') this.layoutCropStage();
+        },
+
+        handleAction: function (action, target) {
+            if (action !== 'cancel') {
+                this.discardArmed = false;
+            }
+
+            switch (action) {
+                case 'cancel':
+                    this.cancel();
+                    break;
+                case 'capture':
+                    this.capture();
+                    break;
+                case 'take-photo':
+                case 'choose-photo':
+                    this.openPicker(action === 'take-photo');
+                    break;
+                case 'retake':
+                    this.retake();
+                    break;
+                case 'reset-corners':
+                    this.corners = this.defaultCorners(0);
+                    this.updateCropOverlay();
+                    break;
+                case 'apply-crop':
+                    this.applyCrop();
+                    break;
+                case 'back':
+                    this.showStage('crop');
+                    break;
+                case 'rotate-left':
+                    this.rotation = (this.rotation + 3) % 4;
+                    this.renderResult();
+                    break;
+                case 'rotate-right':
+                    this.rotation = (this.rotation + 1) % 4;
+                    this.renderResult();
+                    break;
+                case 'toggle-filter':
+                    this.filter = this.filter === 'scan' ? 'original' : 'scan';
+                    storeFilter(this.filter);
+                    this.renderResult();
+                    break;
+                case 'use':
+                    this.finish();
+                    break;
+                case 'toggle-multipage':
+                    this.multiPage = !this.multiPage;
+                    this.updatePageControls();
+                    break;
+                case 'review-pages':
+                    this.stopCamera();
+                    this.showPages();
+                    break;
+                case 'add-page':
+                    this.retake();
+                    break;
+                case 'page-earlier':
+                case 'page-later':
+                    this.movePage(Number(target.dataset.index), action === 'page-earlier' ? -1 : 1);
+                    break;
+                case 'page-delete':
+                    this.deletePage(Number(target.dataset.index));
+                    break;
+                case 'create-pdf':
+                    this.createPdf();
+                    break;
+            }
+        },
+
+        // ------------------------------------------------------------------
+        // Live camera
+        // ------------------------------------------------------------------
+
+        startCamera: async function () {
+            const element = this.element;
+            const video = element.querySelector('.tb-camera__video');
+            const shutter = element.querySelector('[data-action="capture"]');
+
+            if (!isSupported()) {
+                this.showFallback('This browser can\'t show the camera here. Take the photo with your camera app or pick one from your library.');
+                return;
+            }
+
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia(CAMERA_CONSTRAINTS);
+
+                // Closed (or retaken) while the permission prompt was open
+                if (this.element !== element || this.stage !== 'live') {
+                    stream.getTracks().forEach(t => t.stop());
+                    return;
+                }
+
+                this.stream = stream;
+                video.srcObject = stream;
+                video.addEventListener('loadedmetadata', () => {
+                    shutter.disabled = false;
+                    this.layoutGuide();
+                }, { once: true });
+                await video.play().catch(() => { /* autoplay attribute takes over */ });
+            } catch (err) {
+                console.warn('[Camera] getUserMedia failed:', err);
+                const blocked = err && (err.name === 'NotAllowedError' || err.name === 'SecurityError');
+                this.showFallback(blocked
+                    ? 'Camera access is blocked for TailorBlend. You can still take the photo with your camera app or pick one from your library.'
+                    : 'The camera couldn\'t be started - it may be in use by another app. Take the photo with your camera app or pick one from your library.');
+            }
+        },
+
+        stopCamera: function () {
+            if (this.stream) {
+                this.stream.getTracks().forEach(t => t.stop());
+                this.stream = null;
+            }
+            if (this.element) {
+                const video = this.element.querySelector('.tb-camera__video');
+                video.srcObject = null;
+                this.element.querySelector('[data-action="capture"]').disabled = true;
+            }
+        },
+
+        showFallback: function (text) {
+            const fallback = this.query('fallback');
+            this.query('fallback-text').textContent = text;
+            fallback.hidden = false;
+            this.query('guide').hidden = true;
+            this.setHint('');
+            fallback.querySelector('.tb-btn--primary').focus({ preventScroll: true });
+        },
+
+        openPicker: function (useCamera) {
+            const picker = this.query('picker');
+            if (useCamera) {
+                picker.setAttribute('capture', 'environment');
+            } else {
+                picker.removeAttribute('capture');
+            }
+            picker.click();
+        },
+
+        /**
+         * Largest page-shaped rectangle that fits the viewport with a margin.
+         * @returns {{left, top, width, height}} In viewport CSS pixels
+         */
+        getGuideRect: function () {
+            const viewport = this.query('viewport');
+            const vw = viewport.clientWidth;
+            const vh = viewport.clientHeight;
+            const maxWidth = vw * (1 - GUIDE_MARGIN * 2);
+            const maxHeight = vh * (1 - GUIDE_MARGIN * 2);
+            const width = Math.min(maxWidth, maxHeight * GUIDE_ASPECT);
+            const height = width / GUIDE_ASPECT;
+            return { left: (vw - width) / 2, top: (vh - height) / 2, width: width, height: height };
+        },
+
+        layoutGuide: function () {
+            const guide = this.query('guide');
+            const rect = this.getGuideRect();
+            guide.style.left = `${rect.left}px`;
+            guide.style.top = `${rect.top}px`;
+            guide.style.width = `${rect.width}px`;
+            guide.style.height = `${rect.height}px`;
+        },
+
+        capture: function () {
+            const video = this.element.querySelector('.tb-camera__video');
+            const vw = video.videoWidth;
+            const vh = video.videoHeight;
+            if (!vw || !vh) return;
+
+            const photo = createCanvas(vw, vh);
+            photo.getContext('2d').drawImage(video, 0, 0, vw, vh);
+
+            // The guide is drawn over an object-fit: cover video - map it into video pixels
+            const viewport = this.query('viewport');
+            const scale = Math.max(viewport.clientWidth / vw, viewport.clientHeight / vh);
+            const offsetX = (viewport.clientWidth - vw * scale) / 2;
+            const offsetY = (viewport.clientHeight - vh * scale) / 2;
+            const guide = this.getGuideRect();
+            const toPhoto = (x, y) => ({
+                x: Math.min(vw, Math.max(0, (x - offsetX) / scale)),
+                y: Math.min(vh, Math.max(0, (y - offsetY) / scale))
+            });
+
+            const corners = [
+                toPhoto(guide.left, guide.top),
+                toPhoto(guide.left + guide.width, guide.top),
+                toPhoto(guide.left + guide.width, guide.top + guide.height),
+                toPhoto(guide.left, guide.top + guide.height)
+            ];
+
+            this.stopCamera();
+            this.setPhoto(photo, 'camera', corners);
+        },
+
+        loadPickedPhoto: async function (file) {
+            let image;
+            try {
+                image = await window.tbFileUtils.decodeImage(file);
+            } catch (err) {
+                // e.g. HEIC outside Safari - attach it as it is and let the upload pipeline decide
+                console.warn('[Camera] Could not decode picked photo, attaching original:', err);
+                this.close(file);
+                return;
+            }
+
+            if (!this.element) return;
+
+            const width = image.width || image.naturalWidth;
+            const height = image.height || image.naturalHeight;
+            const scale = Math.min(1, (MAX_OUTPUT_EDGE * 1.5) / Math.max(width, height));
+            const photo = createCanvas(Math.round(width * scale), Math.round(height * scale));
+            photo.getContext('2d').drawImage(image, 0, 0, photo.width, photo.height);
+            if (typeof image.close === 'function') image.close();
+
+            this.stopCamera();
+            this.setPhoto(photo, 'picker', null);
+        },
+
+        setPhoto: function (photo, source, corners) {
+            this.photo = photo;
+            this.source = source;
+            this.rotation = 0;
+            this.flattened = this.scanned = null;
+
+            const stage = this.query('crop-stage');
+            const previous = stage.querySelector('canvas');
+            if (previous) previous.remove();
+            photo.className = 'tb-camera__photo';
+            stage.insertBefore(photo, stage.firstChild);
+
+            const crop = this.query('crop');
+            crop.setAttribute('viewBox', `0 0 ${photo.width} ${photo.height}`);
+
+            this.corners = corners || this.defaultCorners(PICKED_PHOTO_INSET);
+            this.query('fallback').hidden = true;
+            this.showStage('crop');
+            this.updateCropOverlay();
+        },
+
+        retake: function () {
+            this.photo = this.corners = this.flattened = this.scanned = null;
+            this.query('guide').hidden = false;
+            this.showStage('live');
+            this.startCamera();
+        },
+
+        // ------------------------------------------------------------------
+        // Crop
+        // ------------------------------------------------------------------
+
+        defaultCorners: function (inset) {
+            const w = this.photo.width;
+            const h = this.photo.height;
+            const dx = w * inset;
+            const dy = h * inset;
+            return [
+                { x: dx, y: dy },
+                { x: w - dx, y: dy },
+                { x: w - dx, y: h - dy },
+                { x: dx, y: h - dy }
+            ];
+        },
+
+        layoutCropStage: function () {
+            if (!this.photo) return;
+
+            const viewport = this.query('viewport');
+            const stage = this.query('crop-stage');
+            const padding = HANDLE_HIT_PX;
+            const availableWidth = Math.max(1, viewport.clientWidth - padding * 2);
+            const availableHeight = Math.max(1, viewport.clientHeight - padding * 2);
+
+            this.displayScale = Math.min(availableWidth / this.photo.width, availableHeight / this.photo.height);
+            stage.style.width = `${this.photo.width * this.displayScale}px`;
+            stage.style.height = `${this.photo.height * this.displayScale}px`;
+            this.updateCropOverlay();
+        },
+
+        updateCropOverlay: function () {
+            if (!this.photo || !this.corners) return;
+
+            const w = this.photo.width;
+            const h = this.photo.height;
+            const points = this.corners.map(c => `${c.x},${c.y}`).join(' ');
+            const radius = HANDLE_RADIUS_PX / this.displayScale;
+
+            this.query('shade').setAttribute('d', `M0,0H${w}V${h}H0Z M${this.corners.map(c => `${c.x},${c.y}`).join(' L')} Z`);
+            this.query('edge').setAttribute('points', points);
+            this.element.querySelectorAll('.tb-camera__crop-handle').forEach(handle => {
+                const corner = this.corners[Number(handle.dataset.corner)];
+                handle.setAttribute('cx', corner.x);
+                handle.setAttribute('cy', corner.y);
+                handle.setAttribute('r', radius);
+            });
+
+            const valid = isConvex(this.corners);
+            this.query('crop').classList.toggle('tb-camera__crop--invalid', !valid);
+            this.element.querySelector('[data-action="apply-crop"]').disabled = !valid;
+            this.setHint(valid ? 'Drag the corners onto the edges of the page' : 'The corners cross over - move them back around the page');
+        },
+
+        toPhotoPoint: function (e) {
+            const rect = this.query('crop').getBoundingClientRect();
+            return {
+                x: Math.min(this.photo.width, Math.max(0, (e.clientX - rect.left) / this.displayScale)),
+                y: Math.min(this.photo.height, Math.max(0, (e.clientY - rect.top) / this.displayScale))
+            };
+        },
+
+        handlePointerDown: function (e) {
+            if (!this.corners) return;
+
+            const point = this.toPhotoPoint(e);
+            let nearest = -1;
+            let nearestDistance = HANDLE_HIT_PX / this.displayScale;
+            this.corners.forEach((corner, index) => {
+                const d = distance(corner, point);
+                if (d <= nearestDistance) {
+                    nearest = index;
+                    nearestDistance = d;
+                }
+            });
+
+            if (nearest < 0) return;
+
+            e.preventDefault();
+            this.dragIndex = nearest;
+            e.currentTarget.setPointerCapture(e.pointerId);
+            this.query('crop').classList.add('tb-camera__crop--dragging');
+        },
+
+        handlePointerMove: function (e) {
+            if (this.dragIndex < 0) return;
+
+            e.preventDefault();
+            this.corners[this.dragIndex] = this.toPhotoPoint(e);
+            this.updateCropOverlay();
+        },
+
+        handlePointerUp: function (e) {
+            if (this.dragIndex < 0) return;
+
+            this.dragIndex = -1;
+            if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+                e.currentTarget.releasePointerCapture(e.pointerId);
+            }
+            this.query('crop').classList.remove('tb-camera__crop--dragging');
+        },
+
+        handleHandleKeyDown: function (e) {
+            const handle = e.target instanceof Element ? e.target.closest('[data-corner]') : null;
+            const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+            if (!handle || !moves[e.key]) return;
+
+            e.preventDefault();
+            const step = Math.max(this.photo.width, this.photo.height) * NUDGE_FRACTION * (e.shiftKey ? 5 : 1);
+            const corner = this.corners[Number(handle.dataset.corner)];
+            corner.x = Math.min(this.photo.width, Math.max(0, corner.x + moves[e.key][0] * step));
+            corner.y = Math.min(this.photo.height, Math.max(0, corner.y + moves[e.key][1] * step));
+            this.updateCropOverlay();
+        },
+
+        applyCrop: function () {
+            if (!isConvex(this.corners)) return;
+
+            this.setHint('Straightening...');
+
+            // Let the hint paint before the (synchronous) warp
+            requestAnimationFrame(() => setTimeout(() => {
+                if (!this.element || !this.photo) return;
+
+                const flattened = warpPerspective(this.photo, this.corners);
+                if (!flattened) {
+                    this.setHint('Those corners can\'t be straightened - try moving them apart');
+                    return;
+                }
+
+                this.flattened = flattened;
+                this.scanned = null;
+                this.showStage('adjust');
+                this.renderResult();
+            }, 0));
+        },
+
+        // ------------------------------------------------------------------
+        // Adjust
+        // ------------------------------------------------------------------
+
+        renderResult: function () {
+            if (!this.flattened) return;
+
+            let source = this.flattened;
+            if (this.filter === 'scan') {
+                this.scanned = this.scanned || applyScanFilter(this.flattened);
+                source = this.scanned;
+            }
+
+            drawRotated(this.query('result'), source, this.rotation);
+
+            const toggle = this.element.querySelector('[data-action="toggle-filter"]');
+            toggle.setAttribute('aria-pressed', String(this.filter === 'scan'));
+        },
+
+        finish: async function () {
+            if (this.multiPage) {
+                await this.addPage();
+                return;
+            }
+
+            const button = this.element.querySelector('[data-action="use"]');
+            button.disabled = true;
+
+            try {
+                const blob = await window.tbFileUtils.canvasToBlob(this.query('result'), 'image/jpeg', OUTPUT_QUALITY);
+                const file = new File([blob], createScanFilename('jpg'), { type: 'image/jpeg', lastModified: Date.now() });
+
+                track('document_camera_captured', {
+                    source: this.source,
+                    filter: this.filter,
+                    rotated: this.rotation !== 0
+                });
+
+                if (!(await this.deliver(file))) {
+                    button.disabled = false;
+                }
+            } catch (err) {
+                console.error('[Camera] Failed to encode photo:', err);
+                button.disabled = false;
+                this.setHint('The photo couldn\'t be saved - please try again');
+            }
+        },
+
+        /**
+         * Close with the result, or - when open() was given an attach callback -
+         * attach it first and stay open if that fails, so the photo or the
+         * collected pages are not lost.
+         * @param {File} file - Photo or PDF
+         * @returns {Promise<boolean>} Whether the view closed
+         */
+        deliver: async function (file) {
+            if (!this.attach) {
+                this.close(file);
+                return true;
+            }
+
+            this.setHint('Attaching...');
+
+            let outcome;
+            try {
+                outcome = await this.attach(file);
+            } catch (err) {
+                console.error('[Camera] Failed to attach file:', err);
+                outcome = { accepted: false };
+            }
+
+            if (!this.element) return true;
+
+            if (outcome.accepted) {
+                this.close(file);
+                return true;
+            }
+
+            this.setHint(describeAttachFailure(outcome, this.pages.length));
+            return false;
+        },
+
+        // ------------------------------------------------------------------
+        // Multi-page
+        // ------------------------------------------------------------------
+
+        /**
+         * Estimated size of the PDF built from the collected pages, optionally
+         * with one more page of extraBytes.
+         */
+        estimatePdfSize: function (extraBytes) {
+            const pageBytes = this.pages.reduce((sum, page) => sum + page.blob.size + PDF_PAGE_OVERHEAD_BYTES, 0);
+            return PDF_OVERHEAD_BYTES + pageBytes + (extraBytes ? extraBytes + PDF_PAGE_OVERHEAD_BYTES : 0);
+        },
+
+        addPage: async function () {
+            const button = this.element.querySelector('[data-action="use"]');
+            button.disabled = true;
+
+            try {
+                const result = this.query('result');
+                const blob = await window.tbFileUtils.canvasToBlob(scaleCanvas(result, PDF_PAGE_MAX_EDGE), 'image/jpeg', PDF_PAGE_QUALITY);
+                if (!this.element) return;
+
+                // Stop before the PDF outgrows the upload limit rather than have it rejected later
+                if (this.estimatePdfSize(blob.size) > this.maxBytes) {
+                    const limit = `${Math.round(this.maxBytes / (1024 * 1024))}MB`;
+                    if (this.pages.length === 0) {
+                        this.setHint(`This page is over the ${limit} upload limit - please retake it`);
+                        return;
+                    }
+
+                    this.showPages();
+                    this.setHint(`Another page would take the PDF over ${limit} - create it now and scan the rest as a second document`);
+                    return;
+                }
+
+                const thumbnail = scaleCanvas(result, THUMBNAIL_EDGE);
+                thumbnail.className = 'tb-camera__page-thumb';
+                this.pages.push({ blob: blob, thumbnail: thumbnail });
+
+                if (this.pages.length >= MAX_PAGES) {
+                    this.showPages();
+                    this.setHint(`That's the maximum of ${MAX_PAGES} pages for one document`);
+                } else {
+                    this.retake();
+                    this.setHint(`Page ${this.pages.length} added - scan the next page`);
+                }
+            } catch (err) {
+                console.error('[Camera] Failed to encode page:', err);
+                this.setHint('The page couldn\'t be saved - please try again');
+            } finally {
+                button.disabled = false;
+            }
+        },
+
+        showPages: function () {
+            this.photo = this.corners = this.flattened = this.scanned = null;
+            this.showStage('pages');
+            this.renderPages();
+        },
+
+        renderPages: function () {
+            const list = this.query('page-list');
+            const count = this.pages.length;
+            list.textContent = '';
+
+            this.pages.forEach((page, index) => {
+                const number = index + 1;
+                const item = document.createElement('li');
+                item.className = 'tb-camera__page';
+                item.innerHTML = `
+                    <span class="tb-camera__page-number">${number}</span>
+                    <div class="tb-camera__page-actions">
+                        <button type="button" class="tb-camera__icon-btn" data-action="page-earlier" data-index="${index}"
+                                aria-label="Move page ${number} earlier" ${index === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-arrow-left" aria-hidden="true"></i>
+                        </button>
+                        <button type="button" class="tb-camera__icon-btn" data-action="page-delete" data-index="${index}"
+                                aria-label="Delete page ${number}">
+                            <i class="fas fa-trash-can" aria-hidden="true"></i>
+                        </button>
+                        <button type="button" class="tb-camera__icon-btn" data-action="page-later" data-index="${index}"
+                                aria-label="Move page ${number} later" ${index === count - 1 ? 'disabled' : ''}>
+                            <i class="fas fa-arrow-right" aria-hidden="true"></i>
+                        </button>
+                    </div>
+                `;
+                item.insertBefore(page.thumbnail, item.firstChild);
+                list.appendChild(item);
+            });
+
+            this.updatePageControls();
+        },
+
+        movePage: function (index, offset) {
+            const target = index + offset;
+            if (target < 0 || target >= this.pages.length) return;
+
+            const [page] = this.pages.splice(index, 1);
+            this.pages.splice(target, 0, page);
+            this.renderPages();
+            this.setHint(`Moved to page ${target + 1}`);
+
+            // Keep focus on the page that moved, if it can move further
+            const action = offset < 0 ? 'page-earlier' : 'page-later';
+            const button = this.query('page-list').querySelector(`[data-action="${action}"][data-index="${target}"]`)
+                || this.query('page-list').querySelector(`[data-action="page-delete"][data-index="${target}"]`);
+            if (button && !button.disabled) button.focus({ preventScroll: true });
+        },
+
+        deletePage: function (index) {
+            this.pages.splice(index, 1);
+
+            if (this.pages.length === 0) {
+                this.retake();
+                return;
+            }
+
+            this.renderPages();
+            this.setHint(`Page ${index + 1} deleted`);
+        },
+
+        createPdf: async function () {
+            if (this.pages.length === 0 || !window.tbPdf) return;
+
+            const button = this.element.querySelector('[data-action="create-pdf"]');
+            button.disabled = true;
+            this.setHint('Creating PDF...');
+
+            try {
+                const pageCount = this.pages.length;
+                const blob = await window.tbPdf.fromJpegs(this.pages.map(page => page.blob), { title: 'Scanned document' });
+                const file = new File([blob], createScanFilename('pdf'), { type: 'application/pdf', lastModified: Date.now() });
+
+                track('document_camera_pdf_created', { pages: pageCount, filter: this.filter });
+
+                if (!(await this.deliver(file))) {
+                    button.disabled = false;
+                }
+            } catch (err) {
+                console.error('[Camera] Failed to create PDF:', err);
+                button.disabled = false;
+                this.setHint('The PDF couldn\'t be created - please try again');
+            }
+        }
+    };
+
+    // Expose API for attachment-drop.js
+    window.tbCamera = {
+        /**
+         * Whether a live camera preview is possible (the view still opens
+         * without one and offers the camera app / photo library instead).
+         */
+        isSupported: function () {
+            return isSupported();
+        },
+
+        /**
+         * Show the capture view.
+         * @param {Object} options - {multiPage: start in multi-page (PDF) mode}
+         * @returns {Promise<File|null>} Flattened JPEG or multi-page PDF, or null when cancelled
+         */
+        open: function (options) {
+            return DocumentCamera.open(options);
+        },
+
+        close: function () {
+            DocumentCamera.close(null);
+        },
+
+        isOpen: function () {
+            return DocumentCamera.isOpen();
+        }
+    };
+})();
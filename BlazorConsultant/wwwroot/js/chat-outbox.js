@@ -0,0 +1,683 @@
+/**
+ * TailorBlend Offline Outbox
+ *
+ * Queues chat messages (and their base64 attachments) in IndexedDB while the
+ * browser is offline and replays them in order once connectivity returns.
+ * Blazor Server cannot receive composer events without a connection, so the
+ * send button and Enter key are intercepted here while offline.
+ *
+ * Replay is triggered by Background Sync (service-worker.js posts
+ * OUTBOX_REPLAY to open pages) where supported, and by the `online` event
+ * otherwise. Each entry is handed to Blazor via `OnOutboxReplay`; the queue
+ * stops at the first entry Blazor does not accept so ordering is preserved.
+ * Tabs take turns replaying (Web Locks), so no entry is sent twice.
+ *
+ * The pending list is rendered here, into an element Blazor leaves empty,
+ * so queued messages show up while the circuit is down.
+ *
+ * Entries remember the consultation (session id) they were written in and
+ * are only replayed into it. Each registered tab holds a Web Lock named after
+ * its session; an entry whose session no tab holds any more (page reloaded,
+ * consultation reset) is shown as an orphaned draft the user can move back
+ * into the composer or discard, never sent into another consultation.
+ *
+ * Staged picker files are read with window.tbFileUtils (file-utils.js).
+ */
+
+(function () {
+    'use strict';
+
+    const DB_NAME = 'tailorblend-outbox';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'messages';
+
+    // Must match OUTBOX_SYNC_TAG in service-worker.js
+    const SYNC_TAG = 'tb-outbox-replay';
+
+    // Only one tab replays at a time (see withReplayLock)
+    const REPLAY_LOCK = 'tb-outbox-replay';
+
+    // Held by each registered tab for its session (see holdSessionLock)
+    const SESSION_LOCK_PREFIX = 'tb-outbox-session:';
+
+    const RETRY_BASE_MS = 5000;
+    const RETRY_MAX_MS = 60000;
+
+    const DEFAULT_OPTIONS = {
+        inputSelector: '.tb-chat-input',
+        sendButtonSelector: '.tb-chat-send-btn',
+        fileInputSelector: '[data-tb-file-input]',
+        listSelector: '[data-tb-outbox-list]',
+        sessionId: null,
+        maxFileSizeMB: 10,
+        maxFiles: 5,
+        imageOptions: true,
+        replayMethod: 'OnOutboxReplay'
+    };
+
+    // Debug-only logging (tbTelemetry debug switch) - a no-op without telemetry.js
+    function log(...args) {
+        if (window.tbTelemetry) window.tbTelemetry.debug('[Outbox]', ...args);
+    }
+
+    // ============================================================================
+    // INDEXEDDB
+    // ============================================================================
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        // Auto-increment keys give us FIFO order for free
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run a single request against the store and resolve with its result.
+     */
+    async function withStore(mode, action) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = action(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    const store = {
+        add: (entry) => withStore('readwrite', s => s.add(entry)),
+        get: (id) => withStore('readonly', s => s.get(id)),
+        getAll: () => withStore('readonly', s => s.getAll()),
+        remove: (id) => withStore('readwrite', s => s.delete(id))
+    };
+
+    /**
+     * Run a replay while holding a lock shared by every tab, so two tabs
+     * reconnecting together cannot send the same entry twice. The second tab
+     * waits, then finds the entries already removed. Browsers without the
+     * Web Locks API run it directly.
+     */
+    function withReplayLock(action) {
+        if (navigator.locks && typeof navigator.locks.request === 'function') {
+            return navigator.locks.request(REPLAY_LOCK, action);
+        }
+        return action();
+    }
+
+    // ============================================================================
+    // OUTBOX
+    // ============================================================================
+
+    function createIcon(name) {
+        const icon = document.createElement('i');
+        icon.className = `fas fa-${name}`;
+        icon.setAttribute('aria-hidden', 'true');
+        return icon;
+    }
+
+    function stripExtension(filename) {
+        const dot = filename.lastIndexOf('.');
+        return dot > 0 ? filename.slice(0, dot) : filename;
+    }
+
+    /**
+     * Turn a queued attachment back into a File for the composer.
+     */
+    function toFile(attachment) {
+        const binary = atob(attachment.base64_data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new File([bytes], attachment.filename, { type: attachment.mime_type });
+    }
+
+    const Outbox = {
+        dotNetRef: null,
+        options: { ...DEFAULT_OPTIONS },
+        listenersBound: false,
+        replaying: false,
+        retryTimer: null,
+        retryDelay: RETRY_BASE_MS,
+        pending: [],            // Queued entries without attachment data, in send order
+        sendingId: null,        // Entry currently being replayed
+        releaseSessionLock: null,
+
+        // Attachments selected in the composer, mirrored here so they can be
+        // queued without a round trip to Blazor. Keyed by filename.
+        staged: new Map(),
+
+        /**
+         * Register the Blazor component that replays pending entries.
+         * @param {DotNetObjectReference} dotNetRef - Component reference
+         * @param {Object} options - Overrides for DEFAULT_OPTIONS
+         */
+        register: function (dotNetRef, options) {
+            this.dotNetRef = dotNetRef;
+            this.options = { ...DEFAULT_OPTIONS, ...(options || {}) };
+            this.holdSessionLock(this.options.sessionId);
+
+            if (!this.listenersBound) {
+                // Capture on window runs before Blazor's document-level event delegation
+                window.addEventListener('click', (e) => this.handleClick(e), true);
+                window.addEventListener('keydown', (e) => this.handleKeyDown(e), true);
+                document.addEventListener('change', (e) => this.handleFileInputChange(e), true);
+                window.addEventListener('online', () => {
+                    this.renderPending();
+                    this.replay();
+                });
+                window.addEventListener('offline', () => this.renderPending());
+                window.addEventListener('tbConnectionStateChanged', (e) => {
+                    this.renderPending();
+                    if (e.detail.state === 'connected') this.replay();
+                });
+
+                if ('serviceWorker' in navigator) {
+                    navigator.serviceWorker.addEventListener('message', (e) => {
+                        if (e.data && e.data.type === 'OUTBOX_REPLAY') {
+                            this.replay();
+                        }
+                    });
+                }
+
+                this.listenersBound = true;
+            }
+
+            this.notifyChanged().then(() => this.replay());
+        },
+
+        /**
+         * Stop delivering entries to Blazor (called when the component is disposed).
+         * Queued entries stay in IndexedDB for the next visit.
+         */
+        unregister: function () {
+            this.dotNetRef = null;
+            this.staged.clear();
+            this.holdSessionLock(null);
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        },
+
+        /**
+         * Switch to a new consultation. Entries queued in the previous one
+         * become orphaned drafts rather than being sent into this one.
+         * @param {string} sessionId - SessionService.SessionId
+         */
+        setSession: function (sessionId) {
+            this.options.sessionId = sessionId;
+            this.holdSessionLock(sessionId);
+            this.notifyChanged();
+        },
+
+        /**
+         * Hold a Web Lock for the session while this tab is registered, so other
+         * tabs can tell a live session's entries from orphaned ones. The lock is
+         * dropped with the page, or here when the session changes.
+         */
+        holdSessionLock: function (sessionId) {
+            if (this.releaseSessionLock) {
+                this.releaseSessionLock();
+                this.releaseSessionLock = null;
+            }
+
+            if (!sessionId || !navigator.locks) return;
+
+            navigator.locks.request(SESSION_LOCK_PREFIX + sessionId, () => new Promise(resolve => {
+                this.releaseSessionLock = resolve;
+            })).catch(err => console.warn('[Outbox] Failed to hold session lock:', err));
+        },
+
+        /**
+         * Sessions held by an open tab (including this one).
+         * @returns {Promise<Set<string>>}
+         */
+        liveSessions: async function () {
+            const sessions = new Set([this.options.sessionId]);
+            if (!navigator.locks || typeof navigator.locks.query !== 'function') {
+                // Without Web Locks every other session counts as orphaned
+                return sessions;
+            }
+
+            const { held } = await navigator.locks.query();
+            (held || [])
+                .filter(lock => lock.name && lock.name.startsWith(SESSION_LOCK_PREFIX))
+                .forEach(lock => sessions.add(lock.name.slice(SESSION_LOCK_PREFIX.length)));
+            return sessions;
+        },
+
+        /**
+         * Offline means no network or no Blazor circuit (reconnect.js) -
+         * either way composer events cannot reach the server.
+         */
+        isOffline: function () {
+            return navigator.onLine === false ||
+                (!!window.tbReconnect && !window.tbReconnect.isConnected());
+        },
+
+        handleClick: function (e) {
+            if (!this.dotNetRef || !this.isOffline()) return;
+            if (!(e.target instanceof Element) || !e.target.closest(this.options.sendButtonSelector)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.queueComposer();
+        },
+
+        handleKeyDown: function (e) {
+            if (!this.dotNetRef || !this.isOffline()) return;
+            if (e.key !== 'Enter' || e.shiftKey || e.isComposing) return;
+            if (!(e.target instanceof Element) || !e.target.closest(this.options.inputSelector)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.queueComposer();
+        },
+
+        handleFileInputChange: function (e) {
+            if (!this.dotNetRef) return;
+            if (!(e.target instanceof HTMLInputElement) || !e.target.matches(this.options.fileInputSelector)) return;
+
+            Array.from(e.target.files || []).forEach(file => this.staged.set(file.name, file));
+        },
+
+        /**
+         * Mirror a file Blazor accepted from drag-and-drop or paste.
+         * @param {Object} attachment - FileAttachment produced by tbFileUtils.readFileList
+         */
+        stageAttachment: function (attachment) {
+            this.staged.set(attachment.filename, attachment);
+        },
+
+        /**
+         * Forget a file removed from the composer. Picked files are staged under
+         * their original name, but Blazor knows them by the name the image
+         * pipeline gave them (e.g. IMG_0001.heic becomes IMG_0001.jpg), so the
+         * extension is ignored for those.
+         */
+        unstageAttachment: function (filename) {
+            if (this.staged.delete(filename)) return;
+
+            const baseName = stripExtension(filename);
+            for (const [key, item] of this.staged) {
+                if (item instanceof File && stripExtension(key) === baseName) {
+                    this.staged.delete(key);
+                    return;
+                }
+            }
+        },
+
+        clearStaged: function () {
+            this.staged.clear();
+        },
+
+        /**
+         * Read staged files into base64 attachments. Files the composer would
+         * have rejected (too large, blocked type) are skipped.
+         */
+        readStagedAttachments: async function () {
+            const { maxFileSizeMB, maxFiles, imageOptions } = this.options;
+            const attachments = [];
+
+            for (const item of Array.from(this.staged.values()).slice(0, maxFiles)) {
+                if (!(item instanceof File)) {
+                    attachments.push(item);
+                    continue;
+                }
+
+                try {
+                    const [result] = await window.tbFileUtils.readFileList([item], maxFileSizeMB, imageOptions);
+                    if (result) {
+                        // Queued messages are never previewed - don't store the thumbnail
+                        const { preview, ...attachment } = result;
+                        if (preview) window.releaseFilePreview(preview.preview_id);
+                        attachments.push(attachment);
+                    }
+                } catch (err) {
+                    console.warn('[Outbox] Skipping attachment:', item.name, err);
+                }
+            }
+
+            return attachments;
+        },
+
+        /**
+         * Move the composer's text and staged attachments into the outbox.
+         */
+        queueComposer: async function () {
+            const input = document.querySelector(this.options.inputSelector);
+            const text = input ? input.value.trim() : '';
+            if (!text) return;
+
+            input.value = '';
+            const attachments = await this.readStagedAttachments();
+            this.staged.clear();
+
+            try {
+                await this.enqueue(text, attachments);
+
+                if (window.tbDrafts && input.dataset.tbDraft) {
+                    window.tbDrafts.clear(input.dataset.tbDraft);
+                }
+            } catch (err) {
+                // Put the text back rather than losing the question
+                console.error('[Outbox] Failed to queue message:', err);
+                input.value = text;
+            }
+        },
+
+        /**
+         * Queue a message for later delivery.
+         * @param {string} text - Message text
+         * @param {Array} attachments - FileAttachment objects (snake_case, base64)
+         * @returns {Promise<number>} Outbox entry id
+         */
+        enqueue: async function (text, attachments) {
+            const id = await store.add({
+                sessionId: this.options.sessionId,
+                text: text,
+                attachments: attachments || [],
+                createdAt: new Date().toISOString()
+            });
+
+            log('Queued message', id);
+            await this.notifyChanged();
+            this.requestSync();
+            return id;
+        },
+
+        /**
+         * Ask the service worker to fire a sync event when connectivity returns.
+         * Browsers without Background Sync fall back to the `online` listener.
+         */
+        requestSync: function () {
+            if (!('serviceWorker' in navigator)) return;
+
+            navigator.serviceWorker.ready
+                .then(registration => registration.sync ? registration.sync.register(SYNC_TAG) : null)
+                .catch(err => console.warn('[Outbox] Background Sync registration failed:', err));
+        },
+
+        /**
+         * Send pending entries to Blazor in order. Stops at the first failure
+         * and retries with backoff (e.g. the circuit is still reconnecting).
+         */
+        replay: async function () {
+            if (this.replaying || !this.dotNetRef || this.isOffline()) return;
+
+            this.replaying = true;
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+
+            let blocked = false;
+            try {
+                blocked = await withReplayLock(() => this.replayEntries());
+            } catch (err) {
+                console.error('[Outbox] Replay error:', err);
+                blocked = true;
+            } finally {
+                this.replaying = false;
+            }
+
+            if (blocked) {
+                this.scheduleRetry();
+            } else {
+                this.retryDelay = RETRY_BASE_MS;
+            }
+        },
+
+        /**
+         * Send this consultation's entries, removing each once Blazor accepts it.
+         * Runs under the replay lock, so the queue is read fresh here.
+         * @returns {Promise<boolean>} Whether an entry was left unsent
+         */
+        replayEntries: async function () {
+            // Another tab may have queued or sent entries meanwhile
+            await this.notifyChanged();
+
+            // Only this consultation's entries - others are sent by their own tab or shown as orphans
+            const entries = (await store.getAll())
+                .filter(entry => entry.sessionId === this.options.sessionId);
+
+            for (const entry of entries) {
+                const dotNetRef = this.dotNetRef;
+                if (!dotNetRef || this.isOffline()) {
+                    return true;
+                }
+
+                this.sendingId = entry.id;
+                this.renderPending();
+
+                let accepted = false;
+                try {
+                    // Attachment data is streamed - a queued message can hold several 10MB files
+                    accepted = await dotNetRef.invokeMethodAsync(this.options.replayMethod, {
+                        ...entry,
+                        attachments: entry.attachments.map(a => window.tbFileUtils.toDotNetAttachment(a))
+                    });
+                } catch (err) {
+                    console.warn('[Outbox] Replay failed, will retry:', err);
+                } finally {
+                    this.sendingId = null;
+                }
+
+                if (!accepted) {
+                    this.renderPending();
+                    return true;
+                }
+
+                await store.remove(entry.id);
+                await this.notifyChanged();
+            }
+
+            return false;
+        },
+
+        scheduleRetry: function () {
+            if (!this.dotNetRef || this.retryTimer) return;
+
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.replay();
+            }, this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, RETRY_MAX_MS);
+        },
+
+        /**
+         * Move an orphaned entry back into the composer - text and attachments -
+         * so the user can send it here deliberately, then drop it from the queue.
+         * @param {number} id - Outbox entry id
+         */
+        restoreOrphan: async function (id) {
+            const entry = await store.get(id);
+            if (!entry) return;
+
+            const input = document.querySelector(this.options.inputSelector);
+            if (input) {
+                const current = input.value.trim();
+                input.value = current ? `${current}\n\n${entry.text}` : entry.text;
+
+                // Let Blazor's @bind pick up the value
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+                input.focus();
+            }
+
+            if (entry.attachments.length > 0 && window.tbAttachments) {
+                await window.tbAttachments.attachFiles(entry.attachments.map(toFile));
+            }
+
+            await store.remove(id);
+            await this.notifyChanged();
+        },
+
+        /**
+         * Delete an orphaned entry without sending it.
+         * @param {number} id - Outbox entry id
+         */
+        discardOrphan: async function (id) {
+            await store.remove(id);
+            await this.notifyChanged();
+        },
+
+        /**
+         * Reload the pending list (without attachment data), render it and
+         * tell JS listeners. Entries of another open tab's session are left
+         * to that tab.
+         */
+        notifyChanged: async function () {
+            try {
+                const liveSessions = await this.liveSessions();
+                this.pending = (await store.getAll())
+                    .filter(entry => entry.sessionId === this.options.sessionId || !liveSessions.has(entry.sessionId))
+                    .map(entry => ({
+                        id: entry.id,
+                        orphaned: entry.sessionId !== this.options.sessionId,
+                        text: entry.text,
+                        createdAt: entry.createdAt,
+                        attachments: entry.attachments.map(a => ({
+                            filename: a.filename,
+                            mime_type: a.mime_type,
+                            file_size: a.file_size
+                        }))
+                    }));
+            } catch (err) {
+                console.warn('[Outbox] Failed to read queue:', err);
+                return;
+            }
+
+            this.renderPending();
+            window.dispatchEvent(new CustomEvent('tbOutboxChanged', { detail: { pending: this.pending } }));
+        },
+
+        /**
+         * Show the pending entries below the conversation (options.listSelector).
+         */
+        renderPending: function () {
+            const list = document.querySelector(this.options.listSelector);
+            if (!list) return;
+
+            list.textContent = '';
+            this.pending.forEach(entry => list.appendChild(this.createPendingItem(entry)));
+        },
+
+        createPendingItem: function (entry) {
+            const item = document.createElement('div');
+            item.className = 'tb-outbox-item';
+
+            const bubble = document.createElement('div');
+            bubble.className = 'tb-outbox-item__bubble';
+
+            const text = document.createElement('p');
+            text.textContent = entry.text;
+            bubble.appendChild(text);
+
+            if (entry.attachments.length > 0) {
+                const attachments = document.createElement('p');
+                attachments.className = 'tb-outbox-item__attachments';
+                attachments.append(createIcon('paperclip'), ' ' + entry.attachments.map(a => a.filename).join(', '));
+                bubble.appendChild(attachments);
+            }
+
+            const status = document.createElement('span');
+            status.className = 'tb-outbox-item__status';
+            if (entry.orphaned) {
+                item.classList.add('tb-outbox-item--orphaned');
+                status.append(createIcon('circle-exclamation'), 'Not sent - written in an earlier consultation');
+                item.append(bubble, status, this.createOrphanActions(entry));
+                return item;
+            }
+
+            if (entry.id === this.sendingId) {
+                status.append(createIcon('paper-plane'), 'Sending...');
+            } else if (this.isOffline()) {
+                status.append(createIcon('clock'), 'Pending - sends when you\'re back online');
+            } else {
+                status.append(createIcon('clock'), 'Pending - retrying shortly');
+            }
+
+            item.append(bubble, status);
+            return item;
+        },
+
+        createOrphanActions: function (entry) {
+            const actions = document.createElement('div');
+            actions.className = 'tb-outbox-item__actions';
+
+            // Blazor cannot take the text or files while the circuit is down
+            const disabled = this.isOffline();
+
+            const restore = document.createElement('button');
+            restore.type = 'button';
+            restore.className = 'tb-outbox-item__action';
+            restore.disabled = disabled;
+            restore.append(createIcon('pen'), 'Edit as draft');
+            restore.addEventListener('click', () => {
+                this.restoreOrphan(entry.id).catch(err => console.warn('[Outbox] Failed to restore draft:', err));
+            });
+
+            const discard = document.createElement('button');
+            discard.type = 'button';
+            discard.className = 'tb-outbox-item__action';
+            discard.disabled = disabled;
+            discard.append(createIcon('trash'), 'Discard');
+            discard.addEventListener('click', () => {
+                this.discardOrphan(entry.id).catch(err => console.warn('[Outbox] Failed to discard draft:', err));
+            });
+
+            actions.append(restore, discard);
+            return actions;
+        }
+    };
+
+    // Expose API for Blazor
+    window.tbOutbox = {
+        register: function (dotNetRef, options) {
+            Outbox.register(dotNetRef, options);
+        },
+        unregister: function () {
+            Outbox.unregister();
+        },
+        /**
+         * Whether a page is queuing messages (reconnect.js words its overlay on this).
+         */
+        isRegistered: function () {
+            return !!Outbox.dotNetRef;
+        },
+        enqueue: function (text, attachments) {
+            return Outbox.enqueue(text, attachments);
+        },
+        replay: function () {
+            return Outbox.replay();
+        },
+        setSession: function (sessionId) {
+            Outbox.setSession(sessionId);
+        },
+        stageAttachment: function (attachment) {
+            Outbox.stageAttachment(attachment);
+        },
+        unstageAttachment: function (filename) {
+            Outbox.unstageAttachment(filename);
+        },
+        clearStaged: function () {
+            Outbox.clearStaged();
+        }
+    };
+})();
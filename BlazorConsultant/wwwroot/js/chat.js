@@ -4,18 +4,260 @@
  * Utility functions for Blazor UI enhancements.
  */
 
+// ============================================================================
+// SMART AUTO-SCROLL
+// ============================================================================
+
 /**
- * Scroll to bottom of messages container.
- * Called after each message or token to keep latest content visible.
+ * Auto-scroll controller for message lists.
+ *
+ * Follows new content only while the user is "pinned" to the bottom. Once
+ * they scroll up to reread something, updates are counted instead and a
+ * "Jump to latest (N new)" pill is shown. Scroll work is coalesced into one
+ * requestAnimationFrame per controller, so per-token calls stay cheap.
  *
- * @param {HTMLElement} element - The messages container element
+ * A container that does not scroll itself (e.g. the practitioner workspace)
+ * is followed through the page scroll instead.
  */
-window.scrollToBottom = function (element) {
-    if (element) {
-        element.scrollTo({
-            top: element.scrollHeight,
-            behavior: 'smooth'
-        });
+const SCROLL_PIN_THRESHOLD_PX = 48;
+const SCROLL_MESSAGE_SELECTOR = '.tb-message';
+
+const scrollControllers = new WeakMap();
+
+function resolveScrollTarget(target) {
+    if (typeof target === 'string') {
+        return document.getElementById(target) || document.querySelector(target);
+    }
+    return target instanceof Element ? target : null;
+}
+
+function prefersReducedMotion() {
+    return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function createScrollController(element) {
+    const style = getComputedStyle(element);
+    const ownScroll = /(auto|scroll)/.test(style.overflowY);
+
+    let pinned = true;
+    let frame = 0;
+    let pendingFollow = false;
+    let autoScrolling = false;
+    let baselineCount = 0;
+    let pill = null;
+
+    function distanceFromBottom() {
+        if (ownScroll) {
+            return element.scrollHeight - element.scrollTop - element.clientHeight;
+        }
+        return element.getBoundingClientRect().bottom - window.innerHeight;
+    }
+
+    // Virtualized lists (virtual-list.js) only mount part of the messages,
+    // so prefer the total the component renders into data-tb-count
+    function messageCount() {
+        if (element.dataset.tbCount !== undefined) {
+            return parseInt(element.dataset.tbCount, 10) || 0;
+        }
+        return element.querySelectorAll(SCROLL_MESSAGE_SELECTOR).length;
+    }
+
+    function scrollToEnd(behavior) {
+        if (ownScroll) {
+            element.scrollTo({ top: element.scrollHeight, behavior: behavior });
+        } else {
+            const top = window.scrollY + element.getBoundingClientRect().bottom - window.innerHeight;
+            window.scrollTo({ top: Math.max(0, top), behavior: behavior });
+        }
+    }
+
+    function setPinned(value) {
+        if (pinned === value) return;
+        pinned = value;
+
+        if (pinned) {
+            hidePill();
+        } else {
+            baselineCount = messageCount();
+        }
+    }
+
+    function onFrame() {
+        frame = 0;
+        if (detachIfRemoved()) return;
+
+        if (pendingFollow) {
+            pendingFollow = false;
+            if (pinned) {
+                // Instant while streaming - repeated smooth scrolls fight each other
+                scrollToEnd('auto');
+            }
+        }
+
+        if (!pinned) {
+            const newCount = Math.max(0, messageCount() - baselineCount);
+            if (newCount > 0) {
+                showPill(newCount);
+            }
+        }
+
+        positionPill();
+    }
+
+    function requestFrame() {
+        if (!frame) {
+            frame = requestAnimationFrame(onFrame);
+        }
+    }
+
+    function handleScroll() {
+        if (detachIfRemoved()) return;
+
+        const atBottom = distanceFromBottom() <= SCROLL_PIN_THRESHOLD_PX;
+
+        // Ignore the intermediate positions of our own smooth scroll
+        if (autoScrolling) {
+            if (atBottom) autoScrolling = false;
+            return;
+        }
+
+        setPinned(atBottom);
+        requestFrame();
+    }
+
+    // Scrolling up with wheel/touch is an explicit request to stop following
+    function handleUserIntent(e) {
+        if (e.type === 'wheel' && e.deltaY >= 0) return;
+        autoScrolling = false;
+    }
+
+    function showPill(count) {
+        if (!pill) {
+            pill = document.createElement('button');
+            pill.type = 'button';
+            pill.className = 'tb-scroll-pill';
+            pill.addEventListener('click', () => controller.jumpToLatest());
+            document.body.appendChild(pill);
+        }
+        pill.innerHTML = `<i class="fas fa-arrow-down" aria-hidden="true"></i> Jump to latest (${count} new)`;
+        pill.setAttribute('aria-label', `Jump to latest, ${count} new ${count === 1 ? 'message' : 'messages'}`);
+    }
+
+    function positionPill() {
+        if (!pill) return;
+
+        // Centre over the visible part of the container, just above its bottom edge
+        const rect = element.getBoundingClientRect();
+        const visibleBottom = Math.min(rect.bottom, window.innerHeight);
+        pill.style.left = `${rect.left + rect.width / 2}px`;
+        pill.style.top = `${visibleBottom - 16}px`;
+    }
+
+    function hidePill() {
+        if (pill) {
+            pill.remove();
+            pill = null;
+        }
+    }
+
+    // Blazor may drop the container on navigation - clean up instead of leaking listeners
+    function detachIfRemoved() {
+        if (element.isConnected) return false;
+        controller.destroy();
+        scrollControllers.delete(element);
+        return true;
+    }
+
+    const scrollSource = ownScroll ? element : window;
+    const handleResize = () => requestFrame();
+    scrollSource.addEventListener('scroll', handleScroll, { passive: true });
+    element.addEventListener('wheel', handleUserIntent, { passive: true });
+    element.addEventListener('touchmove', handleUserIntent, { passive: true });
+    window.addEventListener('resize', handleResize);
+
+    const controller = {
+        /**
+         * Content changed - follow it if pinned, otherwise update the pill.
+         * @param {boolean} force - Re-pin first (e.g. the user just sent a message)
+         */
+        update: function (force) {
+            if (force) {
+                autoScrolling = false;
+                setPinned(true);
+            }
+            pendingFollow = true;
+            requestFrame();
+        },
+
+        jumpToLatest: function () {
+            autoScrolling = !prefersReducedMotion();
+            setPinned(true);
+            scrollToEnd(prefersReducedMotion() ? 'auto' : 'smooth');
+        },
+
+        isPinned: function () {
+            return pinned;
+        },
+
+        destroy: function () {
+            if (frame) cancelAnimationFrame(frame);
+            scrollSource.removeEventListener('scroll', handleScroll);
+            element.removeEventListener('wheel', handleUserIntent);
+            element.removeEventListener('touchmove', handleUserIntent);
+            window.removeEventListener('resize', handleResize);
+            hidePill();
+        }
+    };
+
+    return controller;
+}
+
+function getScrollController(target) {
+    const element = resolveScrollTarget(target);
+    if (!element) return null;
+
+    let controller = scrollControllers.get(element);
+    if (!controller) {
+        controller = createScrollController(element);
+        scrollControllers.set(element, controller);
+    }
+    return controller;
+}
+
+/**
+ * Keep the messages container scrolled to the latest content.
+ * Called after each message or token; only scrolls while the user is pinned
+ * to the bottom (see createScrollController).
+ *
+ * @param {HTMLElement|string} target - Container element reference, element id or selector
+ * @param {boolean} force - Scroll even if the user has scrolled up
+ */
+window.scrollToBottom = function (target, force) {
+    const controller = getScrollController(target);
+    if (controller) {
+        controller.update(!!force);
+    }
+};
+
+window.tbScroll = {
+    jumpToLatest: function (target) {
+        const controller = getScrollController(target);
+        if (controller) controller.jumpToLatest();
+    },
+    isPinned: function (target) {
+        const controller = getScrollController(target);
+        return controller ? controller.isPinned() : true;
+    },
+    /**
+     * Remove listeners and the pill (call when the container is disposed).
+     */
+    detach: function (target) {
+        const element = resolveScrollTarget(target);
+        const controller = element && scrollControllers.get(element);
+        if (controller) {
+            controller.destroy();
+            scrollControllers.delete(element);
+        }
     }
 };
 
@@ -0,0 +1,293 @@
+/**
+ * TailorBlend Downloads & Consultation Export
+ *
+ * Saves files generated in Blazor (base64 over interop) and renders the
+ * consultation transcript as JSON, Markdown or printable HTML.
+ */
+
+(function () {
+    'use strict';
+
+    // Delay before revoking object URLs - revoking immediately cancels the
+    // download in some browsers (notably Firefox and older Safari)
+    const REVOKE_DELAY_MS = 4000;
+
+    // ============================================================================
+    // SAVING FILES
+    // ============================================================================
+
+    /**
+     * Decode a base64 string into a Blob.
+     * @param {string} base64 - Base64 data (without data URI prefix)
+     * @param {string} contentType - MIME type of the data
+     * @returns {Blob} Decoded blob
+     */
+    function base64ToBlob(base64, contentType) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: contentType || 'application/octet-stream' });
+    }
+
+    /**
+     * iOS home-screen apps ignore anchor downloads, so files must go through
+     * the share sheet instead ("Save to Files", Mail, AirDrop...).
+     */
+    function isIOSStandalone() {
+        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
+            (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1); // iPadOS reports as Mac
+        const standalone = window.navigator.standalone === true ||
+            (window.matchMedia && window.matchMedia('(display-mode: standalone)').matches);
+        return isIOS && standalone;
+    }
+
+    /**
+     * Try to hand the file to the Web Share API.
+     * @returns {Promise<boolean>} True if the share sheet handled the file
+     */
+    async function shareFile(blob, filename) {
+        if (typeof File !== 'function' || !navigator.canShare) {
+            return false;
+        }
+
+        const file = new File([blob], filename, { type: blob.type });
+        if (!navigator.canShare({ files: [file] })) {
+            return false;
+        }
+
+        try {
+            await navigator.share({ files: [file], title: filename });
+            return true;
+        } catch (err) {
+            // AbortError means the user closed the sheet - that still counts as handled
+            if (err && err.name === 'AbortError') {
+                return true;
+            }
+            console.warn('[Download] Share failed, falling back to download:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Trigger a download through a temporary anchor and object URL.
+     */
+    function anchorDownload(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.rel = 'noopener';
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+    }
+
+    /**
+     * Save a blob, using the share sheet on iOS standalone PWAs.
+     * @param {Blob} blob - The data to save
+     * @param {string} filename - Suggested filename
+     * @returns {Promise<string>} "shared" or "downloaded"
+     */
+    async function saveBlob(blob, filename) {
+        if (isIOSStandalone() && await shareFile(blob, filename)) {
+            return 'shared';
+        }
+
+        anchorDownload(blob, filename);
+        return 'downloaded';
+    }
+
+    /**
+     * Save a base64 payload produced in Blazor.
+     * Called from Chat.razor as JS.InvokeVoidAsync("downloadFile", filename, base64, contentType).
+     * @param {string} filename - Suggested filename
+     * @param {string} base64Content - Base64 file content
+     * @param {string} contentType - MIME type
+     * @returns {Promise<string>} "shared" or "downloaded"
+     */
+    window.downloadFile = function (filename, base64Content, contentType) {
+        return saveBlob(base64ToBlob(base64Content, contentType), filename);
+    };
+
+    // ============================================================================
+    // CONSULTATION RENDERING
+    // ============================================================================
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function roleLabel(role) {
+        return role === 'user' ? 'You' : 'TailorBlend AI';
+    }
+
+    function formatDateTime(value) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    function formatTime(value) {
+        return formatDateTime(value).slice(11, 16);
+    }
+
+    /**
+     * JSON export. Keeps the PascalCase shape of the original server-side export.
+     */
+    function renderJson(consultation) {
+        return JSON.stringify({
+            SessionId: consultation.sessionId,
+            ExportDate: consultation.exportDate,
+            Model: consultation.model,
+            Messages: consultation.messages.map(m => ({
+                Role: m.role,
+                Content: m.content,
+                Timestamp: m.timestamp
+            }))
+        }, null, 2);
+    }
+
+    function renderMarkdown(consultation) {
+        let markdown = '# TailorBlend Consultation\n\n';
+        markdown += `**Session ID:** ${consultation.sessionId || ''}\n`;
+        markdown += `**Date:** ${formatDateTime(consultation.exportDate)}\n`;
+        markdown += `**Model:** ${consultation.model || ''}\n\n`;
+        markdown += '---\n\n';
+
+        consultation.messages.forEach(message => {
+            markdown += `### ${roleLabel(message.role)} (${formatTime(message.timestamp)})\n\n`;
+            if (message.attachments && message.attachments.length > 0) {
+                markdown += `_Attachments: ${message.attachments.join(', ')}_\n\n`;
+            }
+            markdown += `${message.content}\n\n`;
+        });
+
+        return markdown;
+    }
+
+    /**
+     * Standalone printable HTML document. Message bodies arrive pre-rendered
+     * from Markdig; the CSP blocks any script that slipped into model output.
+     */
+    function renderHtml(consultation) {
+        const messages = consultation.messages.map(message => {
+            const attachments = message.attachments && message.attachments.length > 0
+                ? `<p class="attachments">Attachments: ${message.attachments.map(escapeHtml).join(', ')}</p>`
+                : '';
+            const body = message.html || `<p>${escapeHtml(message.content).replace(/\n/g, '<br>')}</p>`;
+
+            return `
+    <article class="message message--${message.role === 'user' ? 'user' : 'assistant'}">
+        <header><strong>${escapeHtml(roleLabel(message.role))}</strong><time>${escapeHtml(formatDateTime(message.timestamp))}</time></header>
+        ${attachments}
+        <div class="content">${body}</div>
+    </article>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:">
+    <title>TailorBlend Consultation - ${escapeHtml(formatDateTime(consultation.exportDate))}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; color: #111827; max-width: 760px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.6; }
+        h1 { font-size: 1.5rem; margin-bottom: 0.5rem; }
+        .meta { color: #4b5563; font-size: 0.875rem; border-bottom: 2px solid #4db8ad; padding-bottom: 1rem; margin-bottom: 1.5rem; }
+        .meta span { display: inline-block; margin-right: 1.5rem; }
+        .message { border: 1px solid #e5e7eb; border-radius: 0.75rem; padding: 1rem 1.25rem; margin-bottom: 1rem; page-break-inside: avoid; }
+        .message--user { background: #f3f4f6; }
+        .message header { display: flex; justify-content: space-between; font-size: 0.8125rem; color: #4b5563; margin-bottom: 0.5rem; }
+        .attachments { font-size: 0.8125rem; color: #6b7280; font-style: italic; }
+        .content table { border-collapse: collapse; width: 100%; }
+        .content th, .content td { border: 1px solid #d1d5db; padding: 0.375rem 0.5rem; text-align: left; }
+        .content pre { background: #f9fafb; padding: 0.75rem; overflow-x: auto; }
+        @media print { body { margin: 0; max-width: none; } .message { border-color: #d1d5db; } }
+    </style>
+</head>
+<body>
+    <h1>TailorBlend Consultation</h1>
+    <div class="meta">
+        <span><strong>Session ID:</strong> ${escapeHtml(consultation.sessionId)}</span>
+        <span><strong>Date:</strong> ${escapeHtml(formatDateTime(consultation.exportDate))}</span>
+        <span><strong>Model:</strong> ${escapeHtml(consultation.model)}</span>
+    </div>${messages}
+</body>
+</html>`;
+    }
+
+    const FORMATS = {
+        json: { render: renderJson, extension: 'json', contentType: 'application/json' },
+        markdown: { render: renderMarkdown, extension: 'md', contentType: 'text/markdown' },
+        html: { render: renderHtml, extension: 'html', contentType: 'text/html' }
+    };
+
+    /**
+     * Open the printable HTML in a hidden iframe and show the print dialog
+     * (which also offers "Save as PDF").
+     */
+    function printConsultation(consultation) {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.srcdoc = renderHtml(consultation);
+
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            // Printing is synchronous in most browsers; give the rest time to spool
+            setTimeout(() => frame.remove(), 60000);
+        };
+
+        document.body.appendChild(frame);
+    }
+
+    /**
+     * Export the consultation.
+     * @param {string} format - "json", "markdown", "html" or "print"
+     * @param {Object} consultation - {sessionId, model, exportDate, messages: [{role, content, html, timestamp, attachments}]}
+     * @param {string} baseFilename - Filename without extension (default: "tailorblend-consultation")
+     * @returns {Promise<string>} "shared", "downloaded" or "printed"
+     */
+    async function exportConsultation(format, consultation, baseFilename) {
+        const data = {
+            sessionId: consultation.sessionId || '',
+            model: consultation.model || '',
+            exportDate: consultation.exportDate || new Date().toISOString(),
+            messages: consultation.messages || []
+        };
+
+        if (format === 'print') {
+            printConsultation(data);
+            return 'printed';
+        }
+
+        const spec = FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const blob = new Blob([spec.render(data)], { type: `${spec.contentType};charset=utf-8` });
+        return saveBlob(blob, `${baseFilename || 'tailorblend-consultation'}.${spec.extension}`);
+    }
+
+    // Expose API for Blazor
+    window.tbExport = {
+        exportConsultation: exportConsultation,
+        renderMarkdown: renderMarkdown,
+        renderHtml: renderHtml,
+        saveBlob: saveBlob
+    };
+})();
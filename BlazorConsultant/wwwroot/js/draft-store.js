@@ -0,0 +1,295 @@
+/**
+ * TailorBlend Draft Autosave
+ *
+ * Persists what the user is typing into composer fields so a circuit
+ * reconnect, pull-to-refresh or accidental navigation does not wipe it.
+ *
+ * Fields opt in with `data-tb-draft="<field>"`. Drafts live in localStorage,
+ * keyed by page path and a per-tab session id (kept in sessionStorage, so it
+ * survives reloads but not closing the tab - the Blazor session id changes on
+ * every new circuit and cannot be used). Blazor removes and re-creates fields
+ * on re-render, so a MutationObserver restores drafts into new elements
+ * (at most once per animation frame - streamed replies mutate the page constantly).
+ *
+ * Pages call `tbDrafts.clear(field)` once a message has been sent.
+ */
+
+(function () {
+    'use strict';
+
+    const KEY_PREFIX = 'tb-draft:';
+    const TAB_SESSION_KEY = 'tb-draft-session';
+    const FIELD_SELECTOR = '[data-tb-draft]';
+
+    const DEFAULT_CONFIG = {
+        debounceMs: 400,
+        maxChars: 20000,          // Longer drafts are truncated
+        maxDrafts: 30,            // Oldest drafts beyond this are evicted
+        maxAgeMs: 7 * 24 * 60 * 60 * 1000
+    };
+
+    // Debug-only logging (tbTelemetry debug switch) - a no-op without telemetry.js
+    function log(...args) {
+        if (window.tbTelemetry) window.tbTelemetry.debug('[Drafts]', ...args);
+    }
+
+    // ============================================================================
+    // STORAGE
+    // ============================================================================
+
+    function getTabSessionId() {
+        try {
+            let id = sessionStorage.getItem(TAB_SESSION_KEY);
+            if (!id) {
+                id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+                sessionStorage.setItem(TAB_SESSION_KEY, id);
+            }
+            return id;
+        } catch (err) {
+            // Storage disabled (e.g. private mode lockdown) - drafts still work for this page view
+            return 'default';
+        }
+    }
+
+    function draftKey(field, path) {
+        return `${KEY_PREFIX}${getTabSessionId()}:${path || location.pathname}:${field}`;
+    }
+
+    function readDraft(key) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * All stored drafts as [{key, updatedAt}], oldest first.
+     */
+    function listDrafts() {
+        const drafts = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(KEY_PREFIX)) {
+                const draft = readDraft(key);
+                drafts.push({ key: key, updatedAt: draft ? draft.updatedAt : 0 });
+            }
+        }
+        return drafts.sort((a, b) => a.updatedAt - b.updatedAt);
+    }
+
+    const DraftStore = {
+        config: { ...DEFAULT_CONFIG },
+        timers: new WeakMap(),
+        restored: new WeakSet(),
+        observer: null,
+        restoreFrame: null,
+        initialized: false,
+
+        init: function () {
+            if (this.initialized) return;
+
+            this.prune();
+
+            document.addEventListener('input', (e) => this.handleInput(e));
+
+            // Flush pending saves before the page goes away
+            window.addEventListener('pagehide', () => this.flushAll());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flushAll();
+            });
+
+            this.observer = new MutationObserver((records) => this.scheduleRestore(records));
+            this.observer.observe(document.body, { childList: true, subtree: true });
+
+            // Blazor Web App enhanced navigation swaps page content without a reload
+            document.addEventListener('blazor:enhancednavigation', () => this.restoreAll());
+            if (window.Blazor && typeof window.Blazor.addEventListener === 'function') {
+                try {
+                    window.Blazor.addEventListener('enhancedload', () => this.restoreAll());
+                } catch (err) {
+                    // Blazor Server does not raise enhancedload - the observer covers re-renders
+                }
+            }
+
+            this.restoreAll();
+            this.initialized = true;
+        },
+
+        handleInput: function (e) {
+            const field = e.target instanceof Element ? e.target.closest(FIELD_SELECTOR) : null;
+            if (!field || field !== e.target) return;
+
+            clearTimeout(this.timers.get(field));
+            this.timers.set(field, setTimeout(() => this.save(field), this.config.debounceMs));
+        },
+
+        flushAll: function () {
+            document.querySelectorAll(FIELD_SELECTOR).forEach(field => {
+                if (this.timers.has(field)) {
+                    clearTimeout(this.timers.get(field));
+                    this.timers.delete(field);
+                    this.save(field);
+                }
+            });
+        },
+
+        save: function (field) {
+            this.timers.delete(field);
+
+            const key = draftKey(field.dataset.tbDraft);
+            const value = (field.value || '').slice(0, this.config.maxChars);
+
+            if (!value.trim()) {
+                localStorage.removeItem(key);
+                return;
+            }
+
+            const payload = JSON.stringify({ value: value, updatedAt: Date.now() });
+            try {
+                localStorage.setItem(key, payload);
+            } catch (err) {
+                // Quota exceeded - make room and try once more
+                this.prune(Math.floor(this.config.maxDrafts / 2));
+                try {
+                    localStorage.setItem(key, payload);
+                } catch (retryErr) {
+                    console.warn('[Drafts] Failed to save draft:', retryErr);
+                }
+            }
+        },
+
+        /**
+         * Coalesce DOM changes into one restore pass per frame. Only added
+         * elements can bring a new field, so text-only changes are ignored.
+         * @param {MutationRecord[]} records - Changes reported by the observer
+         */
+        scheduleRestore: function (records) {
+            if (this.restoreFrame !== null) return;
+
+            const addsElements = records.some(record =>
+                Array.from(record.addedNodes).some(node => node.nodeType === Node.ELEMENT_NODE));
+            if (!addsElements) return;
+
+            this.restoreFrame = requestAnimationFrame(() => {
+                this.restoreFrame = null;
+                this.restoreAll();
+            });
+        },
+
+        /**
+         * Restore drafts into fields that appeared since the last pass.
+         */
+        restoreAll: function () {
+            document.querySelectorAll(FIELD_SELECTOR).forEach(field => {
+                if (this.restored.has(field)) return;
+                this.restored.add(field);
+                this.restore(field);
+            });
+        },
+
+        restore: function (field) {
+            // Never overwrite what the page (or the user) already put there
+            if (field.value) return;
+
+            const draft = readDraft(draftKey(field.dataset.tbDraft));
+            if (!draft || !draft.value || Date.now() - draft.updatedAt > this.config.maxAgeMs) return;
+
+            field.value = draft.value;
+
+            // Let Blazor's @bind pick up the value (oninput or onchange binding)
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+
+            if (window.tbMobile && typeof window.tbMobile.autoResizeTextarea === 'function') {
+                window.tbMobile.autoResizeTextarea(field);
+            }
+
+            log('Restored draft:', field.dataset.tbDraft);
+        },
+
+        /**
+         * Remove a draft and cancel any pending save for it.
+         */
+        clear: function (field, path) {
+            document.querySelectorAll(FIELD_SELECTOR).forEach(el => {
+                if (el.dataset.tbDraft === field) {
+                    clearTimeout(this.timers.get(el));
+                    this.timers.delete(el);
+                }
+            });
+            localStorage.removeItem(draftKey(field, path));
+        },
+
+        clearPage: function (path) {
+            const prefix = draftKey('', path);
+            listDrafts()
+                .filter(draft => draft.key.startsWith(prefix))
+                .forEach(draft => localStorage.removeItem(draft.key));
+
+            document.querySelectorAll(FIELD_SELECTOR).forEach(el => {
+                clearTimeout(this.timers.get(el));
+                this.timers.delete(el);
+            });
+        },
+
+        /**
+         * Drop expired drafts, then evict the oldest beyond the limit.
+         * @param {number} limit - Drafts to keep (defaults to config.maxDrafts)
+         */
+        prune: function (limit) {
+            const keep = typeof limit === 'number' ? limit : this.config.maxDrafts;
+            const cutoff = Date.now() - this.config.maxAgeMs;
+
+            try {
+                const drafts = listDrafts();
+                const fresh = drafts.filter(draft => {
+                    if (draft.updatedAt < cutoff) {
+                        localStorage.removeItem(draft.key);
+                        return false;
+                    }
+                    return true;
+                });
+
+                fresh.slice(0, Math.max(0, fresh.length - keep))
+                    .forEach(draft => localStorage.removeItem(draft.key));
+            } catch (err) {
+                console.warn('[Drafts] Failed to prune drafts:', err);
+            }
+        }
+    };
+
+    // Expose API for Blazor
+    window.tbDrafts = {
+        /**
+         * Clear a field's draft after a successful send.
+         * @param {string} field - data-tb-draft value
+         * @param {string} path - Page path (defaults to the current page)
+         */
+        clear: function (field, path) {
+            DraftStore.clear(field, path);
+        },
+        clearPage: function (path) {
+            DraftStore.clearPage(path);
+        },
+        restore: function () {
+            DraftStore.restoreAll();
+        },
+        /**
+         * Save pending (debounced) drafts immediately, e.g. before a forced reload.
+         */
+        flush: function () {
+            DraftStore.flushAll();
+        },
+        configure: function (config) {
+            DraftStore.config = { ...DraftStore.config, ...(config || {}) };
+        }
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => DraftStore.init());
+    } else {
+        DraftStore.init();
+    }
+})();
@@ -1,38 +1,346 @@
 /**
  * File utility functions for file attachment support.
- * Handles reading files to base64 and MIME type detection.
+ * Handles reading files to base64, content-sniffing MIME detection with an
+ * allow-list policy, optional client-side image downscaling before upload,
+ * and attachment previews (thumbnails, PDF page counts, text snippets).
  */
 
+/**
+ * Defaults for the image pipeline. A 2048px longest edge keeps label text
+ * legible for the model while bringing a 12 MP photo well under 1 MB.
+ */
+const DEFAULT_IMAGE_OPTIONS = {
+    maxEdge: 2048,      // Longest edge in pixels after resizing
+    quality: 0.85,      // Encoder quality for JPEG/WebP output (0-1)
+    outputType: null    // Force an output MIME type; null keeps the source format family
+};
+
+// Source formats the image pipeline can re-encode. GIF is skipped so animations survive.
+const PROCESSABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+// Chunk size for incremental reads. Must be a multiple of 3 so each chunk
+// encodes to base64 without padding and the pieces can simply be joined.
+const READ_CHUNK_SIZE = 3 * 256 * 1024;
+
+// In-flight reads keyed by read id (for cancellation)
+const activeFileReads = new Map();
+
+// .NET progress subscribers keyed by subscription id
+const fileReadProgressSubscribers = new Map();
+let nextProgressSubscriptionId = 1;
+
+// Counter for default read ids - timestamps collide when two reads start together
+let nextFileReadId = 1;
+
+// Bytes inspected for magic numbers and UTF-8 validation
+const SNIFF_BYTES = 64 * 1024;
+
+// ZIP end-of-central-directory record: 22 bytes plus a comment of up to 64 KB
+const ZIP_EOCD_SEARCH_BYTES = 22 + 0xFFFF;
+const ZIP_MAX_CENTRAL_DIRECTORY_BYTES = 4 * 1024 * 1024;
+
+// Previews: thumbnails are small JPEGs shown through object URLs
+const PREVIEW_THUMBNAIL_EDGE = 320;
+const PREVIEW_THUMBNAIL_QUALITY = 0.7;
+const PREVIEW_SNIPPET_LINES = 6;
+const PREVIEW_SNIPPET_CHARS = 400;
+const PREVIEW_TEXT_CHARS = 20000;   // Shown in the lightbox
+
+// PDF previews: the first page is rendered with pdf.js (Mozilla, legacy build from the
+// pdfjs-dist package, vendored in wwwroot/lib/pdfjs so it works offline). Loaded on first use.
+const PDFJS_MODULE_URL = '/lib/pdfjs/pdf.min.mjs';
+const PDFJS_WORKER_URL = '/lib/pdfjs/pdf.worker.min.mjs';
+const PDF_PREVIEW_EDGE = 1200;      // Longest edge of the rendered page shown in the lightbox
+const PDF_PREVIEW_QUALITY = 0.85;
+let pdfjsPromise = null;
+
+// Full-size preview sources for the lightbox, keyed by preview id ({kind, url, thumbnail, text, title})
+const filePreviewSources = new Map();
+let nextPreviewId = 1;
+
+const MIME_DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const MIME_XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Upload policy. Anything not in allowedTypes is rejected; blocked types and
+ * extensions are rejected even if a caller widens the allow-list.
+ * Change at runtime with window.configureFilePolicy.
+ */
+const DEFAULT_FILE_POLICY = {
+    allowedTypes: [
+        'application/pdf',
+        'image/jpeg',
+        'image/png',
+        'image/gif',
+        'image/webp',
+        'image/heic',
+        'image/heif',
+        'text/plain',
+        'text/csv',
+        MIME_DOCX,
+        MIME_XLSX
+    ],
+    blockedTypes: [
+        'application/x-msdownload',
+        'application/x-executable',
+        'application/x-mach-binary',
+        'application/x-sh',
+        'application/zip',
+        'application/x-rar-compressed',
+        'application/x-7z-compressed',
+        'application/gzip',
+        'application/x-bzip2',
+        'application/x-xz'
+    ],
+    blockedExtensions: [
+        'exe', 'dll', 'msi', 'bat', 'cmd', 'com', 'scr', 'ps1', 'vbs', 'sh', 'js', 'jar', 'apk', 'app', 'dmg', 'iso',
+        'zip', 'rar', '7z', 'gz', 'tgz', 'tar', 'bz2', 'xz'
+    ],
+    // Reject files whose content does not match their extension / declared type
+    rejectMismatched: true
+};
+
+let filePolicy = clonePolicy(DEFAULT_FILE_POLICY);
+
+/**
+ * Error codes reported for rejected files.
+ */
+const FILE_ERROR_CODES = {
+    TOO_LARGE: 'FILE_TOO_LARGE',
+    EMPTY: 'FILE_EMPTY',
+    BLOCKED: 'TYPE_BLOCKED',
+    NOT_ALLOWED: 'TYPE_NOT_ALLOWED',
+    MISMATCH: 'TYPE_MISMATCH',
+    CANCELLED: 'READ_CANCELLED',
+    TOO_MANY: 'TOO_MANY_FILES'
+};
+
+/**
+ * Structured error for rejected or cancelled files.
+ * The message is prefixed with the code so it survives JS interop, where
+ * .NET only sees the message text (e.g. "[TYPE_MISMATCH] File ...").
+ */
+class FileValidationError extends Error {
+    constructor(code, message, details = {}) {
+        super(`[${code}] ${message}`);
+        this.name = code === FILE_ERROR_CODES.CANCELLED ? 'AbortError' : 'FileValidationError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            ...this.details
+        };
+    }
+}
+
 /**
  * Read a file from an input element and convert to base64.
+ * Files are read in chunks so the UI stays responsive, and progress is reported
+ * through the "fileReadProgress" window event and any subscribed .NET handlers.
  * @param {HTMLInputElement} inputElement - The file input element
  * @param {number} maxFileSizeMB - Maximum file size in MB (default: 10)
- * @returns {Promise<Array>} Array of file objects with {filename, base64_data, mime_type, file_size}
+ * @param {Object|boolean|null} imageOptions - Enable the image pipeline (true for defaults,
+ *        or {maxEdge, quality, outputType}); null leaves images untouched
+ * @param {string|null} readId - Optional id used to correlate progress events and to cancel via cancelFileRead
+ * @returns {Promise<Array>} Array of file objects with {filename, base64_data, mime_type, file_size, original_file_size, preview}
+ *          (preview is described at createFilePreview, or null)
  */
-window.readFilesAsBase64 = async function (inputElement, maxFileSizeMB = 10) {
+window.readFilesAsBase64 = async function (inputElement, maxFileSizeMB = 10, imageOptions = null, readId = null) {
     if (!inputElement || !inputElement.files || inputElement.files.length === 0) {
         return [];
     }
 
-    const maxSizeBytes = maxFileSizeMB * 1024 * 1024;
+    return readFileListAsBase64(inputElement.files, maxFileSizeMB, imageOptions, readId);
+};
+
+/**
+ * Read the files selected in an input for a .NET caller (the Chat and
+ * PractitionerBlend pickers). Same checks and image pipeline as
+ * readFilesAsBase64, but a rejected file is reported instead of failing the
+ * whole selection, and the data is streamed (see toDotNetAttachment).
+ * Cancelling via cancelFileRead still rejects the promise with an AbortError.
+ * @param {HTMLInputElement} inputElement - The file input element
+ * @param {number} maxFileSizeMB - Maximum file size in MB (default: 10)
+ * @param {Object|boolean|null} imageOptions - Image pipeline options (see readFilesAsBase64)
+ * @param {string|null} readId - Optional id for progress events and cancellation
+ * @param {number} maxFiles - Files beyond this count are rejected with TOO_MANY_FILES
+ * @returns {Promise<Object>} {files: [attachments with base64_stream], rejected: [{code, message, filename, ...}]}
+ */
+window.readFilesAsStreams = async function (inputElement, maxFileSizeMB = 10, imageOptions = null, readId = null, maxFiles = Infinity) {
+    if (!inputElement || !inputElement.files || inputElement.files.length === 0) {
+        return { files: [], rejected: [] };
+    }
+
     const files = Array.from(inputElement.files);
-    const results = [];
+    const rejected = [];
 
-    for (const file of files) {
-        // Check file size
-        if (file.size > maxSizeBytes) {
-            throw new Error(`File "${file.name}" exceeds maximum size of ${maxFileSizeMB}MB (${formatFileSize(file.size)} provided)`);
+    const results = await readFileListAsBase64(
+        files.slice(0, maxFiles), maxFileSizeMB, imageOptions, readId,
+        error => rejected.push(error.toJSON()));
+
+    for (const file of files.slice(maxFiles)) {
+        rejected.push(new FileValidationError(
+            FILE_ERROR_CODES.TOO_MANY,
+            `File "${file.name}" was not attached - up to ${maxFiles} files can be sent with a message`,
+            { filename: file.name }
+        ).toJSON());
+    }
+
+    return { files: results.map(toDotNetAttachment), rejected };
+};
+
+/**
+ * Validate, process and read a list of files. Shared by the file input path
+ * and by drag-and-drop / paste, which have a FileList but no input element.
+ * @param {FileList|File[]} fileList - Files to read
+ * @param {number} maxFileSizeMB - Maximum file size in MB
+ * @param {Object|boolean|null} imageOptions - Image pipeline options (see readFilesAsBase64)
+ * @param {string|null} readId - Optional id for progress events and cancellation
+ * @param {Function|null} onRejected - Called with the FileValidationError of each rejected file,
+ *        which is then skipped; without it the first rejection fails the whole read
+ * @returns {Promise<Array>} Array of file objects with {filename, base64_data, mime_type, file_size, original_file_size, preview}
+ */
+async function readFileListAsBase64(fileList, maxFileSizeMB = 10, imageOptions = null, readId = null, onRejected = null) {
+    const maxSizeBytes = maxFileSizeMB * 1024 * 1024;
+    const files = Array.from(fileList);
+    const options = resolveImageOptions(imageOptions);
+    const controller = new AbortController();
+    const id = readId || `read-${nextFileReadId++}`;
+
+    activeFileReads.set(id, controller);
+
+    try {
+        // Pass 1: validate and prepare every file so rejections surface before any reading starts
+        const prepared = [];
+        for (const original of files) {
+            try {
+                const inspection = await inspectFile(original);
+                if (inspection.error) {
+                    throw inspection.error;
+                }
+
+                let file = original;
+                let mimeType = inspection.mimeType;
+
+                // Downscale/re-encode photos first so the size limit applies to what is uploaded
+                if (options && PROCESSABLE_IMAGE_TYPES.includes(mimeType)) {
+                    file = await processImageFile(original, mimeType, options);
+                    mimeType = file.type || mimeType;
+                }
+
+                throwIfReadAborted(controller.signal, original.name);
+
+                // Check file size
+                if (file.size > maxSizeBytes) {
+                    throw createTooLargeError(original, file.size, maxFileSizeMB);
+                }
+
+                prepared.push({ original, file, mimeType });
+            } catch (error) {
+                const skippable = onRejected &&
+                    error instanceof FileValidationError &&
+                    error.code !== FILE_ERROR_CODES.CANCELLED;
+                if (!skippable) {
+                    throw error;
+                }
+                onRejected(error);
+            }
         }
 
-        // Read file as base64
-        const base64 = await readFileAsBase64(file);
+        // Pass 2: read and encode with progress reporting
+        const overallTotal = prepared.reduce((sum, item) => sum + item.file.size, 0);
+        let overallBase = 0;
+        const results = [];
+
+        for (let index = 0; index < prepared.length; index++) {
+            const { original, file, mimeType } = prepared[index];
+
+            const base64 = await readFileAsBase64(file, {
+                signal: controller.signal,
+                onProgress: loaded => dispatchFileReadProgress({
+                    readId: id,
+                    filename: file.name,
+                    fileIndex: index,
+                    fileCount: prepared.length,
+                    loaded,
+                    total: file.size,
+                    overallLoaded: overallBase + loaded,
+                    overallTotal
+                })
+            });
+
+            overallBase += file.size;
+
+            // Use snake_case to match C# JsonPropertyName attributes
+            results.push({
+                filename: file.name,
+                base64_data: base64,
+                mime_type: mimeType,
+                file_size: file.size,
+                original_file_size: original.size,
+                preview: await createFilePreview(file, mimeType)
+            });
+        }
+
+        return results;
+    } finally {
+        activeFileReads.delete(id);
+    }
+}
+
+/**
+ * Cancel an in-flight readFilesAsBase64 call.
+ * The pending promise rejects with an AbortError.
+ * @param {string} readId - The id passed to readFilesAsBase64
+ * @returns {boolean} True if a read was cancelled
+ */
+window.cancelFileRead = function (readId) {
+    const controller = activeFileReads.get(readId);
+    if (!controller) {
+        return false;
+    }
+    controller.abort();
+    return true;
+};
+
+/**
+ * Validate the selected files against the upload policy without reading them.
+ * Lets Blazor show per-file rejections before starting an upload.
+ * @param {HTMLInputElement} inputElement - The file input element
+ * @param {number} maxFileSizeMB - Maximum file size in MB (default: 10)
+ * @param {Object|boolean|null} imageOptions - Image options that will be used for the read;
+ *        when set, oversized processable images are not rejected because they will be downscaled
+ * @returns {Promise<Array>} One entry per file: {filename, valid, code, message, declared_type, detected_type}
+ */
+window.validateFiles = async function (inputElement, maxFileSizeMB = 10, imageOptions = null) {
+    if (!inputElement || !inputElement.files || inputElement.files.length === 0) {
+        return [];
+    }
+
+    const maxSizeBytes = maxFileSizeMB * 1024 * 1024;
+    const willProcessImages = !!resolveImageOptions(imageOptions);
+    const results = [];
+
+    for (const file of Array.from(inputElement.files)) {
+        const inspection = await inspectFile(file);
+        let error = inspection.error;
+
+        const shrinksOnRead = willProcessImages && PROCESSABLE_IMAGE_TYPES.includes(inspection.mimeType);
+        if (!error && !shrinksOnRead && file.size > maxSizeBytes) {
+            error = createTooLargeError(file, file.size, maxFileSizeMB);
+        }
 
-        // Use snake_case to match C# JsonPropertyName attributes
         results.push({
             filename: file.name,
-            base64_data: base64,
-            mime_type: file.type || detectMimeType(file.name),
-            file_size: file.size
+            valid: !error,
+            code: error ? error.code : null,
+            message: error ? error.message : null,
+            declared_type: inspection.declaredType,
+            detected_type: inspection.detectedType
         });
     }
 
@@ -40,45 +348,802 @@ window.readFilesAsBase64 = async function (inputElement, maxFileSizeMB = 10) {
 };
 
 /**
- * Read a single file and convert to base64.
- * @param {File} file - The file to read
+ * Update the upload policy. Omitted keys keep their current value.
+ * @param {Object} policy - {allowedTypes, blockedTypes, blockedExtensions, rejectMismatched}
+ * @returns {Object} The effective policy
+ */
+window.configureFilePolicy = function (policy) {
+    filePolicy = clonePolicy({ ...filePolicy, ...(policy || {}) });
+    return clonePolicy(filePolicy);
+};
+
+/**
+ * Get the current upload policy.
+ * @returns {Object} Copy of the effective policy
+ */
+window.getFilePolicy = function () {
+    return clonePolicy(filePolicy);
+};
+
+/**
+ * Subscribe a .NET object to file read progress.
+ * The handler receives {readId, filename, fileIndex, fileCount, loaded, total, overallLoaded, overallTotal, percent}.
+ * @param {DotNetObjectReference} dotNetRef - .NET object reference
+ * @param {string} methodName - [JSInvokable] method name to call
+ * @returns {number} Subscription id for unsubscribeFileReadProgress
+ */
+window.subscribeFileReadProgress = function (dotNetRef, methodName) {
+    const subscriptionId = nextProgressSubscriptionId++;
+    fileReadProgressSubscribers.set(subscriptionId, { dotNetRef, methodName });
+    return subscriptionId;
+};
+
+/**
+ * Remove a .NET progress subscription.
+ * @param {number} subscriptionId - Id returned by subscribeFileReadProgress
+ */
+window.unsubscribeFileReadProgress = function (subscriptionId) {
+    fileReadProgressSubscribers.delete(subscriptionId);
+};
+
+/**
+ * Full-size source of a preview for the lightbox.
+ * @param {string} previewId - preview_id from a preview object
+ * @returns {Object|null} {kind, url, text, truncated, title}
+ */
+window.getFilePreviewSource = function (previewId) {
+    return filePreviewSources.get(previewId) || null;
+};
+
+/**
+ * Free a preview's thumbnail and full-size source. Sent attachments keep their preview in the
+ * transcript, so this is called when the attachment itself goes away: removed from the
+ * composer, left unsent when the page closes, or cleared with the conversation.
+ * @param {string} previewId - preview_id from a preview object
+ */
+window.releaseFilePreview = function (previewId) {
+    const source = filePreviewSources.get(previewId);
+    if (source && source.url) {
+        URL.revokeObjectURL(source.url);
+    }
+    if (source && source.thumbnail) {
+        URL.revokeObjectURL(source.thumbnail);
+    }
+    filePreviewSources.delete(previewId);
+};
+
+/**
+ * Free several previews in one interop call.
+ * @param {string[]} previewIds - preview_id values from preview objects
+ */
+window.releaseFilePreviews = function (previewIds) {
+    (previewIds || []).forEach(previewId => window.releaseFilePreview(previewId));
+};
+
+/**
+ * Read a single file and convert to base64, one chunk at a time.
+ * @param {Blob} file - The file to read
+ * @param {Object} options - {signal: AbortSignal, onProgress: (loadedBytes) => void}
  * @returns {Promise<string>} Base64 encoded file content (without data URI prefix)
  */
-function readFileAsBase64(file) {
+async function readFileAsBase64(file, options = {}) {
+    const { signal = null, onProgress = null } = options;
+    const parts = [];
+    let offset = 0;
+
+    while (offset < file.size) {
+        throwIfReadAborted(signal, file.name);
+
+        const end = Math.min(offset + READ_CHUNK_SIZE, file.size);
+        let buffer;
+        try {
+            buffer = await readChunk(file.slice(offset, end));
+        } catch (error) {
+            throw new Error(`Failed to read file "${file.name}": ${error}`);
+        }
+
+        throwIfReadAborted(signal, file.name);
+
+        parts.push(encodeBase64(new Uint8Array(buffer)));
+        offset = end;
+
+        if (onProgress) {
+            onProgress(offset);
+        }
+    }
+
+    return parts.join('');
+}
+
+/**
+ * Read a blob slice into an ArrayBuffer.
+ * @param {Blob} blob - The slice to read
+ * @returns {Promise<ArrayBuffer>} Slice contents
+ */
+function readChunk(blob) {
+    if (typeof blob.arrayBuffer === 'function') {
+        return blob.arrayBuffer();
+    }
+
+    // Fallback for older Safari without Blob.arrayBuffer
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Base64-encode a byte array.
+ * Builds the binary string in slices to stay under argument-count limits.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function encodeBase64(bytes) {
+    const sliceSize = 0x8000;
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += sliceSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + sliceSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Throw an AbortError if the read has been cancelled.
+ * @param {AbortSignal|null} signal - Abort signal for the read
+ * @param {string} filename - File being read (for the error message)
+ */
+function throwIfReadAborted(signal, filename) {
+    if (signal && signal.aborted) {
+        throw new FileValidationError(FILE_ERROR_CODES.CANCELLED, `Reading "${filename}" was cancelled`, { filename });
+    }
+}
+
+/**
+ * Publish a progress update to window listeners and .NET subscribers.
+ * @param {Object} detail - Progress payload
+ */
+function dispatchFileReadProgress(detail) {
+    detail.percent = detail.overallTotal > 0
+        ? Math.round((detail.overallLoaded / detail.overallTotal) * 100)
+        : 100;
+
+    window.dispatchEvent(new CustomEvent('fileReadProgress', { detail }));
+
+    fileReadProgressSubscribers.forEach(({ dotNetRef, methodName }, subscriptionId) => {
+        dotNetRef.invokeMethodAsync(methodName, detail).catch(err => {
+            // Drop subscribers whose component has been disposed
+            console.warn('[FileUtils] Progress subscriber failed, removing:', err);
+            fileReadProgressSubscribers.delete(subscriptionId);
+        });
+    });
+}
 
-        reader.onload = () => {
-            // Remove the data URI prefix (e.g., "data:image/png;base64,")
-            const base64 = reader.result.split(',')[1];
-            resolve(base64);
+/**
+ * Merge caller image options with the defaults.
+ * @param {Object|boolean|null} imageOptions - true, an options object, or null/false
+ * @returns {Object|null} Resolved options, or null when the pipeline is disabled
+ */
+function resolveImageOptions(imageOptions) {
+    if (!imageOptions) {
+        return null;
+    }
+    if (imageOptions === true) {
+        return { ...DEFAULT_IMAGE_OPTIONS };
+    }
+    return { ...DEFAULT_IMAGE_OPTIONS, ...imageOptions };
+}
+
+/**
+ * Resize an image to the configured longest edge and re-encode it.
+ * EXIF orientation is applied while decoding, and re-encoding through a canvas
+ * drops all metadata. Falls back to the original file if the browser cannot
+ * decode the format (e.g. HEIC outside Safari) or the result would be larger.
+ * @param {File} file - The source image
+ * @param {string} sourceType - Sniffed MIME type of the source image
+ * @param {Object} options - Resolved image options
+ * @returns {Promise<File>} The processed image, or the original file
+ */
+async function processImageFile(file, sourceType, options) {
+    let source;
+    try {
+        source = await decodeImage(file);
+    } catch (err) {
+        console.warn(`[FileUtils] Could not decode "${file.name}", uploading original:`, err);
+        return file;
+    }
+
+    try {
+        const width = source.width || source.naturalWidth;
+        const height = source.height || source.naturalHeight;
+        const scale = Math.min(1, options.maxEdge / Math.max(width, height));
+        const targetWidth = Math.max(1, Math.round(width * scale));
+        const targetHeight = Math.max(1, Math.round(height * scale));
+
+        const outputType = options.outputType || getOutputType(sourceType);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = targetWidth;
+        canvas.height = targetHeight;
+
+        const ctx = canvas.getContext('2d');
+        if (outputType === 'image/jpeg') {
+            // JPEG has no alpha channel - flatten transparent PNGs onto white
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, targetWidth, targetHeight);
+        }
+        ctx.drawImage(source, 0, 0, targetWidth, targetHeight);
+
+        const blob = await canvasToBlob(canvas, outputType, options.quality);
+        const resized = scale < 1;
+        const changedFormat = blob.type !== sourceType;
+
+        // Keep the original when re-encoding bought nothing
+        if (!resized && !changedFormat && blob.size >= file.size) {
+            return file;
+        }
+
+        return new File([blob], replaceExtension(file.name, blob.type), {
+            type: blob.type,
+            lastModified: file.lastModified
+        });
+    } finally {
+        if (source && typeof source.close === 'function') {
+            source.close();
+        }
+    }
+}
+
+/**
+ * Decode an image with EXIF orientation applied.
+ * @param {File} file - The image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ */
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (err) {
+            // Some browsers reject the options bag or the format - try an <img> instead
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
         };
 
-        reader.onerror = (error) => {
-            reject(new Error(`Failed to read file "${file.name}": ${error}`));
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Unsupported image format: ${file.type || file.name}`));
         };
 
-        reader.readAsDataURL(file);
+        // <img> honours EXIF orientation by default (image-orientation: from-image)
+        img.src = url;
+    });
+}
+
+/**
+ * Promise wrapper around canvas.toBlob.
+ * @param {HTMLCanvasElement} canvas - The canvas to encode
+ * @param {string} type - Output MIME type
+ * @param {number} quality - Encoder quality (0-1)
+ * @returns {Promise<Blob>} Encoded image
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to encode image'));
+            }
+        }, type, quality);
     });
 }
 
+/**
+ * Pick the re-encode format for a source image type.
+ * HEIC is converted to JPEG because most backends cannot read it.
+ * @param {string} sourceType - Source MIME type
+ * @returns {string} Output MIME type
+ */
+function getOutputType(sourceType) {
+    if (sourceType === 'image/png' || sourceType === 'image/webp') {
+        return sourceType;
+    }
+    return 'image/jpeg';
+}
+
+/**
+ * Swap a filename's extension to match a new MIME type.
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - New MIME type
+ * @returns {string} Filename with a matching extension
+ */
+function replaceExtension(filename, mimeType) {
+    const extensions = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+    const ext = extensions[mimeType];
+    if (!ext) {
+        return filename;
+    }
+
+    const dot = filename.lastIndexOf('.');
+    const current = getExtension(filename);
+    if (current === ext || (ext === 'jpg' && current === 'jpeg')) {
+        return filename;
+    }
+    return `${dot > 0 ? filename.substring(0, dot) : filename}.${ext}`;
+}
+
+/**
+ * Build a preview for an attachment: a small JPEG thumbnail (object URL) for
+ * images and the first page of PDFs, a page count for PDFs, and a
+ * snippet plus line count for TXT/CSV. The full-size source (object URL or
+ * longer text) stays in the browser for the lightbox, keyed by preview_id.
+ * Never throws - a file without a preview still uploads.
+ * @param {File} file - The file as it will be uploaded
+ * @param {string} mimeType - Sniffed MIME type
+ * @returns {Promise<Object|null>} {preview_id, kind, thumbnail, width, height, page_count, line_count, snippet}
+ */
+async function createFilePreview(file, mimeType) {
+    try {
+        if (mimeType.startsWith('image/')) {
+            const thumbnail = await createThumbnail(file);
+            return registerPreview(
+                { kind: 'image', ...thumbnail },
+                { kind: 'image', url: URL.createObjectURL(file), title: file.name });
+        }
+
+        if (mimeType === 'application/pdf') {
+            const pdf = await renderPdfFirstPage(file).catch(err => {
+                // pdf.js failed to load (old browser) or the file is encrypted or damaged
+                console.warn(`[FileUtils] pdf.js could not open "${file.name}":`, err);
+                return { pageCount: null, firstPage: null };
+            });
+
+            const preview = { kind: 'pdf', page_count: pdf.pageCount };
+            const source = { kind: 'pdf', url: null, title: file.name };
+
+            if (pdf.firstPage) {
+                Object.assign(preview, await createThumbnail(pdf.firstPage));
+                source.url = URL.createObjectURL(pdf.firstPage);
+            }
+            return registerPreview(preview, source);
+        }
+
+        if (mimeType === 'text/plain' || mimeType === 'text/csv') {
+            const text = await file.text();
+            const lines = text.split(/\r\n|\r|\n/);
+            if (lines.length > 0 && lines[lines.length - 1] === '') {
+                lines.pop();
+            }
+
+            let snippet = lines.slice(0, PREVIEW_SNIPPET_LINES).join('\n');
+            if (snippet.length > PREVIEW_SNIPPET_CHARS) {
+                snippet = `${snippet.slice(0, PREVIEW_SNIPPET_CHARS)}…`;
+            }
+
+            return registerPreview(
+                { kind: 'text', line_count: lines.length, snippet: snippet },
+                { kind: 'text', text: text.slice(0, PREVIEW_TEXT_CHARS), truncated: text.length > PREVIEW_TEXT_CHARS, title: file.name });
+        }
+    } catch (err) {
+        console.warn(`[FileUtils] No preview for "${file.name}":`, err);
+    }
+
+    return null;
+}
+
+/**
+ * Keep a preview's full-size source for the lightbox and give it an id.
+ */
+function registerPreview(preview, source) {
+    const id = `preview-${nextPreviewId++}`;
+    filePreviewSources.set(id, { ...source, thumbnail: preview.thumbnail || null });
+    return {
+        preview_id: id,
+        thumbnail: null,
+        width: null,
+        height: null,
+        page_count: null,
+        line_count: null,
+        snippet: null,
+        ...preview
+    };
+}
+
+/**
+ * Downscale an image to a small JPEG behind an object URL. The URL is all
+ * that goes to Blazor, so previews add next to nothing to interop messages.
+ * Revoked by releaseFilePreview.
+ * @param {Blob} blob - Image to scale
+ * @returns {Promise<Object>} {thumbnail, width, height} - size of the full image
+ */
+async function createThumbnail(blob) {
+    const source = await decodeImage(blob);
+
+    try {
+        const width = source.width || source.naturalWidth;
+        const height = source.height || source.naturalHeight;
+        const scale = Math.min(1, PREVIEW_THUMBNAIL_EDGE / Math.max(width, height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        const thumbnail = await canvasToBlob(canvas, 'image/jpeg', PREVIEW_THUMBNAIL_QUALITY);
+        return {
+            thumbnail: URL.createObjectURL(thumbnail),
+            width: width,
+            height: height
+        };
+    } finally {
+        if (source && typeof source.close === 'function') {
+            source.close();
+        }
+    }
+}
+
+/**
+ * Load pdf.js once. The worker runs the parsing off the main thread.
+ * @returns {Promise<Object>} The pdfjs-dist module
+ */
+function loadPdfJs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import(PDFJS_MODULE_URL)
+            .then(pdfjs => {
+                pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                return pdfjs;
+            })
+            .catch(err => {
+                pdfjsPromise = null;
+                throw err;
+            });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Read a PDF's page count and render its first page to a JPEG with pdf.js,
+ * so text documents get a thumbnail as well as scans. A page that fails to
+ * render still leaves the page count.
+ * @param {File} file - The PDF
+ * @returns {Promise<Object>} {pageCount, firstPage: Blob|null}
+ */
+async function renderPdfFirstPage(file) {
+    const pdfjs = await loadPdfJs();
+
+    // Untrusted input - have pdf.js interpret PDF functions instead of compiling them with new Function
+    const task = pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()), isEvalSupported: false });
+
+    try {
+        const pdf = await task.promise;
+
+        try {
+            const page = await pdf.getPage(1);
+
+            const unscaled = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: PDF_PREVIEW_EDGE / Math.max(unscaled.width, unscaled.height) });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(viewport.width));
+            canvas.height = Math.max(1, Math.round(viewport.height));
+
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: ctx, viewport: viewport }).promise;
+
+            return {
+                pageCount: pdf.numPages,
+                firstPage: await canvasToBlob(canvas, 'image/jpeg', PDF_PREVIEW_QUALITY)
+            };
+        } catch (err) {
+            console.warn(`[FileUtils] pdf.js could not render the first page of "${file.name}":`, err);
+            return { pageCount: pdf.numPages, firstPage: null };
+        }
+    } finally {
+        // Also stops the worker pdf.js started for this document
+        await task.destroy();
+    }
+}
+
+/**
+ * Sniff a file's content and check it against the upload policy.
+ * @param {File} file - The file to inspect
+ * @returns {Promise<Object>} {declaredType, detectedType, mimeType, error}
+ */
+async function inspectFile(file) {
+    const extension = getExtension(file.name);
+    const declaredType = (file.type || detectMimeType(file.name)).toLowerCase();
+    const details = { filename: file.name, declared_type: declaredType };
+
+    if (filePolicy.blockedExtensions.includes(extension)) {
+        return {
+            declaredType,
+            detectedType: null,
+            mimeType: declaredType,
+            error: new FileValidationError(FILE_ERROR_CODES.BLOCKED, `File "${file.name}" has a blocked file extension (.${extension})`, details)
+        };
+    }
+
+    if (file.size === 0) {
+        return {
+            declaredType,
+            detectedType: null,
+            mimeType: declaredType,
+            error: new FileValidationError(FILE_ERROR_CODES.EMPTY, `File "${file.name}" is empty`, details)
+        };
+    }
+
+    const head = new Uint8Array(await readChunk(file.slice(0, SNIFF_BYTES)));
+    let detectedType = sniffMimeType(head, file.size <= SNIFF_BYTES);
+
+    // OOXML documents are ZIPs; only the part names tell them apart from any other archive
+    if (detectedType === 'application/zip') {
+        detectedType = await sniffOfficeType(file) || detectedType;
+    }
+
+    // Plain text is a family: trust the extension to tell CSV from TXT
+    if (detectedType === 'text/plain') {
+        if (extension === 'csv') {
+            detectedType = 'text/csv';
+        } else if (declaredType.startsWith('text/')) {
+            detectedType = declaredType;
+        }
+    }
+
+    const result = { declaredType, detectedType, mimeType: detectedType || declaredType, error: null };
+    details.detected_type = detectedType;
+
+    if (detectedType && filePolicy.blockedTypes.includes(detectedType)) {
+        result.error = new FileValidationError(FILE_ERROR_CODES.BLOCKED, `File "${file.name}" contains a blocked file type (${detectedType})`, details);
+    } else if (!detectedType || !filePolicy.allowedTypes.includes(detectedType)) {
+        result.error = new FileValidationError(FILE_ERROR_CODES.NOT_ALLOWED, `File "${file.name}" is not an allowed file type (${detectedType || 'unrecognized content'})`, details);
+    } else if (filePolicy.rejectMismatched && !isCompatibleType(declaredType, detectedType)) {
+        result.error = new FileValidationError(FILE_ERROR_CODES.MISMATCH, `File "${file.name}" looks like ${detectedType} but is labelled ${declaredType}`, details);
+    }
+
+    return result;
+}
+
+/**
+ * Identify a file from its leading bytes.
+ * @param {Uint8Array} bytes - Leading bytes of the file
+ * @param {boolean} complete - True when bytes holds the whole file (affects UTF-8 validation)
+ * @returns {string|null} Detected MIME type, or null if unrecognized
+ */
+function sniffMimeType(bytes, complete) {
+    const startsWith = (signature, offset = 0) =>
+        signature.every((value, i) => bytes[offset + i] === value);
+    // latin1 maps every byte to one char, so ASCII signatures compare directly
+    const latin1 = new TextDecoder('latin1');
+    const ascii = (start, end) => latin1.decode(bytes.subarray(start, end));
+
+    // Documents & images
+    if (ascii(0, 1024).includes('%PDF-')) return 'application/pdf';
+    if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (startsWith([0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) return 'image/heic';
+        if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+    }
+
+    // ZIP containers (inspectFile checks the entry names for OOXML documents)
+    if (startsWith([0x50, 0x4B, 0x03, 0x04])) return 'application/zip';
+
+    // Executables
+    if (ascii(0, 2) === 'MZ') return 'application/x-msdownload';
+    if (startsWith([0x7F, 0x45, 0x4C, 0x46])) return 'application/x-executable';
+    if (startsWith([0xCF, 0xFA, 0xED, 0xFE]) || startsWith([0xCE, 0xFA, 0xED, 0xFE]) ||
+        startsWith([0xFE, 0xED, 0xFA, 0xCF]) || startsWith([0xFE, 0xED, 0xFA, 0xCE]) ||
+        startsWith([0xCA, 0xFE, 0xBA, 0xBE])) return 'application/x-mach-binary';
+    if (ascii(0, 2) === '#!') return 'application/x-sh';
+
+    // Archives
+    if (ascii(0, 4) === 'Rar!') return 'application/x-rar-compressed';
+    if (startsWith([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return 'application/x-7z-compressed';
+    if (startsWith([0x1F, 0x8B])) return 'application/gzip';
+    if (ascii(0, 3) === 'BZh') return 'application/x-bzip2';
+    if (startsWith([0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00])) return 'application/x-xz';
+
+    if (isUtf8Text(bytes, complete)) return 'text/plain';
+
+    return null;
+}
+
+/**
+ * Identify a DOCX or XLSX from its ZIP entry names. Both need
+ * [Content_Types].xml plus their main part, so an ordinary archive that
+ * happens to contain a "word/" folder is still treated as a ZIP.
+ * @param {File} file - A file with a ZIP signature
+ * @returns {Promise<string|null>} MIME_DOCX, MIME_XLSX, or null for other archives
+ */
+async function sniffOfficeType(file) {
+    let names;
+    try {
+        names = await readZipEntryNames(file);
+    } catch (err) {
+        console.warn(`[FileUtils] Could not read ZIP directory of "${file.name}":`, err);
+        return null;
+    }
+
+    if (!names.has('[Content_Types].xml')) return null;
+    if (names.has('word/document.xml')) return MIME_DOCX;
+    if (names.has('xl/workbook.xml')) return MIME_XLSX;
+    return null;
+}
+
+/**
+ * List the entry names in a ZIP's central directory. The directory sits at
+ * the end of the file and lists every entry, whatever order the writer used
+ * (LibreOffice, for one, writes [Content_Types].xml last).
+ * @param {File} file - The ZIP file
+ * @returns {Promise<Set<string>>} Entry names
+ */
+async function readZipEntryNames(file) {
+    const tailStart = Math.max(0, file.size - ZIP_EOCD_SEARCH_BYTES);
+    const tail = new DataView(await readChunk(file.slice(tailStart)));
+
+    let eocd = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054B50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error('No end of central directory record');
+    }
+
+    const directorySize = tail.getUint32(eocd + 12, true);
+    const directoryOffset = tail.getUint32(eocd + 16, true);
+    if (directorySize > ZIP_MAX_CENTRAL_DIRECTORY_BYTES || directoryOffset + directorySize > file.size) {
+        throw new Error('Central directory out of range');
+    }
+
+    const directory = new DataView(await readChunk(file.slice(directoryOffset, directoryOffset + directorySize)));
+    const decoder = new TextDecoder('utf-8');
+    const names = new Set();
+
+    let offset = 0;
+    while (offset + 46 <= directory.byteLength && directory.getUint32(offset, true) === 0x02014B50) {
+        const nameLength = directory.getUint16(offset + 28, true);
+        const extraLength = directory.getUint16(offset + 30, true);
+        const commentLength = directory.getUint16(offset + 32, true);
+
+        names.add(decoder.decode(new Uint8Array(directory.buffer, offset + 46, nameLength)));
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return names;
+}
+
+/**
+ * Check whether bytes are valid UTF-8 text (no NULs, decodes cleanly).
+ * @param {Uint8Array} bytes - Bytes to check
+ * @param {boolean} complete - False if bytes may end mid-character
+ * @returns {boolean} True for UTF-8 text
+ */
+function isUtf8Text(bytes, complete) {
+    if (bytes.includes(0)) {
+        return false;
+    }
+
+    // Drop a trailing partial multi-byte sequence when only the head was read
+    let end = bytes.length;
+    if (!complete) {
+        let back = 0;
+        while (back < 4 && end - back - 1 >= 0 && (bytes[end - back - 1] & 0xC0) === 0x80) {
+            back++;
+        }
+        if (end - back - 1 >= 0 && bytes[end - back - 1] >= 0xC0) {
+            end = end - back - 1;
+        }
+    }
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, end));
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Check whether a declared type is consistent with the sniffed type.
+ * Unknown declarations (octet-stream) are accepted and the sniffed type wins.
+ * @param {string} declaredType - Type from file.type or the extension
+ * @param {string} detectedType - Type from content sniffing
+ * @returns {boolean} True if compatible
+ */
+function isCompatibleType(declaredType, detectedType) {
+    if (declaredType === detectedType || declaredType === 'application/octet-stream') {
+        return true;
+    }
+
+    const families = [
+        ['image/heic', 'image/heif'],
+        // Windows labels .csv as application/vnd.ms-excel when Excel is installed
+        ['text/plain', 'text/csv', 'application/vnd.ms-excel'],
+        ['image/jpeg', 'image/jpg', 'image/pjpeg']
+    ];
+    return families.some(family => family.includes(declaredType) && family.includes(detectedType));
+}
+
+/**
+ * Build the size-limit error for a file.
+ * @param {File} file - The original file
+ * @param {number} size - Size that will be uploaded
+ * @param {number} maxFileSizeMB - The limit in MB
+ * @returns {FileValidationError} The error
+ */
+function createTooLargeError(file, size, maxFileSizeMB) {
+    return new FileValidationError(
+        FILE_ERROR_CODES.TOO_LARGE,
+        `File "${file.name}" exceeds maximum size of ${maxFileSizeMB}MB (${formatFileSize(size)} provided)`,
+        { filename: file.name, file_size: size }
+    );
+}
+
+/**
+ * Copy a policy so callers cannot mutate the active one.
+ * @param {Object} policy - Policy to copy
+ * @returns {Object} Copy with fresh arrays
+ */
+function clonePolicy(policy) {
+    return {
+        allowedTypes: [...policy.allowedTypes].map(t => t.toLowerCase()),
+        blockedTypes: [...policy.blockedTypes].map(t => t.toLowerCase()),
+        blockedExtensions: [...policy.blockedExtensions].map(e => e.toLowerCase().replace(/^\./, '')),
+        rejectMismatched: policy.rejectMismatched !== false
+    };
+}
+
+/**
+ * Get the lower-case extension of a filename (without the dot).
+ * @param {string} filename - The filename
+ * @returns {string} Extension, or an empty string
+ */
+function getExtension(filename) {
+    const dot = filename.lastIndexOf('.');
+    return dot > 0 ? filename.substring(dot + 1).toLowerCase() : '';
+}
+
 /**
  * Detect MIME type from filename extension.
  * @param {string} filename - The filename with extension
  * @returns {string} MIME type
  */
 function detectMimeType(filename) {
-    const ext = filename.split('.').pop().toLowerCase();
+    const ext = getExtension(filename);
     const mimeTypes = {
         'pdf': 'application/pdf',
         'jpg': 'image/jpeg',
         'jpeg': 'image/jpeg',
         'png': 'image/png',
         'gif': 'image/gif',
+        'webp': 'image/webp',
+        'heic': 'image/heic',
+        'heif': 'image/heif',
         'txt': 'text/plain',
         'csv': 'text/csv',
-        'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        'xlsx': MIME_XLSX,
+        'docx': MIME_DOCX
     };
     return mimeTypes[ext] || 'application/octet-stream';
 }
@@ -115,3 +1180,45 @@ window.getFileCount = function (inputElement) {
     }
     return inputElement.files.length;
 };
+
+/**
+ * Prepare a read result for a .NET call. The base64 payload goes as a JS
+ * stream reference, which Blazor transfers in chunks, so a 10MB file never
+ * has to fit in one SignalR message (StreamedAttachment.ReadAsync reads it).
+ * @param {Object} attachment - {filename, base64_data, mime_type, file_size, original_file_size, preview}
+ * @returns {Object} The same fields with base64_stream in place of base64_data
+ */
+function toDotNetAttachment(attachment) {
+    const { base64_data, ...metadata } = attachment;
+    return {
+        ...metadata,
+        base64_stream: DotNet.createJSStreamReference(new TextEncoder().encode(base64_data))
+    };
+}
+
+/**
+ * Helpers for the other modules (attachment-drop.js, chat-outbox.js,
+ * camera-capture.js). The functions above are script-level globals only
+ * because this file is not wrapped in a module - call them through here.
+ */
+window.tbFileUtils = {
+    /**
+     * Validate, process and read files (see readFileListAsBase64).
+     */
+    readFileList: readFileListAsBase64,
+
+    /**
+     * Wrap a read result for a [JSInvokable] method taking a StreamedAttachment.
+     */
+    toDotNetAttachment: toDotNetAttachment,
+
+    /**
+     * Decode an image with EXIF orientation applied.
+     */
+    decodeImage: decodeImage,
+
+    /**
+     * Promise wrapper around canvas.toBlob.
+     */
+    canvasToBlob: canvasToBlob
+};
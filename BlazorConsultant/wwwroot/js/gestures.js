@@ -0,0 +1,473 @@
+/**
+ * TailorBlend Touch Gestures
+ *
+ * - Bottom sheets (`.tb-bottom-sheet`): drag down from the handle/header, or
+ *   from the content once it is scrolled to the top. The sheet settles on the
+ *   nearest snap point, or follows a fling to the next one; dragging past the
+ *   lowest snap point dismisses it and tells .NET through the registered
+ *   dismiss method. `openSheet`/`closeSheet` also own the body scroll lock.
+ * - Messages (`.tb-message`): swipe right to quote-reply, swipe left to copy.
+ *   Actions run through message-menu.js so they match the long-press menu.
+ *
+ * Blazor owns the sheet's `active` class; this module only adds an inline
+ * transform while dragging or resting on a lower snap point. Transitions are
+ * skipped when the user prefers reduced motion (tbMobile.getScrollBehavior).
+ */
+
+(function () {
+    'use strict';
+
+    const FLING_VELOCITY = 0.5;       // px/ms
+    const VELOCITY_WINDOW_MS = 100;   // Only the last part of the drag counts towards a fling
+    const DRAG_SLOP = 10;             // px before a touch is treated as a drag
+
+    const SHEET_DEFAULTS = {
+        snapPoints: [1],              // Fractions of the sheet height left visible
+        dismissMethod: 'OnSheetDismissed'
+    };
+
+    const SWIPE = {
+        threshold: 72,                // px to trigger without a fling
+        flingMin: 32,                 // px a fling must still travel
+        maxOffset: 96
+    };
+
+    const SWIPE_ACTIONS = {
+        right: { action: 'quote', icon: 'fa-reply', label: 'Reply' },
+        left: { action: 'copy', icon: 'fa-copy', label: 'Copy' }
+    };
+
+    const sheets = new Map();
+
+    function prefersReducedMotion() {
+        if (window.tbMobile && typeof window.tbMobile.getScrollBehavior === 'function') {
+            return window.tbMobile.getScrollBehavior() === 'auto';
+        }
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Tracks recent touch positions to estimate release velocity.
+     */
+    function createVelocityTracker() {
+        let samples = [];
+
+        return {
+            add: function (x, y) {
+                const now = performance.now();
+                samples.push({ x: x, y: y, t: now });
+                samples = samples.filter(s => now - s.t <= VELOCITY_WINDOW_MS);
+            },
+            velocity: function () {
+                if (samples.length < 2) return { x: 0, y: 0 };
+                const first = samples[0];
+                const last = samples[samples.length - 1];
+                const dt = Math.max(1, last.t - first.t);
+                return { x: (last.x - first.x) / dt, y: (last.y - first.y) / dt };
+            },
+            reset: function () {
+                samples = [];
+            }
+        };
+    }
+
+    // ============================================================================
+    // BOTTOM SHEET
+    // ============================================================================
+
+    function createSheet(element, dotNetRef, options) {
+        const settings = { ...SHEET_DEFAULTS, ...(options || {}) };
+        const snapPoints = settings.snapPoints
+            .filter(p => p > 0 && p <= 1)
+            .sort((a, b) => b - a);
+        if (snapPoints.length === 0) snapPoints.push(1);
+
+        const tracker = createVelocityTracker();
+        let drag = null;
+        let offset = 0;             // px below the fully open position
+        let isOpen = false;
+
+        function height() {
+            return element.getBoundingClientRect().height;
+        }
+
+        // Offsets (px) of the snap points, most open first
+        function snapOffsets() {
+            const h = height();
+            return snapPoints.map(p => Math.round(h * (1 - p)));
+        }
+
+        function setOffset(value, animate) {
+            offset = Math.max(0, value);
+            element.style.transition = animate && !prefersReducedMotion() ? '' : 'none';
+            element.style.transform = `translateY(${offset}px)`;
+        }
+
+        function clearOffset() {
+            offset = 0;
+            element.style.transition = '';
+            element.style.transform = '';
+            delete element.dataset.tbSnap;
+        }
+
+        function settle(velocityY) {
+            const offsets = snapOffsets();
+            const closed = height();
+            const stops = offsets.concat(closed);
+
+            let target;
+            if (Math.abs(velocityY) >= FLING_VELOCITY) {
+                // Fling: next stop in the direction of travel
+                target = velocityY > 0
+                    ? stops.find(s => s > offset + 1)
+                    : stops.slice().reverse().find(s => s < offset - 1);
+                if (target === undefined) target = velocityY > 0 ? closed : offsets[0];
+            } else {
+                target = stops.reduce((best, s) => Math.abs(s - offset) < Math.abs(best - offset) ? s : best, stops[0]);
+            }
+
+            if (target >= closed) {
+                dismiss();
+                return;
+            }
+
+            setOffset(target, true);
+            element.dataset.tbSnap = String(snapPoints[offsets.indexOf(target)]);
+        }
+
+        function dismiss() {
+            setOffset(height(), true);
+            unlockBody();
+            isOpen = false;
+
+            // Blazor removes `active`; drop the inline transform once it has
+            const finish = () => {
+                if (!isOpen) clearOffset();
+            };
+            if (prefersReducedMotion()) {
+                finish();
+            } else {
+                element.addEventListener('transitionend', finish, { once: true });
+                setTimeout(finish, 400);
+            }
+
+            dotNetRef.invokeMethodAsync(settings.dismissMethod)
+                .catch(err => console.warn('[Gestures] Failed to report sheet dismissal:', err));
+        }
+
+        function canStartDrag(target) {
+            if (!isOpen || !(target instanceof Element)) return false;
+            // Controls keep their own touch behaviour
+            if (target.closest('input, select, textarea, button, a, [contenteditable="true"]') &&
+                !target.closest('.tb-bottom-sheet__handle')) {
+                return false;
+            }
+            return true;
+        }
+
+        function onTouchStart(e) {
+            if (e.touches.length !== 1 || !canStartDrag(e.target)) return;
+
+            const touch = e.touches[0];
+            drag = {
+                startX: touch.clientX,
+                startY: touch.clientY,
+                startOffset: offset,
+                fromHandle: !!e.target.closest('.tb-bottom-sheet__handle, .tb-bottom-sheet__header'),
+                active: false
+            };
+            tracker.reset();
+            tracker.add(touch.clientX, touch.clientY);
+        }
+
+        function onTouchMove(e) {
+            if (!drag) return;
+
+            const touch = e.touches[0];
+            const dx = touch.clientX - drag.startX;
+            const dy = touch.clientY - drag.startY;
+            tracker.add(touch.clientX, touch.clientY);
+
+            if (!drag.active) {
+                if (Math.abs(dy) < DRAG_SLOP) return;
+
+                // Content drags only take over when pulling down from the top;
+                // everything else is a normal scroll
+                const fromTop = element.scrollTop <= 0 && dy > 0;
+                if (Math.abs(dx) > Math.abs(dy) || (!drag.fromHandle && !fromTop)) {
+                    drag = null;
+                    return;
+                }
+                drag.active = true;
+                drag.startY = touch.clientY;
+            }
+
+            e.preventDefault();
+
+            const next = drag.startOffset + (touch.clientY - drag.startY);
+            // Resist dragging above the fully open position
+            setOffset(next < 0 ? next / 3 : next, false);
+        }
+
+        function onTouchEnd() {
+            if (!drag) return;
+            const wasActive = drag.active;
+            drag = null;
+            if (wasActive) settle(tracker.velocity().y);
+        }
+
+        element.addEventListener('touchstart', onTouchStart, { passive: true });
+        element.addEventListener('touchmove', onTouchMove, { passive: false });
+        element.addEventListener('touchend', onTouchEnd, { passive: true });
+        element.addEventListener('touchcancel', onTouchEnd, { passive: true });
+
+        return {
+            open: function () {
+                isOpen = true;
+                clearOffset();
+                element.dataset.tbSnap = String(snapPoints[0]);
+                lockBody();
+            },
+
+            close: function () {
+                isOpen = false;
+                drag = null;
+                clearOffset();
+                unlockBody();
+            },
+
+            isOpen: function () {
+                return isOpen;
+            },
+
+            destroy: function () {
+                element.removeEventListener('touchstart', onTouchStart);
+                element.removeEventListener('touchmove', onTouchMove);
+                element.removeEventListener('touchend', onTouchEnd);
+                element.removeEventListener('touchcancel', onTouchEnd);
+                if (isOpen) unlockBody();
+                clearOffset();
+            }
+        };
+    }
+
+    function lockBody() {
+        document.body.classList.add('tb-sheet-open');
+    }
+
+    function unlockBody() {
+        // Another sheet may still be open
+        for (const sheet of sheets.values()) {
+            if (sheet.isOpen()) return;
+        }
+        document.body.classList.remove('tb-sheet-open');
+    }
+
+    // ============================================================================
+    // MESSAGE SWIPE ACTIONS
+    // ============================================================================
+
+    const MessageSwipe = {
+        swipe: null,
+        hint: null,
+        tracker: createVelocityTracker(),
+        initialized: false,
+
+        init: function () {
+            if (this.initialized) return;
+
+            document.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
+            document.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: true });
+            document.addEventListener('touchend', () => this.handleTouchEnd(), { passive: true });
+            document.addEventListener('touchcancel', () => this.reset(), { passive: true });
+
+            this.initialized = true;
+        },
+
+        available: function (message, direction) {
+            return !!(window.tbMessageMenu && window.tbMessageMenu.canInvoke(message, SWIPE_ACTIONS[direction].action));
+        },
+
+        handleTouchStart: function (e) {
+            if (e.touches.length !== 1 || !(e.target instanceof Element)) return;
+
+            const message = e.target.closest('.tb-message');
+            if (!message || e.target.closest('a, button, input, textarea')) return;
+
+            const touch = e.touches[0];
+            this.swipe = {
+                message: message,
+                startX: touch.clientX,
+                startY: touch.clientY,
+                dx: 0,
+                locked: false,
+                armed: false
+            };
+            this.tracker.reset();
+            this.tracker.add(touch.clientX, touch.clientY);
+        },
+
+        handleTouchMove: function (e) {
+            const swipe = this.swipe;
+            if (!swipe) return;
+
+            const touch = e.touches[0];
+            const dx = touch.clientX - swipe.startX;
+            const dy = touch.clientY - swipe.startY;
+            this.tracker.add(touch.clientX, touch.clientY);
+
+            if (!swipe.locked) {
+                if (Math.abs(dx) < DRAG_SLOP && Math.abs(dy) < DRAG_SLOP) return;
+
+                // Mostly vertical: it is a scroll, not a swipe
+                if (Math.abs(dx) < Math.abs(dy) * 1.5) {
+                    this.swipe = null;
+                    return;
+                }
+                swipe.locked = true;
+                swipe.message.classList.add('tb-message--swiping');
+            }
+
+            const direction = dx > 0 ? 'right' : 'left';
+            if (!this.available(swipe.message, direction)) {
+                swipe.dx = 0;
+                this.render(swipe, direction);
+                return;
+            }
+
+            // Follows the finger, then slows down past the trigger distance
+            const distance = Math.abs(dx);
+            const eased = distance <= SWIPE.threshold
+                ? distance
+                : SWIPE.threshold + (distance - SWIPE.threshold) * 0.25;
+            swipe.dx = Math.sign(dx) * Math.min(eased, SWIPE.maxOffset);
+
+            const armed = Math.abs(swipe.dx) >= SWIPE.threshold;
+            if (armed && !swipe.armed) window.vibrate && window.vibrate(10);
+            swipe.armed = armed;
+
+            this.render(swipe, direction);
+        },
+
+        handleTouchEnd: function () {
+            const swipe = this.swipe;
+            if (!swipe || !swipe.locked) {
+                this.swipe = null;
+                return;
+            }
+
+            const velocityX = this.tracker.velocity().x;
+            const direction = swipe.dx > 0 ? 'right' : 'left';
+            const flung = Math.abs(velocityX) >= FLING_VELOCITY &&
+                Math.sign(velocityX) === Math.sign(swipe.dx) &&
+                Math.abs(swipe.dx) >= SWIPE.flingMin;
+
+            if (swipe.dx !== 0 && (swipe.armed || flung)) {
+                // Still inside the touchend gesture, so clipboard writes are allowed
+                window.tbMessageMenu.invoke(swipe.message, SWIPE_ACTIONS[direction].action);
+            }
+
+            this.reset();
+        },
+
+        render: function (swipe, direction) {
+            const message = swipe.message;
+            message.style.transition = 'none';
+            message.style.transform = `translateX(${swipe.dx}px)`;
+
+            if (!this.hint) {
+                this.hint = document.createElement('div');
+                this.hint.className = 'tb-swipe-hint';
+                this.hint.setAttribute('aria-hidden', 'true');
+                document.body.appendChild(this.hint);
+            }
+
+            const config = SWIPE_ACTIONS[direction];
+            const rect = message.getBoundingClientRect();
+            const progress = Math.min(1, Math.abs(swipe.dx) / SWIPE.threshold);
+
+            this.hint.innerHTML = `<i class="fas ${config.icon}"></i><span>${config.label}</span>`;
+            this.hint.dataset.armed = swipe.armed ? 'true' : 'false';
+            this.hint.style.top = `${rect.top + rect.height / 2}px`;
+            this.hint.style.left = direction === 'right'
+                ? `${rect.left - swipe.dx + 8}px`
+                : `${rect.right - swipe.dx - 8}px`;
+            this.hint.style.transform = `translate(${direction === 'right' ? '0' : '-100%'}, -50%) scale(${0.6 + progress * 0.4})`;
+            this.hint.style.opacity = String(progress);
+        },
+
+        reset: function () {
+            const swipe = this.swipe;
+            this.swipe = null;
+
+            if (this.hint) {
+                this.hint.remove();
+                this.hint = null;
+            }
+            if (!swipe || !swipe.locked) return;
+
+            const message = swipe.message;
+            message.classList.remove('tb-message--swiping');
+
+            if (prefersReducedMotion()) {
+                message.style.transition = '';
+                message.style.transform = '';
+                return;
+            }
+
+            // Spring back, then hand the element's styles back to the stylesheet
+            message.style.transition = 'transform 0.2s ease-out';
+            message.style.transform = '';
+            message.addEventListener('transitionend', () => {
+                message.style.transition = '';
+            }, { once: true });
+        }
+    };
+
+    // Expose API for Blazor
+    window.tbGestures = {
+        /**
+         * Enable drag-to-dismiss and snap points on a bottom sheet.
+         * @param {HTMLElement} element - The .tb-bottom-sheet element
+         * @param {DotNetObjectReference} dotNetRef - Notified when the user dismisses the sheet
+         * @param {Object} options - {snapPoints: fractions visible, e.g. [1, 0.5], dismissMethod}
+         */
+        registerSheet: function (element, dotNetRef, options) {
+            if (!element) return;
+            this.unregisterSheet(element);
+            sheets.set(element, createSheet(element, dotNetRef, options));
+        },
+
+        unregisterSheet: function (element) {
+            const sheet = sheets.get(element);
+            if (sheet) {
+                sheets.delete(element);
+                sheet.destroy();
+                unlockBody();
+            }
+        },
+
+        /**
+         * Call when the component shows the sheet (adds the body scroll lock).
+         */
+        openSheet: function (element) {
+            const sheet = sheets.get(element);
+            if (sheet) {
+                sheet.open();
+            } else {
+                lockBody();
+            }
+        },
+
+        closeSheet: function (element) {
+            const sheet = sheets.get(element);
+            if (sheet) {
+                sheet.close();
+            } else {
+                unlockBody();
+            }
+        }
+    };
+
+    MessageSwipe.init();
+})();
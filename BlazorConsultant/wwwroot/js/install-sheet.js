@@ -0,0 +1,376 @@
+/**
+ * TailorBlend Install Sheet
+ *
+ * Step-by-step "Add to Home Screen" instructions for browsers without a
+ * native install prompt (iOS/iPadOS, in-app browsers, Firefox and Samsung
+ * Internet on Android). Opened by `pwaInstall.showPrompt` with the platform
+ * from `pwaInstall.getPlatform()`; non-blocking, closes with the button,
+ * the backdrop or Escape.
+ *
+ * Strings are picked from navigator.languages (English fallback).
+ */
+
+(function () {
+    'use strict';
+
+    // ============================================================================
+    // ILLUSTRATIONS (match the browser's own icons)
+    // ============================================================================
+
+    const ICONS = {
+        // iOS share: square with an arrow pointing up
+        share: '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M12 3v12M7.5 7.5 12 3l4.5 4.5" /><path d="M8 10H6a1 1 0 0 0-1 1v9a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-9a1 1 0 0 0-1-1h-2" /></svg>',
+        addToHome: '<svg viewBox="0 0 24 24" aria-hidden="true"><rect x="4" y="4" width="16" height="16" rx="3" /><path d="M12 8v8M8 12h8" /></svg>',
+        menuDots: '<svg viewBox="0 0 24 24" aria-hidden="true"><circle cx="12" cy="5" r="1.5" class="tb-install-sheet__fill" /><circle cx="12" cy="12" r="1.5" class="tb-install-sheet__fill" /><circle cx="12" cy="19" r="1.5" class="tb-install-sheet__fill" /></svg>',
+        menuLines: '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M4 6h16M4 12h16M4 18h16" /></svg>',
+        install: '<svg viewBox="0 0 24 24" aria-hidden="true"><rect x="6" y="2" width="12" height="20" rx="2" /><path d="M12 7v7M9 11l3 3 3-3" /></svg>',
+        compass: '<svg viewBox="0 0 24 24" aria-hidden="true"><circle cx="12" cy="12" r="9" /><path d="m15.5 8.5-2 5-5 2 2-5z" /></svg>',
+        check: '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="m5 12 5 5 9-10" /></svg>'
+    };
+
+    // ============================================================================
+    // STRINGS
+    // ============================================================================
+
+    const STRINGS = {
+        en: {
+            title: 'Add TailorBlend to your Home Screen',
+            note: 'TailorBlend opens full screen from its icon. Consultations still need an internet connection.',
+            close: 'Close',
+            gotIt: 'Got it',
+            copyLink: 'Copy link',
+            linkCopied: 'Link copied',
+            tapShareBottom: 'Tap the Share button in the toolbar at the bottom of the screen.',
+            tapShareTop: 'Tap the Share button at the top right, next to the address bar.',
+            tapMenuFirefoxIOS: 'Tap the menu button (three lines).',
+            tapShareInMenu: 'Tap Share.',
+            tapAddToHome: 'Scroll down and tap "Add to Home Screen".',
+            tapAdd: 'Tap "Add" in the top right corner.',
+            inAppOpenSafari: 'This in-app browser cannot add apps to the Home Screen. Open the menu and choose "Open in Safari" (or copy the link and paste it into Safari).',
+            inAppOpenBrowser: 'This browser cannot add apps to the Home Screen. Open the page in your main browser (or copy the link and paste it there).',
+            thenFollowSafari: 'In Safari, tap Share and then "Add to Home Screen".',
+            tapMenuDots: 'Tap the menu button (three dots).',
+            tapInstallFirefox: 'Tap "Install" (or "Add to Home screen").',
+            tapMenuSamsung: 'Tap the menu button (three lines) in the bottom toolbar.',
+            tapAddPageTo: 'Tap "Add page to".',
+            tapHomeScreen: 'Tap "Home screen", then "Add".',
+            confirmAdd: 'Confirm with "Add".'
+        },
+        af: {
+            title: 'Voeg TailorBlend by jou tuisskerm',
+            note: 'TailorBlend maak volskerm oop vanaf sy ikoon. Konsultasies het steeds \'n internetverbinding nodig.',
+            close: 'Maak toe',
+            gotIt: 'Reg so',
+            copyLink: 'Kopieer skakel',
+            linkCopied: 'Skakel gekopieer',
+            tapShareBottom: 'Tik op die Deel-knoppie in die nutsbalk onder aan die skerm.',
+            tapShareTop: 'Tik op die Deel-knoppie regs bo, langs die adresbalk.',
+            tapMenuFirefoxIOS: 'Tik op die kieslys-knoppie (drie lyne).',
+            tapShareInMenu: 'Tik op Deel.',
+            tapAddToHome: 'Rol af en tik op "Voeg by tuisskerm".',
+            tapAdd: 'Tik op "Voeg by" regs bo.',
+            inAppOpenSafari: 'Hierdie blaaier in die app kan nie apps by die tuisskerm voeg nie. Maak die kieslys oop en kies "Maak oop in Safari" (of kopieer die skakel en plak dit in Safari).',
+            inAppOpenBrowser: 'Hierdie blaaier kan nie apps by die tuisskerm voeg nie. Maak die bladsy in jou hoofblaaier oop (of kopieer die skakel en plak dit daar).',
+            thenFollowSafari: 'Tik in Safari op Deel en dan op "Voeg by tuisskerm".',
+            tapMenuDots: 'Tik op die kieslys-knoppie (drie kolletjies).',
+            tapInstallFirefox: 'Tik op "Installeer" (of "Voeg by tuisskerm").',
+            tapMenuSamsung: 'Tik op die kieslys-knoppie (drie lyne) in die onderste nutsbalk.',
+            tapAddPageTo: 'Tik op "Voeg bladsy by".',
+            tapHomeScreen: 'Tik op "Tuisskerm" en dan op "Voeg by".',
+            confirmAdd: 'Bevestig met "Voeg by".'
+        },
+        de: {
+            title: 'TailorBlend zum Home-Bildschirm hinzufügen',
+            note: 'TailorBlend öffnet sich über das Symbol im Vollbild. Für Beratungen ist weiterhin eine Internetverbindung nötig.',
+            close: 'Schließen',
+            gotIt: 'Verstanden',
+            copyLink: 'Link kopieren',
+            linkCopied: 'Link kopiert',
+            tapShareBottom: 'Tippe unten in der Symbolleiste auf „Teilen“.',
+            tapShareTop: 'Tippe oben rechts neben der Adressleiste auf „Teilen“.',
+            tapMenuFirefoxIOS: 'Tippe auf die Menütaste (drei Striche).',
+            tapShareInMenu: 'Tippe auf „Teilen“.',
+            tapAddToHome: 'Scrolle nach unten und tippe auf „Zum Home-Bildschirm“.',
+            tapAdd: 'Tippe oben rechts auf „Hinzufügen“.',
+            inAppOpenSafari: 'Dieser In-App-Browser kann keine Apps zum Home-Bildschirm hinzufügen. Öffne das Menü und wähle „In Safari öffnen“ (oder kopiere den Link und füge ihn in Safari ein).',
+            inAppOpenBrowser: 'Dieser Browser kann keine Apps zum Home-Bildschirm hinzufügen. Öffne die Seite in deinem Standardbrowser (oder kopiere den Link und füge ihn dort ein).',
+            thenFollowSafari: 'Tippe in Safari auf „Teilen“ und dann auf „Zum Home-Bildschirm“.',
+            tapMenuDots: 'Tippe auf die Menütaste (drei Punkte).',
+            tapInstallFirefox: 'Tippe auf „Installieren“ (oder „Zum Startbildschirm hinzufügen“).',
+            tapMenuSamsung: 'Tippe unten in der Symbolleiste auf die Menütaste (drei Striche).',
+            tapAddPageTo: 'Tippe auf „Seite hinzufügen zu“.',
+            tapHomeScreen: 'Tippe auf „Startbildschirm“ und dann auf „Hinzufügen“.',
+            confirmAdd: 'Bestätige mit „Hinzufügen“.'
+        },
+        fr: {
+            title: 'Ajouter TailorBlend à l\'écran d\'accueil',
+            note: 'TailorBlend s\'ouvre en plein écran depuis son icône. Les consultations nécessitent toujours une connexion Internet.',
+            close: 'Fermer',
+            gotIt: 'Compris',
+            copyLink: 'Copier le lien',
+            linkCopied: 'Lien copié',
+            tapShareBottom: 'Touchez le bouton Partager dans la barre d\'outils en bas de l\'écran.',
+            tapShareTop: 'Touchez le bouton Partager en haut à droite, à côté de la barre d\'adresse.',
+            tapMenuFirefoxIOS: 'Touchez le bouton de menu (trois lignes).',
+            tapShareInMenu: 'Touchez Partager.',
+            tapAddToHome: 'Faites défiler et touchez « Sur l\'écran d\'accueil ».',
+            tapAdd: 'Touchez « Ajouter » en haut à droite.',
+            inAppOpenSafari: 'Ce navigateur intégré ne peut pas ajouter d\'apps à l\'écran d\'accueil. Ouvrez le menu et choisissez « Ouvrir dans Safari » (ou copiez le lien et collez-le dans Safari).',
+            inAppOpenBrowser: 'Ce navigateur ne peut pas ajouter d\'apps à l\'écran d\'accueil. Ouvrez la page dans votre navigateur principal (ou copiez le lien et collez-le).',
+            thenFollowSafari: 'Dans Safari, touchez Partager puis « Sur l\'écran d\'accueil ».',
+            tapMenuDots: 'Touchez le bouton de menu (trois points).',
+            tapInstallFirefox: 'Touchez « Installer » (ou « Ajouter à l\'écran d\'accueil »).',
+            tapMenuSamsung: 'Touchez le bouton de menu (trois lignes) dans la barre du bas.',
+            tapAddPageTo: 'Touchez « Ajouter la page à ».',
+            tapHomeScreen: 'Touchez « Écran d\'accueil », puis « Ajouter ».',
+            confirmAdd: 'Confirmez avec « Ajouter ».'
+        },
+        es: {
+            title: 'Añade TailorBlend a tu pantalla de inicio',
+            note: 'TailorBlend se abre a pantalla completa desde su icono. Las consultas siguen necesitando conexión a Internet.',
+            close: 'Cerrar',
+            gotIt: 'Entendido',
+            copyLink: 'Copiar enlace',
+            linkCopied: 'Enlace copiado',
+            tapShareBottom: 'Toca el botón Compartir en la barra inferior de la pantalla.',
+            tapShareTop: 'Toca el botón Compartir arriba a la derecha, junto a la barra de direcciones.',
+            tapMenuFirefoxIOS: 'Toca el botón de menú (tres líneas).',
+            tapShareInMenu: 'Toca Compartir.',
+            tapAddToHome: 'Desplázate y toca «Añadir a pantalla de inicio».',
+            tapAdd: 'Toca «Añadir» arriba a la derecha.',
+            inAppOpenSafari: 'Este navegador integrado no puede añadir apps a la pantalla de inicio. Abre el menú y elige «Abrir en Safari» (o copia el enlace y pégalo en Safari).',
+            inAppOpenBrowser: 'Este navegador no puede añadir apps a la pantalla de inicio. Abre la página en tu navegador principal (o copia el enlace y pégalo allí).',
+            thenFollowSafari: 'En Safari, toca Compartir y luego «Añadir a pantalla de inicio».',
+            tapMenuDots: 'Toca el botón de menú (tres puntos).',
+            tapInstallFirefox: 'Toca «Instalar» (o «Añadir a pantalla de inicio»).',
+            tapMenuSamsung: 'Toca el botón de menú (tres líneas) en la barra inferior.',
+            tapAddPageTo: 'Toca «Añadir página a».',
+            tapHomeScreen: 'Toca «Pantalla de inicio» y luego «Añadir».',
+            confirmAdd: 'Confirma con «Añadir».'
+        }
+    };
+
+    function getStrings() {
+        const languages = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language || 'en'];
+
+        for (const language of languages) {
+            const code = String(language).toLowerCase().split('-')[0];
+            if (STRINGS[code]) return STRINGS[code];
+        }
+        return STRINGS.en;
+    }
+
+    // ============================================================================
+    // STEPS PER PLATFORM
+    // ============================================================================
+
+    /**
+     * @param {Object} platform - From pwaInstall.getPlatform(): {os, browser, canAddToHomeScreen}
+     * @returns {{steps: Array, pointer: string|null, offerCopyLink: boolean}}
+     */
+    function getSteps(platform, t) {
+        const step = (icon, text) => ({ icon: icon, text: text });
+
+        if (platform.os === 'ios' || platform.os === 'ipados') {
+            switch (platform.browser) {
+                case 'safari':
+                    return {
+                        // iPad Safari keeps Share next to the address bar
+                        pointer: platform.os === 'ipados' ? 'top-right' : 'bottom',
+                        offerCopyLink: false,
+                        steps: [
+                            step('share', platform.os === 'ipados' ? t.tapShareTop : t.tapShareBottom),
+                            step('addToHome', t.tapAddToHome),
+                            step('check', t.tapAdd)
+                        ]
+                    };
+                case 'chrome':
+                case 'edge':
+                    return {
+                        pointer: 'top-right',
+                        offerCopyLink: false,
+                        steps: [
+                            step('share', t.tapShareTop),
+                            step('addToHome', t.tapAddToHome),
+                            step('check', t.tapAdd)
+                        ]
+                    };
+                case 'firefox':
+                    return {
+                        pointer: 'bottom',
+                        offerCopyLink: false,
+                        steps: [
+                            step('menuLines', t.tapMenuFirefoxIOS),
+                            step('share', t.tapShareInMenu),
+                            step('addToHome', t.tapAddToHome)
+                        ]
+                    };
+                default:
+                    // In-app browsers (Instagram, Facebook, ...) cannot add to the Home Screen
+                    return {
+                        pointer: null,
+                        offerCopyLink: true,
+                        steps: [
+                            step('compass', t.inAppOpenSafari),
+                            step('share', t.thenFollowSafari)
+                        ]
+                    };
+            }
+        }
+
+        if (platform.os === 'android') {
+            switch (platform.browser) {
+                case 'firefox':
+                    return {
+                        pointer: 'top-right',
+                        offerCopyLink: false,
+                        steps: [
+                            step('menuDots', t.tapMenuDots),
+                            step('install', t.tapInstallFirefox),
+                            step('check', t.confirmAdd)
+                        ]
+                    };
+                case 'samsung':
+                    return {
+                        pointer: 'bottom-right',
+                        offerCopyLink: false,
+                        steps: [
+                            step('menuLines', t.tapMenuSamsung),
+                            step('addToHome', t.tapAddPageTo),
+                            step('check', t.tapHomeScreen)
+                        ]
+                    };
+                case 'in-app':
+                    return {
+                        pointer: null,
+                        offerCopyLink: true,
+                        steps: [step('compass', t.inAppOpenBrowser)]
+                    };
+                default:
+                    return {
+                        pointer: 'top-right',
+                        offerCopyLink: false,
+                        steps: [
+                            step('menuDots', t.tapMenuDots),
+                            step('install', t.tapInstallFirefox),
+                            step('check', t.confirmAdd)
+                        ]
+                    };
+            }
+        }
+
+        return {
+            pointer: null,
+            offerCopyLink: true,
+            steps: [step('compass', t.inAppOpenBrowser)]
+        };
+    }
+
+    // ============================================================================
+    // SHEET
+    // ============================================================================
+
+    const InstallSheet = {
+        element: null,
+        returnFocus: null,
+        onKeyDown: null,
+
+        isOpen: function () {
+            return !!this.element;
+        },
+
+        open: function (platform) {
+            this.close();
+
+            const t = getStrings();
+            const { steps, pointer, offerCopyLink } = getSteps(platform || {}, t);
+
+            const element = document.createElement('div');
+            element.className = 'tb-install-sheet';
+            element.innerHTML = `
+                <div class="tb-install-sheet__backdrop" data-close></div>
+                <div class="tb-install-sheet__panel" role="dialog" aria-modal="true" aria-labelledby="tb-install-sheet-title">
+                    <div class="tb-install-sheet__header">
+                        <img src="/icons/icon-192.png" alt="" class="tb-install-sheet__app-icon" width="48" height="48" />
+                        <h2 id="tb-install-sheet-title">${t.title}</h2>
+                        <button type="button" class="tb-sheet-close" data-close aria-label="${t.close}">
+                            <i class="fas fa-xmark" aria-hidden="true"></i>
+                        </button>
+                    </div>
+                    <ol class="tb-install-sheet__steps">
+                        ${steps.map((s, index) => `
+                            <li class="tb-install-sheet__step">
+                                <span class="tb-install-sheet__number">${index + 1}</span>
+                                <span class="tb-install-sheet__icon">${ICONS[s.icon]}</span>
+                                <span class="tb-install-sheet__text">${s.text}</span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                    <p class="tb-install-sheet__note">${t.note}</p>
+                    <div class="tb-install-sheet__actions">
+                        ${offerCopyLink ? `<button type="button" class="tb-btn tb-btn--secondary" data-copy-link>${t.copyLink}</button>` : ''}
+                        <button type="button" class="tb-btn tb-btn--primary" data-close>${t.gotIt}</button>
+                    </div>
+                </div>
+                ${pointer ? `<div class="tb-install-sheet__pointer" data-position="${pointer}" aria-hidden="true"><i class="fas fa-arrow-${pointer === 'bottom' || pointer === 'bottom-right' ? 'down' : 'up'}"></i></div>` : ''}
+            `;
+
+            element.addEventListener('click', (e) => {
+                const target = e.target instanceof Element ? e.target : null;
+                if (!target) return;
+
+                if (target.closest('[data-close]')) {
+                    this.close();
+                } else if (target.closest('[data-copy-link]')) {
+                    const button = target.closest('[data-copy-link]');
+                    window.copyToClipboard(window.location.href).then(ok => {
+                        if (ok) button.textContent = t.linkCopied;
+                    });
+                }
+            });
+
+            this.onKeyDown = (e) => {
+                if (e.key === 'Escape') this.close();
+            };
+            document.addEventListener('keydown', this.onKeyDown);
+
+            this.returnFocus = document.activeElement;
+            this.element = element;
+            document.body.appendChild(element);
+
+            const primary = element.querySelector('.tb-btn--primary');
+            if (primary) primary.focus({ preventScroll: true });
+        },
+
+        close: function () {
+            if (!this.element) return;
+
+            this.element.remove();
+            this.element = null;
+            document.removeEventListener('keydown', this.onKeyDown);
+
+            if (this.returnFocus && this.returnFocus.isConnected) {
+                this.returnFocus.focus({ preventScroll: true });
+            }
+            this.returnFocus = null;
+        }
+    };
+
+    // Expose API for pwa-install.js
+    window.tbInstallSheet = {
+        /**
+         * Show install instructions for a platform from pwaInstall.getPlatform().
+         */
+        open: function (platform) {
+            InstallSheet.open(platform);
+        },
+        close: function () {
+            InstallSheet.close();
+        },
+        isOpen: function () {
+            return InstallSheet.isOpen();
+        }
+    };
+})();
@@ -0,0 +1,336 @@
+/**
+ * TailorBlend Lightbox
+ *
+ * Full-screen viewer for attachment previews (FilePreviewComponent), so a
+ * practitioner can check they attached the right lab report before sending.
+ * Images and the first page of PDFs can be zoomed with a pinch, a double tap, the
+ * mouse wheel or +/- keys and panned while zoomed; text files show their
+ * opening lines. Closes with the button, Escape or a tap beside the image.
+ *
+ * The full-size source comes from file-utils.js (getFilePreviewSource); the
+ * thumbnail stands in when a preview has no separate full-size image.
+ */
+
+(function () {
+    'use strict';
+
+    const MAX_SCALE = 5;
+    const DOUBLE_TAP_SCALE = 2.5;
+    const DOUBLE_TAP_MS = 300;
+    const TAP_MOVE_PX = 10;
+    const WHEEL_ZOOM_SPEED = 0.0015;
+    const KEY_ZOOM_STEP = 1.25;
+
+    const Lightbox = {
+        element: null,
+        stage: null,
+        canvas: null,
+        returnFocus: null,
+        onKeyDown: null,
+        scale: 1,
+        x: 0,
+        y: 0,
+        pointers: new Map(),
+        gesture: null,          // Pan or pinch in progress
+        tap: null,              // Pointer down that may become a tap
+        lastTap: null,          // {time, x, y} for double-tap detection
+
+        isOpen: function () {
+            return !!this.element;
+        },
+
+        /**
+         * @param {Object} options - {previewId, thumbnail, title, meta, kind, snippet}
+         */
+        open: function (options) {
+            this.close();
+
+            const opts = options || {};
+            const source = opts.previewId && window.getFilePreviewSource
+                ? window.getFilePreviewSource(opts.previewId)
+                : null;
+
+            const element = document.createElement('div');
+            element.className = 'tb-lightbox';
+            element.setAttribute('role', 'dialog');
+            element.setAttribute('aria-modal', 'true');
+            element.innerHTML = `
+                <div class="tb-lightbox__header">
+                    <div class="tb-lightbox__heading">
+                        <h2 class="tb-lightbox__title"></h2>
+                        <p class="tb-lightbox__meta"></p>
+                    </div>
+                    <button type="button" class="tb-lightbox__close" data-close aria-label="Close preview">
+                        <i class="fas fa-xmark" aria-hidden="true"></i>
+                    </button>
+                </div>
+                <div class="tb-lightbox__stage"></div>
+            `;
+
+            const title = opts.title || (source && source.title) || 'Preview';
+            element.setAttribute('aria-label', title);
+            element.querySelector('.tb-lightbox__title').textContent = title;
+            element.querySelector('.tb-lightbox__meta').textContent = opts.meta || '';
+
+            this.stage = element.querySelector('.tb-lightbox__stage');
+
+            const text = source && source.kind === 'text' ? source.text : null;
+            if (text != null || opts.kind === 'text') {
+                this.renderText(text != null ? text : (opts.snippet || ''), !!(source ? source.truncated : text == null));
+            } else {
+                this.renderImage((source && source.url) || opts.thumbnail, title);
+            }
+
+            element.addEventListener('click', (e) => {
+                if (e.target instanceof Element && e.target.closest('[data-close]')) this.close();
+            });
+
+            this.onKeyDown = (e) => this.handleKeyDown(e);
+            document.addEventListener('keydown', this.onKeyDown);
+
+            this.returnFocus = document.activeElement;
+            this.element = element;
+            document.body.appendChild(element);
+
+            element.querySelector('.tb-lightbox__close').focus({ preventScroll: true });
+        },
+
+        close: function () {
+            if (!this.element) return;
+
+            this.element.remove();
+            this.element = this.stage = this.canvas = null;
+            this.pointers.clear();
+            this.gesture = this.tap = this.lastTap = null;
+            document.removeEventListener('keydown', this.onKeyDown);
+
+            if (this.returnFocus && this.returnFocus.isConnected) {
+                this.returnFocus.focus({ preventScroll: true });
+            }
+            this.returnFocus = null;
+        },
+
+        renderText: function (text, truncated) {
+            this.stage.classList.add('tb-lightbox__stage--text');
+
+            const pre = document.createElement('pre');
+            pre.className = 'tb-lightbox__text';
+            pre.tabIndex = 0;
+            pre.textContent = text;
+            this.stage.appendChild(pre);
+
+            if (truncated) {
+                const note = document.createElement('p');
+                note.className = 'tb-lightbox__hint';
+                note.textContent = 'Only the beginning of the file is shown.';
+                this.stage.appendChild(note);
+            }
+        },
+
+        renderImage: function (src, title) {
+            this.canvas = document.createElement('div');
+            this.canvas.className = 'tb-lightbox__canvas';
+
+            const image = document.createElement('img');
+            image.className = 'tb-lightbox__image';
+            image.alt = title;
+            image.draggable = false;
+            if (src) image.src = src;
+            this.canvas.appendChild(image);
+
+            const hint = document.createElement('p');
+            hint.className = 'tb-lightbox__hint';
+            hint.textContent = 'Pinch or double-tap to zoom';
+
+            this.stage.append(this.canvas, hint);
+            this.scale = 1;
+            this.x = this.y = 0;
+            this.apply();
+
+            this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+            this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+            this.stage.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+            this.stage.addEventListener('pointercancel', (e) => this.handlePointerUp(e, true));
+            this.stage.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        },
+
+        // ------------------------------------------------------------------
+        // Zoom & pan
+        // ------------------------------------------------------------------
+
+        apply: function () {
+            if (!this.canvas) return;
+            this.canvas.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+            this.stage.classList.toggle('tb-lightbox__stage--zoomed', this.scale > 1);
+        },
+
+        // Keep the zoomed content covering the stage - no panning off into the void
+        clamp: function () {
+            const width = this.stage.clientWidth;
+            const height = this.stage.clientHeight;
+            this.scale = Math.min(MAX_SCALE, Math.max(1, this.scale));
+            this.x = Math.min(0, Math.max(width - width * this.scale, this.x));
+            this.y = Math.min(0, Math.max(height - height * this.scale, this.y));
+        },
+
+        /**
+         * Zoom to `scale`, keeping the stage point (px, py) in place.
+         */
+        zoomAt: function (px, py, scale) {
+            const next = Math.min(MAX_SCALE, Math.max(1, scale));
+            this.x = px - (px - this.x) * (next / this.scale);
+            this.y = py - (py - this.y) * (next / this.scale);
+            this.scale = next;
+            this.clamp();
+            this.apply();
+        },
+
+        toStagePoint: function (clientX, clientY) {
+            const rect = this.stage.getBoundingClientRect();
+            return { x: clientX - rect.left, y: clientY - rect.top };
+        },
+
+        startGesture: function () {
+            const points = Array.from(this.pointers.values());
+
+            if (points.length >= 2) {
+                const [a, b] = points;
+                this.gesture = {
+                    type: 'pinch',
+                    distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+                    mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+                    scale: this.scale,
+                    x: this.x,
+                    y: this.y
+                };
+            } else if (points.length === 1) {
+                this.gesture = { type: 'pan', start: points[0], x: this.x, y: this.y };
+            } else {
+                this.gesture = null;
+            }
+        },
+
+        handlePointerDown: function (e) {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+            this.stage.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, this.toStagePoint(e.clientX, e.clientY));
+            this.tap = this.pointers.size === 1
+                ? { id: e.pointerId, x: e.clientX, y: e.clientY, time: e.timeStamp, onImage: e.target instanceof HTMLImageElement }
+                : null;
+            this.startGesture();
+        },
+
+        handlePointerMove: function (e) {
+            if (!this.pointers.has(e.pointerId)) return;
+
+            this.pointers.set(e.pointerId, this.toStagePoint(e.clientX, e.clientY));
+            if (this.tap && Math.hypot(e.clientX - this.tap.x, e.clientY - this.tap.y) > TAP_MOVE_PX) {
+                this.tap = null;
+            }
+
+            const gesture = this.gesture;
+            if (!gesture) return;
+
+            if (gesture.type === 'pinch') {
+                const [a, b] = Array.from(this.pointers.values());
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                const scale = Math.min(MAX_SCALE, Math.max(1, gesture.scale * distance / gesture.distance));
+
+                // The point under the fingers at the start stays under their midpoint
+                this.x = mid.x - (gesture.mid.x - gesture.x) * (scale / gesture.scale);
+                this.y = mid.y - (gesture.mid.y - gesture.y) * (scale / gesture.scale);
+                this.scale = scale;
+            } else if (this.scale > 1) {
+                const point = this.pointers.get(e.pointerId);
+                this.x = gesture.x + point.x - gesture.start.x;
+                this.y = gesture.y + point.y - gesture.start.y;
+            } else {
+                return;
+            }
+
+            this.clamp();
+            this.apply();
+        },
+
+        handlePointerUp: function (e, cancelled) {
+            if (!this.pointers.has(e.pointerId)) return;
+
+            this.pointers.delete(e.pointerId);
+            if (this.stage.hasPointerCapture(e.pointerId)) {
+                this.stage.releasePointerCapture(e.pointerId);
+            }
+
+            const tap = this.tap;
+            this.tap = null;
+            this.startGesture();
+
+            if (cancelled || !tap || tap.id !== e.pointerId) return;
+            this.handleTap(e, tap);
+        },
+
+        handleTap: function (e, tap) {
+            const last = this.lastTap;
+            const isDoubleTap = last && tap.time - last.time < DOUBLE_TAP_MS
+                && Math.hypot(tap.x - last.x, tap.y - last.y) < TAP_MOVE_PX * 3;
+
+            if (isDoubleTap) {
+                this.lastTap = null;
+                const point = this.toStagePoint(e.clientX, e.clientY);
+                this.zoomAt(point.x, point.y, this.scale > 1 ? 1 : DOUBLE_TAP_SCALE);
+                return;
+            }
+
+            this.lastTap = { time: tap.time, x: tap.x, y: tap.y };
+
+            // A tap beside the image closes - wait to be sure it isn't the first of a double tap
+            if (!tap.onImage && this.scale === 1) {
+                setTimeout(() => {
+                    if (this.lastTap && this.lastTap.time === tap.time) this.close();
+                }, DOUBLE_TAP_MS);
+            }
+        },
+
+        handleWheel: function (e) {
+            e.preventDefault();
+            const point = this.toStagePoint(e.clientX, e.clientY);
+            this.zoomAt(point.x, point.y, this.scale * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+        },
+
+        handleKeyDown: function (e) {
+            if (e.key === 'Escape') {
+                this.close();
+                return;
+            }
+            if (!this.canvas) return;
+
+            const centerX = this.stage.clientWidth / 2;
+            const centerY = this.stage.clientHeight / 2;
+            if (e.key === '+' || e.key === '=') {
+                this.zoomAt(centerX, centerY, this.scale * KEY_ZOOM_STEP);
+            } else if (e.key === '-') {
+                this.zoomAt(centerX, centerY, this.scale / KEY_ZOOM_STEP);
+            } else if (e.key === '0') {
+                this.zoomAt(centerX, centerY, 1);
+            }
+        }
+    };
+
+    // Expose API for Blazor
+    window.tbLightbox = {
+        /**
+         * Show an attachment preview.
+         * @param {Object} options - {previewId, thumbnail, title, meta, kind, snippet}
+         */
+        open: function (options) {
+            Lightbox.open(options);
+        },
+        close: function () {
+            Lightbox.close();
+        },
+        isOpen: function () {
+            return Lightbox.isOpen();
+        }
+    };
+})();
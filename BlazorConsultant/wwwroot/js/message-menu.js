@@ -0,0 +1,267 @@
+/**
+ * TailorBlend Message Context Menu
+ *
+ * Opens on long press (LongPressDetector in mobile-utils.js dispatches
+ * `messageContextMenu`) and on right-click. Each ChatMessageComponent
+ * registers its root element with a .NET object reference; the selected
+ * action is sent to its `OnContextMenuAction(action)`:
+ *   - copy / copy-markdown / share: .NET returns the text, the browser work
+ *     happens here so it stays inside the user gesture
+ *   - quote / regenerate: handled entirely by the component (returns null)
+ */
+
+(function () {
+    'use strict';
+
+    const ACTION_METHOD = 'OnContextMenuAction';
+    const VIEWPORT_MARGIN = 8;
+
+    // Ignore the touchend/click that follows the long press that opened the menu
+    const OPEN_GRACE_MS = 350;
+
+    const ACTIONS = [
+        { id: 'copy', label: 'Copy', icon: 'fa-copy' },
+        { id: 'copy-markdown', label: 'Copy as Markdown', icon: 'fa-code' },
+        { id: 'quote', label: 'Quote reply', icon: 'fa-quote-left', when: (opts) => opts.canQuote },
+        { id: 'share', label: 'Share', icon: 'fa-share-nodes', when: () => typeof navigator.share === 'function' },
+        { id: 'regenerate', label: 'Regenerate', icon: 'fa-rotate', when: (opts) => opts.canRegenerate }
+    ];
+
+    const registrations = new WeakMap();
+
+    function availableActions(registration) {
+        return ACTIONS.filter(action => !action.when || action.when(registration.options));
+    }
+
+    const MessageMenu = {
+        menu: null,
+        target: null,
+        openedAt: 0,
+        listenersBound: false,
+
+        init: function () {
+            if (this.listenersBound) return;
+
+            window.addEventListener('messageContextMenu', (e) => {
+                const { message, clientX, clientY, x, y } = e.detail || {};
+                // Older dispatchers only sent page coordinates
+                const left = clientX !== undefined ? clientX : x - window.scrollX;
+                const top = clientY !== undefined ? clientY : y - window.scrollY;
+                this.open(message, left, top);
+            });
+
+            document.addEventListener('contextmenu', (e) => this.handleContextMenu(e));
+            document.addEventListener('pointerdown', (e) => {
+                if (this.menu && !this.menu.contains(e.target)) this.close();
+            }, true);
+            document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+            window.addEventListener('resize', () => this.close());
+            window.addEventListener('scroll', () => this.close(), true);
+
+            this.listenersBound = true;
+        },
+
+        handleContextMenu: function (e) {
+            const message = e.target instanceof Element ? e.target.closest('.tb-message') : null;
+            if (!message || !registrations.has(message)) return;
+
+            // Keep the native menu for links, text selections and Shift+right-click
+            const selection = window.getSelection ? String(window.getSelection()) : '';
+            if (e.shiftKey || selection || e.target.closest('a')) return;
+
+            e.preventDefault();
+
+            // Android fires contextmenu for the same long press LongPressDetector already handled
+            if (this.menu && this.target === message) return;
+
+            this.open(message, e.clientX, e.clientY);
+        },
+
+        open: function (message, x, y) {
+            const registration = message && registrations.get(message);
+            if (!registration) return;
+
+            this.close();
+
+            const items = availableActions(registration);
+
+            const menu = document.createElement('div');
+            menu.className = 'tb-context-menu';
+            menu.setAttribute('role', 'menu');
+            menu.setAttribute('aria-label', 'Message actions');
+            menu.innerHTML = items.map(action => `
+                <button type="button" class="tb-context-menu__item" role="menuitem" data-action="${action.id}">
+                    <i class="fas ${action.icon}" aria-hidden="true"></i>
+                    <span>${action.label}</span>
+                </button>
+            `).join('');
+
+            menu.addEventListener('click', (e) => {
+                const item = e.target instanceof Element ? e.target.closest('[data-action]') : null;
+                if (!item || Date.now() - this.openedAt < OPEN_GRACE_MS) return;
+                this.select(item.dataset.action, registration);
+            });
+
+            document.body.appendChild(menu);
+            this.position(menu, x, y);
+
+            message.classList.add('tb-message--menu-open');
+            this.menu = menu;
+            this.target = message;
+            this.openedAt = Date.now();
+
+            const first = menu.querySelector('[data-action]');
+            if (first) first.focus({ preventScroll: true });
+        },
+
+        /**
+         * Place the menu at the pointer, clamped to the visual viewport
+         * (which excludes the on-screen keyboard and pinch-zoom offset).
+         */
+        position: function (menu, x, y) {
+            const viewport = window.visualViewport;
+            const viewLeft = viewport ? viewport.offsetLeft : 0;
+            const viewTop = viewport ? viewport.offsetTop : 0;
+            const viewWidth = viewport ? viewport.width : window.innerWidth;
+            const viewHeight = viewport ? viewport.height : window.innerHeight;
+
+            const rect = menu.getBoundingClientRect();
+
+            let left = x;
+            let top = y;
+
+            // Flip to the other side of the pointer when there is no room
+            if (left + rect.width > viewLeft + viewWidth - VIEWPORT_MARGIN) left = x - rect.width;
+            if (top + rect.height > viewTop + viewHeight - VIEWPORT_MARGIN) top = y - rect.height;
+
+            left = Math.min(Math.max(left, viewLeft + VIEWPORT_MARGIN), viewLeft + viewWidth - rect.width - VIEWPORT_MARGIN);
+            top = Math.min(Math.max(top, viewTop + VIEWPORT_MARGIN), viewTop + viewHeight - rect.height - VIEWPORT_MARGIN);
+
+            menu.style.left = `${Math.max(viewLeft + VIEWPORT_MARGIN, left)}px`;
+            menu.style.top = `${Math.max(viewTop + VIEWPORT_MARGIN, top)}px`;
+        },
+
+        close: function () {
+            if (this.menu) {
+                this.menu.remove();
+            }
+            if (this.target) {
+                this.target.classList.remove('tb-message--menu-open');
+            }
+            this.menu = null;
+            this.target = null;
+        },
+
+        handleKeyDown: function (e) {
+            if (!this.menu) return;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+                return;
+            }
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const items = Array.from(this.menu.querySelectorAll('[data-action]'));
+                const index = items.indexOf(document.activeElement);
+                const next = e.key === 'ArrowDown'
+                    ? (index + 1) % items.length
+                    : (index - 1 + items.length) % items.length;
+                items[next].focus();
+            }
+        },
+
+        select: function (action, registration) {
+            this.close();
+
+            const request = registration.dotNetRef.invokeMethodAsync(ACTION_METHOD, action);
+
+            switch (action) {
+                case 'copy':
+                case 'copy-markdown':
+                    this.copy(request);
+                    break;
+                case 'share':
+                    this.share(request);
+                    break;
+                default:
+                    request.catch(err => console.warn(`[MessageMenu] ${action} failed:`, err));
+            }
+        },
+
+        /**
+         * Copy text that is still on its way from .NET. ClipboardItem accepts a
+         * promise, which keeps the write inside the user gesture (Safari requires this).
+         */
+        copy: function (textPromise) {
+            let write;
+            if (window.ClipboardItem && navigator.clipboard && navigator.clipboard.write) {
+                const blob = textPromise.then(text => new Blob([text || ''], { type: 'text/plain' }));
+                write = navigator.clipboard.write([new ClipboardItem({ 'text/plain': blob })]);
+            } else {
+                write = textPromise.then(text => window.copyToClipboard(text || ''));
+            }
+
+            write
+                .then(() => window.vibrate && window.vibrate(10))
+                .catch(err => console.warn('[MessageMenu] Copy failed:', err));
+        },
+
+        share: async function (textPromise) {
+            try {
+                const text = await textPromise;
+                await navigator.share({ title: 'TailorBlend consultation', text: text || '' });
+            } catch (err) {
+                if (err && err.name === 'AbortError') return;
+
+                // Share sheets can refuse once the gesture has expired - copy instead
+                console.warn('[MessageMenu] Share failed, copying instead:', err);
+                this.copy(textPromise);
+            }
+        }
+    };
+
+    // Expose API for Blazor
+    window.tbMessageMenu = {
+        /**
+         * Register a message element for the context menu.
+         * @param {HTMLElement} element - The .tb-message root element
+         * @param {DotNetObjectReference} dotNetRef - ChatMessageComponent reference
+         * @param {Object} options - {canQuote, canRegenerate}
+         */
+        register: function (element, dotNetRef, options) {
+            if (!element) return;
+            MessageMenu.init();
+            registrations.set(element, { dotNetRef: dotNetRef, options: options || {} });
+        },
+
+        /**
+         * Whether a message offers an action (e.g. quote needs canQuote).
+         */
+        canInvoke: function (element, action) {
+            const registration = element && registrations.get(element);
+            return !!registration && availableActions(registration).some(item => item.id === action);
+        },
+
+        /**
+         * Run an action without opening the menu (swipe gestures in gestures.js).
+         * Call from inside the user gesture so copy/share are allowed.
+         */
+        invoke: function (element, action) {
+            if (!this.canInvoke(element, action)) return false;
+            MessageMenu.select(action, registrations.get(element));
+            return true;
+        },
+
+        unregister: function (element) {
+            if (!element) return;
+            if (MessageMenu.target === element) MessageMenu.close();
+            registrations.delete(element);
+        },
+
+        close: function () {
+            MessageMenu.close();
+        }
+    };
+})();
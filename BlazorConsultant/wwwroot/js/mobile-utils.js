@@ -232,66 +232,132 @@
     // ============================================================================
 
     /**
-     * Native pull-to-refresh gesture for chat messages
-     * Reloads conversation history
+     * Native pull-to-refresh gesture for chat messages.
+     *
+     * A page registers a .NET handler with PullToRefresh.register(dotNetRef, method).
+     * The spinner stays up until the handler's task completes; a thrown error or a
+     * `false` result shows an error state instead. The gesture is disabled while
+     * the list is not scrolled to the top, while the container is aria-busy
+     * (a response is streaming) and when no handler is registered.
      */
     const PullToRefresh = {
+        startX: 0,
         startY: 0,
         currentY: 0,
+        pullDistance: 0,
         isDragging: false,
-        threshold: 80,
+        isRefreshing: false,
+        threshold: 80,          // Resisted distance (px) needed to trigger
+        maxPull: 140,           // Asymptote of the resistance curve
+        minSpinnerMs: 400,      // Avoid a flash when the handler is instant
+        errorMs: 2000,
         container: null,
         refreshIndicator: null,
+        dotNetRef: null,
+        methodName: null,
         initialized: false,
 
-        init: function() {
+        /**
+         * Register the .NET handler that performs the refresh.
+         * @param {DotNetObjectReference} dotNetRef - Component reference
+         * @param {string} methodName - [JSInvokable] method returning Task or Task<bool>
+         * @param {Object} options - {container: element or selector (default .tb-chat-messages), threshold}
+         */
+        register: function(dotNetRef, methodName, options) {
+            const opts = options || {};
+            const container = typeof opts.container === 'string'
+                ? document.querySelector(opts.container)
+                : (opts.container || document.querySelector('.tb-chat-messages'));
+
+            this.dotNetRef = dotNetRef;
+            this.methodName = methodName;
+            if (opts.threshold) this.threshold = opts.threshold;
+
+            if (container && container !== this.container) {
+                this.unbind();
+                this.initialized = false;
+                this.container = null;
+            }
+            this.init(container);
+        },
+
+        unregister: function() {
+            this.dotNetRef = null;
+            this.methodName = null;
+            this.resetIndicator();
+        },
+
+        init: function(container) {
             // Guard against duplicate initialization
             if (this.initialized) {
                 console.log('[PullToRefresh] Already initialized, skipping...');
                 return;
             }
 
-            this.container = document.querySelector('.tb-chat-messages');
+            this.container = container || document.querySelector('.tb-chat-messages');
             if (!this.container) return;
 
             // Create refresh indicator
             this.createRefreshIndicator();
 
             // Touch events
-            this.container.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
-            this.container.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-            this.container.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: true });
+            this.onTouchStart = (e) => this.handleTouchStart(e);
+            this.onTouchMove = (e) => this.handleTouchMove(e);
+            this.onTouchEnd = (e) => this.handleTouchEnd(e);
+            this.container.addEventListener('touchstart', this.onTouchStart, { passive: true });
+            this.container.addEventListener('touchmove', this.onTouchMove, { passive: false });
+            this.container.addEventListener('touchend', this.onTouchEnd, { passive: true });
+            this.container.addEventListener('touchcancel', this.onTouchEnd, { passive: true });
 
             this.initialized = true;
         },
 
+        unbind: function() {
+            if (!this.container || !this.onTouchStart) return;
+            this.container.removeEventListener('touchstart', this.onTouchStart);
+            this.container.removeEventListener('touchmove', this.onTouchMove);
+            this.container.removeEventListener('touchend', this.onTouchEnd);
+            this.container.removeEventListener('touchcancel', this.onTouchEnd);
+        },
+
         createRefreshIndicator: function() {
+            if (this.refreshIndicator) return;
+
+            // Lives on <body> (not inside the Blazor-rendered list) and is positioned
+            // over the container's top edge while visible
             this.refreshIndicator = document.createElement('div');
             this.refreshIndicator.className = 'tb-pull-refresh-indicator';
+            this.refreshIndicator.setAttribute('role', 'status');
+            this.refreshIndicator.setAttribute('aria-live', 'polite');
             this.refreshIndicator.innerHTML = `
                 <div class="tb-spinner" style="width: 24px; height: 24px; border-width: 2px;"></div>
+                <span class="tb-pull-refresh-indicator__label"></span>
             `;
-            this.refreshIndicator.style.cssText = `
-                position: absolute;
-                top: -60px;
-                left: 50%;
-                transform: translateX(-50%);
-                opacity: 0;
-                transition: all 0.3s ease;
-            `;
+            document.body.appendChild(this.refreshIndicator);
+        },
 
-            if (this.container) {
-                this.container.style.position = 'relative';
-                this.container.insertBefore(this.refreshIndicator, this.container.firstChild);
-            }
+        isEnabled: function() {
+            return !!(this.dotNetRef && this.container && this.container.isConnected &&
+                !this.isRefreshing &&
+                this.container.getAttribute('aria-busy') !== 'true');
+        },
+
+        /**
+         * Rubber-band resistance: grows almost 1:1 at first and approaches maxPull.
+         */
+        resist: function(diff) {
+            return this.maxPull * (1 - 1 / (diff * 0.55 / this.maxPull + 1));
         },
 
         handleTouchStart: function(e) {
             // Only trigger if scrolled to top
-            if (this.container.scrollTop === 0) {
-                this.startY = e.touches[0].pageY;
-                this.isDragging = true;
-            }
+            if (!this.isEnabled() || this.container.scrollTop > 0) return;
+
+            this.startX = e.touches[0].pageX;
+            this.startY = e.touches[0].pageY;
+            this.currentY = this.startY;
+            this.pullDistance = 0;
+            this.isDragging = true;
         },
 
         handleTouchMove: function(e) {
@@ -300,54 +366,94 @@
             this.currentY = e.touches[0].pageY;
             const diff = this.currentY - this.startY;
 
-            // Only allow pull down (positive diff) when at top
-            if (diff > 0 && this.container.scrollTop === 0) {
-                e.preventDefault(); // Prevent default scroll
+            // Scrolled away from the top, pushing up, or swiping sideways (message
+            // swipe actions in gestures.js) - hand the gesture back
+            const sideways = this.pullDistance === 0 && Math.abs(e.touches[0].pageX - this.startX) > diff;
+            if (diff <= 0 || sideways || this.container.scrollTop > 0) {
+                this.pullDistance = 0;
+                this.setIndicator(0, 'pull');
+                return;
+            }
 
-                const pullDistance = Math.min(diff, this.threshold);
-                const opacity = Math.min(pullDistance / this.threshold, 1);
+            e.preventDefault(); // Prevent default scroll / browser reload
 
-                // Update indicator
-                this.refreshIndicator.style.transform = `translateX(-50%) translateY(${pullDistance}px)`;
-                this.refreshIndicator.style.opacity = opacity;
-            }
+            this.pullDistance = this.resist(diff);
+            this.setIndicator(this.pullDistance, this.pullDistance >= this.threshold ? 'release' : 'pull');
         },
 
         handleTouchEnd: function(e) {
             if (!this.isDragging) return;
 
-            const diff = this.currentY - this.startY;
-
-            if (diff > this.threshold) {
-                // Trigger refresh
+            if (this.pullDistance >= this.threshold) {
                 this.triggerRefresh();
             } else {
-                // Reset indicator
                 this.resetIndicator();
             }
 
             this.isDragging = false;
             this.startY = 0;
             this.currentY = 0;
+            this.pullDistance = 0;
         },
 
-        triggerRefresh: function() {
-            // Show loading state
-            this.refreshIndicator.style.top = '16px';
-            this.refreshIndicator.style.opacity = '1';
+        setIndicator: function(distance, state) {
+            if (!this.refreshIndicator || !this.container) return;
+
+            const rect = this.container.getBoundingClientRect();
+            const labels = {
+                pull: 'Pull to refresh',
+                release: 'Release to refresh',
+                refreshing: 'Refreshing...',
+                error: "Couldn't refresh"
+            };
+
+            this.refreshIndicator.dataset.state = state;
+            this.refreshIndicator.querySelector('.tb-pull-refresh-indicator__label').textContent = labels[state] || '';
+            this.refreshIndicator.style.left = `${rect.left + rect.width / 2}px`;
+            this.refreshIndicator.style.top = `${rect.top}px`;
+            this.refreshIndicator.style.transform = `translateX(-50%) translateY(${distance - 48}px)`;
+            this.refreshIndicator.style.opacity = Math.min(distance / this.threshold, 1);
+        },
+
+        triggerRefresh: async function() {
+            this.isRefreshing = true;
+            this.setIndicator(this.threshold, 'refreshing');
+            window.vibrate(10);
 
-            // Dispatch event for Blazor to handle
+            // Kept for non-Blazor listeners
             window.dispatchEvent(new CustomEvent('pullToRefresh'));
 
-            // Reset after 1 second
+            const started = Date.now();
+            let ok = false;
+            try {
+                const result = await this.dotNetRef.invokeMethodAsync(this.methodName);
+                ok = result !== false;
+            } catch (err) {
+                console.warn('[PullToRefresh] Refresh failed:', err);
+            }
+
+            const remaining = this.minSpinnerMs - (Date.now() - started);
+            if (remaining > 0) {
+                await new Promise(resolve => setTimeout(resolve, remaining));
+            }
+
+            if (ok) {
+                this.isRefreshing = false;
+                this.resetIndicator();
+                return;
+            }
+
+            this.setIndicator(this.threshold, 'error');
             setTimeout(() => {
+                this.isRefreshing = false;
                 this.resetIndicator();
-            }, 1000);
+            }, this.errorMs);
         },
 
         resetIndicator: function() {
-            this.refreshIndicator.style.transform = 'translateX(-50%) translateY(0)';
-            this.refreshIndicator.style.top = '-60px';
+            if (!this.refreshIndicator) return;
+            this.refreshIndicator.dataset.state = 'idle';
+            this.refreshIndicator.style.transform = 'translateX(-50%) translateY(-48px)';
             this.refreshIndicator.style.opacity = '0';
         }
     };
@@ -358,7 +464,9 @@
 
     /**
      * Enhanced file input to support camera on mobile
-     * Allows direct photo/video capture
+     * Allows direct photo/video capture. No longer applied on page load - the
+     * attach button keeps the full picker and documents are photographed with
+     * the in-app camera (tbAttachments.openCamera, camera-capture.js).
      */
     window.enableCameraCapture = function() {
         const fileInput = document.querySelector('input[type="file"][data-tb-file-input="true"]');
@@ -446,12 +554,14 @@
         },
 
         showMessageContextMenu: function(message, touch) {
-            // Dispatch event for Blazor to show context menu
+            // Dispatch event for the context menu (message-menu.js)
             const event = new CustomEvent('messageContextMenu', {
                 detail: {
                     message: message,
                     x: touch.pageX,
-                    y: touch.pageY
+                    y: touch.pageY,
+                    clientX: touch.clientX,
+                    clientY: touch.clientY
                 }
             });
             window.dispatchEvent(event);
@@ -619,10 +729,11 @@
                 // Chat container has changed (Blazor navigation created new DOM)
                 // Reset initialization and re-bind to the new element
                 console.log('[Mobile Utils] Chat container changed, re-initializing pull-to-refresh...');
+                PullToRefresh.unbind();
                 PullToRefresh.initialized = false;
                 PullToRefresh.container = null;
             }
-            PullToRefresh.init();
+            PullToRefresh.init(chatMessages);
         }
 
         // Re-wire textareas (they may be new after navigation)
@@ -634,9 +745,6 @@
         // Re-apply auto-zoom prevention to new inputs
         preventAutoZoom();
 
-        // Enable camera capture for new file inputs
-        window.enableCameraCapture();
-
         console.log('[Mobile Utils] ✓ Per-page features initialized');
     }
 
@@ -667,6 +775,7 @@
         KeyboardManager,
         PullToRefresh,
         LongPressDetector,
+        getScrollBehavior,
         autoResizeTextarea: window.autoResizeTextarea,
         vibrate: window.vibrate,
         enableCameraCapture: window.enableCameraCapture,
@@ -0,0 +1,205 @@
+/**
+ * TailorBlend PDF Builder
+ *
+ * Assembles JPEG images into a PDF entirely in the browser - no library and
+ * no server round trip, so multi-page scans (camera-capture.js) work offline.
+ * Each JPEG is embedded as-is (DCTDecode), one image per page, scaled to fit
+ * an A4 page in the image's orientation.
+ */
+
+(function () {
+    'use strict';
+
+    const A4_WIDTH_PT = 595.28;
+    const A4_HEIGHT_PT = 841.89;
+    const PRODUCER = 'TailorBlend';
+
+    const COLOR_SPACES = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' };
+
+    const encoder = new TextEncoder();
+
+    /**
+     * Read size and colour components from a JPEG's start-of-frame marker.
+     * @param {Uint8Array} bytes - JPEG file
+     * @returns {{width: number, height: number, components: number}}
+     */
+    function readJpegInfo(bytes) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Not a JPEG image');
+        }
+
+        let offset = 2;
+        while (offset + 4 <= bytes.length) {
+            if (bytes[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                    width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                    components: bytes[offset + 9]
+                };
+            }
+
+            // Standalone markers (fill bytes, RSTn) carry no length
+            if (marker === 0xFF || (marker >= 0xD0 && marker <= 0xD7)) {
+                offset += marker === 0xFF ? 1 : 2;
+                continue;
+            }
+
+            offset += 2 + length;
+        }
+
+        throw new Error('JPEG has no frame header');
+    }
+
+    function formatNumber(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    function formatDate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    // PDF literal string: escape delimiters, keep it to printable ASCII
+    function formatText(text) {
+        const safe = String(text).replace(/[^\x20-\x7E]/g, '?').replace(/([\\()])/g, '\\$1');
+        return `(${safe})`;
+    }
+
+    /**
+     * Page size for an image: A4, landscape for wide images, with the image
+     * scaled to fit and centred.
+     */
+    function layoutPage(width, height) {
+        const landscape = width > height;
+        const pageWidth = landscape ? A4_HEIGHT_PT : A4_WIDTH_PT;
+        const pageHeight = landscape ? A4_WIDTH_PT : A4_HEIGHT_PT;
+        const scale = Math.min(pageWidth / width, pageHeight / height);
+        const drawWidth = width * scale;
+        const drawHeight = height * scale;
+
+        return {
+            pageWidth: pageWidth,
+            pageHeight: pageHeight,
+            drawWidth: drawWidth,
+            drawHeight: drawHeight,
+            x: (pageWidth - drawWidth) / 2,
+            y: (pageHeight - drawHeight) / 2
+        };
+    }
+
+    /**
+     * Build a PDF with one JPEG per page.
+     * @param {Array<Blob|ArrayBuffer|Uint8Array>} images - JPEG images in page order
+     * @param {Object} options - {title}
+     * @returns {Promise<Blob>} application/pdf
+     */
+    async function fromJpegs(images, options) {
+        if (!images || images.length === 0) {
+            throw new Error('A PDF needs at least one page');
+        }
+
+        const opts = options || {};
+        const jpegs = await Promise.all(images.map(async image => {
+            if (image instanceof Uint8Array) return image;
+            if (image instanceof ArrayBuffer) return new Uint8Array(image);
+            return new Uint8Array(await image.arrayBuffer());
+        }));
+
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const beginObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+        const endObject = () => write('endobj\n');
+
+        // Object ids: 1 catalog, 2 page tree, 3 info, then page / content / image per page
+        const pageId = (index) => 4 + index * 3;
+        const objectCount = 3 + jpegs.length * 3;
+
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));   // Binary marker comment
+
+        beginObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\n');
+        endObject();
+
+        beginObject(2);
+        write(`<< /Type /Pages /Kids [${jpegs.map((_, i) => `${pageId(i)} 0 R`).join(' ')}] /Count ${jpegs.length} >>\n`);
+        endObject();
+
+        beginObject(3);
+        write(`<< /Producer ${formatText(PRODUCER)} /CreationDate ${formatText(formatDate(new Date()))}` +
+            (opts.title ? ` /Title ${formatText(opts.title)}` : '') + ' >>\n');
+        endObject();
+
+        jpegs.forEach((jpeg, index) => {
+            const info = readJpegInfo(jpeg);
+            const colorSpace = COLOR_SPACES[info.components];
+            if (!colorSpace) {
+                throw new Error(`Unsupported JPEG with ${info.components} colour components`);
+            }
+
+            const layout = layoutPage(info.width, info.height);
+            const id = pageId(index);
+            const contents = `q ${formatNumber(layout.drawWidth)} 0 0 ${formatNumber(layout.drawHeight)} ` +
+                `${formatNumber(layout.x)} ${formatNumber(layout.y)} cm /Im0 Do Q\n`;
+
+            beginObject(id);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(layout.pageWidth)} ${formatNumber(layout.pageHeight)}] ` +
+                `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>\n`);
+            endObject();
+
+            beginObject(id + 1);
+            write(`<< /Length ${encoder.encode(contents).length} >>\nstream\n${contents}endstream\n`);
+            endObject();
+
+            beginObject(id + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} ` +
+                `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+            write(jpeg);
+            write('\nendstream\n');
+            endObject();
+        });
+
+        // Cross-reference table: fixed 20-byte entries
+        const xrefOffset = length;
+        let xref = `xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`;
+        for (let id = 1; id <= objectCount; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        write(xref);
+        write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    // Expose API for camera-capture.js
+    window.tbPdf = {
+        /**
+         * @param {Array<Blob|ArrayBuffer|Uint8Array>} images - JPEG images in page order
+         * @param {Object} options - {title}
+         * @returns {Promise<Blob>} The PDF
+         */
+        fromJpegs: function (images, options) {
+            return fromJpegs(images, options);
+        }
+    };
+})();
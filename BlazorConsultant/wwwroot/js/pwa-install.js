@@ -1,21 +1,40 @@
 // TailorBlend PWA Install Prompt Handler
+// Install prompt impressions and outcomes are recorded through telemetry.js.
 (function () {
     'use strict';
 
-    console.log('[PWA] Install script loading...');
+    // Debug-only logging (tbTelemetry debug switch) and analytics - no-ops without telemetry.js
+    function log(...args) {
+        if (window.tbTelemetry) window.tbTelemetry.debug('[PWA]', ...args);
+    }
+
+    function track(name, props) {
+        if (window.tbTelemetry) window.tbTelemetry.track(name, props);
+    }
+
+    log('Install script loading...');
 
     let deferredPrompt = null;
     let isInstallable = false;
+    let promptAvailableTracked = false;
     let buttonVisibilityRetries = 0;
     const MAX_BUTTON_VISIBILITY_RETRIES = 10; // Prevent infinite retry loop
 
+    // In-app browsers (social and messaging apps) - they cannot install web apps
+    const IN_APP_BROWSER_PATTERN = /FBAN|FBAV|FB_IAB|Instagram|Line\/|LinkedInApp|Twitter|Snapchat|Pinterest|TikTok|musical_ly|BytedanceWebview|MicroMessenger|GSA\/|\bwv\)/;
+
     // Debug: Log initial state
-    console.log('[PWA] iOS:', /iPad|iPhone|iPod/.test(navigator.userAgent));
-    console.log('[PWA] User Agent:', navigator.userAgent);
+    log('Platform:', detectPlatform());
 
     // Listen for the beforeinstallprompt event
     window.addEventListener('beforeinstallprompt', (e) => {
-        console.log('[PWA] Install prompt available');
+        log('Install prompt available');
+
+        // Chrome may fire this again after a dismissal - count it once per page
+        if (!promptAvailableTracked) {
+            promptAvailableTracked = true;
+            track('install_prompt_available', { browser: detectPlatform().browser });
+        }
 
         // Prevent the default mini-infobar from appearing on mobile
         e.preventDefault();
@@ -30,16 +49,68 @@
 
     // Listen for successful installation
     window.addEventListener('appinstalled', () => {
-        console.log('[PWA] App installed successfully');
+        log('App installed successfully');
+        track('app_installed', { browser: detectPlatform().browser });
         deferredPrompt = null;
         isInstallable = false;
         updateInstallButtonVisibility();
     });
 
-    // Check if running on iOS
+    /**
+     * Work out how this browser installs web apps.
+     * @returns {{os: string, browser: string, canAddToHomeScreen: boolean}}
+     *   os: ios | ipados | android | other
+     *   browser: safari | chrome | edge | firefox | samsung | in-app | other
+     */
+    function detectPlatform() {
+        const ua = navigator.userAgent || '';
+
+        let os = 'other';
+        if (/iPhone|iPod/.test(ua) || (/iPad/.test(ua) && !window.MSStream)) {
+            os = /iPad/.test(ua) ? 'ipados' : 'ios';
+        } else if (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1) {
+            // iPadOS 13+ reports itself as desktop Safari on a Mac
+            os = 'ipados';
+        } else if (/Android/.test(ua)) {
+            os = 'android';
+        }
+
+        let browser = 'other';
+        if (IN_APP_BROWSER_PATTERN.test(ua)) {
+            browser = 'in-app';
+        } else if (/CriOS/.test(ua)) {
+            browser = 'chrome';
+        } else if (/EdgiOS|EdgA/.test(ua)) {
+            browser = 'edge';
+        } else if (/FxiOS|Firefox/.test(ua)) {
+            browser = 'firefox';
+        } else if (/SamsungBrowser/.test(ua)) {
+            browser = 'samsung';
+        } else if (/Chrome/.test(ua)) {
+            browser = 'chrome';
+        } else if (/Safari/.test(ua)) {
+            browser = 'safari';
+        }
+
+        // Safari, Chrome and Edge on iOS 16.4+ can all add to the Home Screen
+        const canAddToHomeScreen =
+            ((os === 'ios' || os === 'ipados') && browser !== 'in-app' && browser !== 'other') ||
+            (os === 'android' && (browser === 'firefox' || browser === 'samsung'));
+
+        return { os: os, browser: browser, canAddToHomeScreen: canAddToHomeScreen };
+    }
+
+    // Check if running on iOS or iPadOS
     function isIOS() {
-        return /iPad|iPhone|iPod/.test(navigator.userAgent) &&
-               !window.MSStream; // Exclude Windows Phone
+        const os = detectPlatform().os;
+        return os === 'ios' || os === 'ipados';
+    }
+
+    // Browsers without beforeinstallprompt where we can still explain how to install
+    function needsManualInstructions() {
+        const platform = detectPlatform();
+        return platform.os === 'ios' || platform.os === 'ipados' ||
+            (platform.os === 'android' && (platform.browser === 'firefox' || platform.browser === 'samsung' || platform.browser === 'in-app'));
     }
 
     // Check if app is already installed (standalone mode)
@@ -53,17 +124,17 @@
     // Update button visibility based on install state
     function updateInstallButtonVisibility() {
         const button = document.getElementById('pwa-install-button');
-        console.log('[PWA] updateInstallButtonVisibility called, button:', !!button, 'retries:', buttonVisibilityRetries);
+        log('updateInstallButtonVisibility called, button:', !!button, 'retries:', buttonVisibilityRetries);
 
         if (!button) {
             // Button doesn't exist yet - will be rendered by Blazor
             // Try again in the next tick if we know it's installable, but limit retries
-            if ((isInstallable || isIOS()) && !isRunningStandalone() && buttonVisibilityRetries < MAX_BUTTON_VISIBILITY_RETRIES) {
+            if ((isInstallable || needsManualInstructions()) && !isRunningStandalone() && buttonVisibilityRetries < MAX_BUTTON_VISIBILITY_RETRIES) {
                 buttonVisibilityRetries++;
-                console.log('[PWA] Button not yet rendered, retrying in 100ms... (attempt', buttonVisibilityRetries + '/' + MAX_BUTTON_VISIBILITY_RETRIES + ')');
+                log('Button not yet rendered, retrying in 100ms... (attempt', buttonVisibilityRetries + '/' + MAX_BUTTON_VISIBILITY_RETRIES + ')');
                 setTimeout(updateInstallButtonVisibility, 100);
             } else if (buttonVisibilityRetries >= MAX_BUTTON_VISIBILITY_RETRIES) {
-                console.warn('[PWA] Max retries reached for button visibility. Button may not be rendered.');
+                log('Max retries reached for button visibility. Button may not be rendered.');
             }
             return;
         }
@@ -74,8 +145,8 @@
         if (isRunningStandalone()) {
             // App is installed and running standalone
             button.style.display = 'none';
-        } else if (isInstallable) {
-            // App is installable
+        } else if (isInstallable || needsManualInstructions()) {
+            // App is installable (natively or by following instructions)
             button.style.display = '';
         } else {
             // Not installable (already installed or not supported)
@@ -87,13 +158,13 @@
     window.pwaInstall = {
         isInstallable: function () {
             const standalone = isRunningStandalone();
-            const ios = isIOS();
-            const result = (isInstallable || ios) && !standalone;
+            const manual = needsManualInstructions();
+            const result = (isInstallable || manual) && !standalone;
 
-            console.log('[PWA] isInstallable() called:', {
+            log('isInstallable() called:', {
                 deferredPrompt: !!deferredPrompt,
                 isInstallable,
-                ios,
+                manual,
                 standalone,
                 result
             });
@@ -103,7 +174,7 @@
 
         isIOS: function () {
             const result = isIOS();
-            console.log('[PWA] isIOS() called:', result);
+            log('isIOS() called:', result);
             return result;
         },
 
@@ -111,52 +182,88 @@
             return isRunningStandalone();
         },
 
-        showPrompt: async function () {
-            // iOS requires manual installation
-            if (isIOS()) {
-                console.log('[PWA] iOS detected - showing manual installation instructions');
-                alert(
-                    'Add TailorBlend to Home Screen:\n\n' +
-                    '1. Tap the Share button (⬆️)\n' +
-                    '2. Scroll down and tap "Add to Home Screen"\n' +
-                    '3. Tap "Add" to confirm\n\n' +
-                    'The app will appear on your home screen and work offline!'
-                );
-                return {
+        /**
+         * {os, browser, canAddToHomeScreen} - see detectPlatform
+         */
+        getPlatform: function () {
+            return detectPlatform();
+        },
+
+        /**
+         * Install the app. Uses the native prompt where available, otherwise
+         * opens the instructions sheet (install-sheet.js).
+         * @param {string} source - Where the user asked to install (header, nav, banner) - for analytics
+         * @returns {{success: boolean, installed: boolean, outcome: string, error?: string}}
+         *   outcome: accepted | dismissed | instructions_shown | unavailable | error
+         */
+        showPrompt: async function (source) {
+            const platform = detectPlatform();
+            const outcome = (result) => {
+                track('install_prompt_outcome', {
+                    source: source || null,
+                    os: platform.os,
+                    browser: platform.browser,
+                    outcome: result.outcome
+                });
+                return result;
+            };
+
+            // No native prompt: show manual installation instructions
+            if (!deferredPrompt && needsManualInstructions()) {
+                log('Showing manual installation instructions for', platform);
+
+                if (!window.tbInstallSheet) {
+                    return outcome({
+                        success: false,
+                        installed: false,
+                        outcome: 'error',
+                        error: 'Install instructions are not available'
+                    });
+                }
+
+                window.tbInstallSheet.open(platform);
+                track('install_prompt_shown', { source: source || null, kind: 'instructions', os: platform.os, browser: platform.browser });
+                return outcome({
                     success: true,
-                    message: 'iOS installation instructions shown'
-                };
+                    installed: false,
+                    outcome: 'instructions_shown'
+                });
             }
 
             // Chrome/Chromium: Use beforeinstallprompt
             if (!deferredPrompt) {
-                console.warn('[PWA] Install prompt not available');
-                return {
+                log('Install prompt not available');
+                return outcome({
                     success: false,
+                    installed: false,
+                    outcome: 'unavailable',
                     error: 'Install prompt not available. You may have already installed the app.'
-                };
+                });
             }
 
             try {
                 // Show the install prompt
                 deferredPrompt.prompt();
+                track('install_prompt_shown', { source: source || null, kind: 'native', os: platform.os, browser: platform.browser });
 
                 // Wait for the user's response
                 const choiceResult = await deferredPrompt.userChoice;
 
                 if (choiceResult.outcome === 'accepted') {
-                    console.log('[PWA] User accepted installation');
-                    return { success: true, installed: true };
+                    log('User accepted installation');
+                    return outcome({ success: true, installed: true, outcome: 'accepted' });
                 } else {
-                    console.log('[PWA] User dismissed installation');
-                    return { success: true, installed: false };
+                    log('User dismissed installation');
+                    return outcome({ success: true, installed: false, outcome: 'dismissed' });
                 }
             } catch (err) {
                 console.error('[PWA] Install prompt error:', err);
-                return {
+                return outcome({
                     success: false,
+                    installed: false,
+                    outcome: 'error',
                     error: err.message || 'Installation failed'
-                };
+                });
             } finally {
                 // Clear the deferred prompt (can only be used once)
                 deferredPrompt = null;
@@ -173,12 +280,12 @@
 
     // Check initial state after DOM loads
     if (document.readyState === 'loading') {
-        console.log('[PWA] DOM still loading, waiting for DOMContentLoaded...');
+        log('DOM still loading, waiting for DOMContentLoaded...');
         document.addEventListener('DOMContentLoaded', updateInstallButtonVisibility);
     } else {
-        console.log('[PWA] DOM already loaded, checking button visibility...');
+        log('DOM already loaded, checking button visibility...');
         updateInstallButtonVisibility();
     }
 
-    console.log('[PWA] Install script initialization complete');
+    log('Install script initialization complete');
 })();
@@ -0,0 +1,420 @@
+/**
+ * TailorBlend Circuit Reconnection
+ *
+ * Starts Blazor with a custom reconnection handler (blazor.server.js is
+ * loaded with autostart="false"):
+ *   - Exponential backoff with jitter, paused while the browser is offline
+ *     and retried immediately when it comes back online or the tab is shown
+ *   - A branded, non-blocking overlay instead of the default reconnect modal,
+ *     so drafts (draft-store.js) and the offline outbox (chat-outbox.js) keep working
+ *   - When the server no longer knows the circuit (e.g. after a deploy restarts
+ *     the machine) the page reloads automatically and restores its scroll
+ *     position; draft-store.js restores the composer text
+ */
+
+(function () {
+    'use strict';
+
+    const RESTORE_KEY = 'tb-reconnect-restore';
+
+    // Debug-only logging (tbTelemetry debug switch) - a no-op without telemetry.js
+    function log(...args) {
+        if (window.tbTelemetry) window.tbTelemetry.debug('[Reconnect]', ...args);
+    }
+
+    const DEFAULT_OPTIONS = {
+        initialDelayMs: 1000,
+        maxDelayMs: 30000,
+        maxRetries: 12,
+        overlayDelayMs: 600,        // Hide blips that reconnect almost instantly
+        restoreTimeoutMs: 10000,
+        scrollContainers: ['#messagesContainer', '#blendMessagesContainer']
+    };
+
+    const STATES = {
+        CONNECTED: 'connected',
+        RECONNECTING: 'reconnecting',
+        OFFLINE: 'offline',
+        FAILED: 'failed',
+        RELOADING: 'reloading'
+    };
+
+    const Reconnect = {
+        options: { ...DEFAULT_OPTIONS },
+        state: STATES.CONNECTED,
+        attempt: 0,
+        retryTimer: null,
+        countdownTimer: null,
+        overlayTimer: null,
+        nextAttemptAt: 0,
+        reconnecting: false,
+        overlay: null,
+
+        // ========================================================================
+        // BLAZOR RECONNECTION HANDLER
+        // ========================================================================
+
+        onConnectionDown: function (reconnectionOptions, error) {
+            if (this.state !== STATES.CONNECTED) return;
+
+            console.warn('[Reconnect] Connection lost', error || '');
+            this.attempt = 0;
+            this.setState(navigator.onLine === false ? STATES.OFFLINE : STATES.RECONNECTING);
+
+            // Show the overlay only if the first attempts do not succeed quickly
+            clearTimeout(this.overlayTimer);
+            this.overlayTimer = setTimeout(() => this.render(), this.options.overlayDelayMs);
+
+            if (this.state === STATES.RECONNECTING) {
+                this.scheduleAttempt(0);
+            }
+        },
+
+        onConnectionUp: function () {
+            log('Connection restored');
+            this.stopTimers();
+            this.attempt = 0;
+            this.setState(STATES.CONNECTED);
+            this.hideOverlay();
+        },
+
+        // ========================================================================
+        // RETRY LOOP
+        // ========================================================================
+
+        getDelay: function () {
+            const base = Math.min(this.options.initialDelayMs * Math.pow(2, this.attempt - 1), this.options.maxDelayMs);
+            // +/- 20% jitter so a restarted machine is not hit by every client at once
+            return Math.round(base * (0.8 + Math.random() * 0.4));
+        },
+
+        scheduleAttempt: function (delay) {
+            clearTimeout(this.retryTimer);
+            this.nextAttemptAt = Date.now() + delay;
+            this.retryTimer = setTimeout(() => this.attemptReconnect(), delay);
+            this.startCountdown();
+        },
+
+        attemptReconnect: async function () {
+            if (this.reconnecting || this.state === STATES.CONNECTED || this.state === STATES.RELOADING) return;
+
+            if (navigator.onLine === false) {
+                this.setState(STATES.OFFLINE);
+                this.render();
+                return;
+            }
+
+            this.reconnecting = true;
+            this.attempt++;
+            this.setState(STATES.RECONNECTING);
+            this.render();
+
+            try {
+                const resumed = await window.Blazor.reconnect();
+                if (!resumed) {
+                    // The server reached us but rejected the circuit - state is gone
+                    console.warn('[Reconnect] Circuit could not be resumed, reloading');
+                    this.reload();
+                    return;
+                }
+                // onConnectionUp hides the overlay
+            } catch (err) {
+                console.warn(`[Reconnect] Attempt ${this.attempt} failed:`, err);
+
+                if (this.attempt >= this.options.maxRetries) {
+                    this.stopTimers();
+                    this.setState(STATES.FAILED);
+                    this.render();
+                } else {
+                    this.scheduleAttempt(this.getDelay());
+                }
+            } finally {
+                this.reconnecting = false;
+            }
+        },
+
+        /**
+         * Skip the remaining backoff (Retry button, back online, tab shown).
+         */
+        retryNow: function () {
+            if (this.state === STATES.CONNECTED || this.state === STATES.RELOADING) return;
+
+            if (this.state === STATES.FAILED) {
+                this.attempt = 0;
+            }
+            this.setState(STATES.RECONNECTING);
+            this.scheduleAttempt(0);
+        },
+
+        stopTimers: function () {
+            clearTimeout(this.retryTimer);
+            clearTimeout(this.overlayTimer);
+            clearInterval(this.countdownTimer);
+            this.retryTimer = null;
+            this.overlayTimer = null;
+            this.countdownTimer = null;
+        },
+
+        startCountdown: function () {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = setInterval(() => this.updateCountdown(), 1000);
+        },
+
+        setState: function (state) {
+            if (this.state === state) return;
+            this.state = state;
+            window.dispatchEvent(new CustomEvent('tbConnectionStateChanged', { detail: { state: state } }));
+        },
+
+        // ========================================================================
+        // RELOAD & RESTORE
+        // ========================================================================
+
+        reload: function () {
+            this.stopTimers();
+            this.setState(STATES.RELOADING);
+            this.render();
+            this.saveRestoreState();
+
+            if (window.tbDrafts) {
+                window.tbDrafts.flush();
+            }
+
+            window.location.reload();
+        },
+
+        saveRestoreState: function () {
+            const containers = {};
+            this.options.scrollContainers.forEach(selector => {
+                const el = document.querySelector(selector);
+                if (el) {
+                    // Remember distance from the bottom - content above may render differently
+                    containers[selector] = {
+                        scrollTop: el.scrollTop,
+                        fromBottom: el.scrollHeight - el.scrollTop - el.clientHeight
+                    };
+                }
+            });
+
+            try {
+                sessionStorage.setItem(RESTORE_KEY, JSON.stringify({
+                    path: location.pathname,
+                    windowScrollY: window.scrollY,
+                    containers: containers,
+                    savedAt: Date.now()
+                }));
+            } catch (err) {
+                console.warn('[Reconnect] Failed to save scroll position:', err);
+            }
+        },
+
+        /**
+         * After an automatic reload, put the page back where it was once
+         * Blazor has rendered the scroll containers.
+         */
+        restoreAfterReload: function () {
+            let saved = null;
+            try {
+                saved = JSON.parse(sessionStorage.getItem(RESTORE_KEY) || 'null');
+                sessionStorage.removeItem(RESTORE_KEY);
+            } catch (err) {
+                return;
+            }
+
+            if (!saved || saved.path !== location.pathname || Date.now() - saved.savedAt > 60000) return;
+
+            const apply = () => {
+                window.scrollTo(0, saved.windowScrollY || 0);
+
+                let pending = 0;
+                Object.keys(saved.containers || {}).forEach(selector => {
+                    const el = document.querySelector(selector);
+                    if (!el) {
+                        pending++;
+                        return;
+                    }
+                    const position = saved.containers[selector];
+                    el.scrollTop = position.fromBottom <= 1
+                        ? el.scrollHeight
+                        : Math.max(0, el.scrollHeight - el.clientHeight - position.fromBottom);
+                });
+                return pending === 0;
+            };
+
+            if (apply()) return;
+
+            const observer = new MutationObserver(() => {
+                if (apply()) observer.disconnect();
+            });
+            observer.observe(document.body, { childList: true, subtree: true });
+            setTimeout(() => observer.disconnect(), this.options.restoreTimeoutMs);
+        },
+
+        // ========================================================================
+        // OVERLAY
+        // ========================================================================
+
+        getCopy: function () {
+            switch (this.state) {
+                case STATES.OFFLINE:
+                    return {
+                        icon: 'fa-wifi',
+                        title: "You're offline",
+                        text: `We'll reconnect as soon as your connection is back. ${this.getInputNote()}`.trim(),
+                        actions: []
+                    };
+                case STATES.FAILED:
+                    return {
+                        icon: 'fa-plug-circle-exclamation',
+                        title: "Can't reach TailorBlend",
+                        text: `The server is not responding. ${this.getInputNote()}`.trim(),
+                        actions: ['retry', 'reload']
+                    };
+                case STATES.RELOADING:
+                    return {
+                        icon: 'fa-rotate',
+                        title: 'Restoring your session',
+                        text: 'The app was updated or restarted. Reloading...',
+                        actions: []
+                    };
+                default:
+                    return {
+                        icon: 'fa-rotate',
+                        title: 'Reconnecting...',
+                        text: this.getCountdownText(),
+                        actions: this.attempt > 1 ? ['retry'] : []
+                    };
+            }
+        },
+
+        /**
+         * What happens to the user's input depends on the page: only Chat queues
+         * messages (chat-outbox.js), and only fields marked data-tb-draft are
+         * autosaved (draft-store.js). Promise nothing the page does not do.
+         */
+        getInputNote: function () {
+            if (window.tbOutbox && window.tbOutbox.isRegistered()) {
+                return 'Messages you send are queued.';
+            }
+            if (document.querySelector('[data-tb-draft]')) {
+                return 'Your draft is saved on this device.';
+            }
+            return '';
+        },
+
+        getCountdownText: function () {
+            if (this.reconnecting || this.attempt === 0) {
+                return 'Trying to reach the server.';
+            }
+            const seconds = Math.max(0, Math.ceil((this.nextAttemptAt - Date.now()) / 1000));
+            return `Attempt ${this.attempt} of ${this.options.maxRetries} failed. Retrying in ${seconds}s.`;
+        },
+
+        updateCountdown: function () {
+            if (!this.overlay || this.state !== STATES.RECONNECTING) return;
+            const text = this.overlay.querySelector('.tb-reconnect__text');
+            if (text) text.textContent = this.getCountdownText();
+        },
+
+        render: function () {
+            if (this.state === STATES.CONNECTED) return;
+
+            if (!this.overlay) {
+                this.overlay = document.createElement('div');
+                this.overlay.className = 'tb-reconnect';
+                this.overlay.setAttribute('role', 'status');
+                this.overlay.setAttribute('aria-live', 'polite');
+                this.overlay.addEventListener('click', (e) => {
+                    const action = e.target instanceof Element ? e.target.closest('[data-action]') : null;
+                    if (!action) return;
+                    if (action.dataset.action === 'retry') this.retryNow();
+                    if (action.dataset.action === 'reload') this.reload();
+                });
+                document.body.appendChild(this.overlay);
+            }
+
+            const copy = this.getCopy();
+            const spinning = this.state === STATES.RECONNECTING || this.state === STATES.RELOADING;
+            const buttons = copy.actions.map(action => action === 'retry'
+                ? '<button type="button" class="tb-reconnect__btn" data-action="retry">Retry now</button>'
+                : '<button type="button" class="tb-reconnect__btn tb-reconnect__btn--primary" data-action="reload">Reload</button>'
+            ).join('');
+
+            this.overlay.dataset.state = this.state;
+            this.overlay.innerHTML = `
+                <div class="tb-reconnect__card">
+                    <i class="fas ${copy.icon} tb-reconnect__icon${spinning ? ' fa-spin' : ''}" aria-hidden="true"></i>
+                    <div class="tb-reconnect__body">
+                        <p class="tb-reconnect__title">${copy.title}</p>
+                        <p class="tb-reconnect__text">${copy.text}</p>
+                    </div>
+                    ${buttons ? `<div class="tb-reconnect__actions">${buttons}</div>` : ''}
+                </div>
+            `;
+        },
+
+        hideOverlay: function () {
+            if (this.overlay) {
+                this.overlay.remove();
+            }
+            this.overlay = null;
+        },
+
+        // ========================================================================
+        // STARTUP
+        // ========================================================================
+
+        init: function () {
+            window.addEventListener('online', () => {
+                if (this.state === STATES.OFFLINE || this.state === STATES.FAILED) {
+                    this.retryNow();
+                }
+            });
+
+            window.addEventListener('offline', () => {
+                if (this.state === STATES.RECONNECTING) {
+                    clearTimeout(this.retryTimer);
+                    this.setState(STATES.OFFLINE);
+                    this.render();
+                }
+            });
+
+            // Mobile browsers throttle timers in background tabs - retry on return
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible' && this.state === STATES.RECONNECTING && !this.reconnecting) {
+                    this.scheduleAttempt(0);
+                }
+            });
+
+            const handler = {
+                onConnectionDown: (options, error) => this.onConnectionDown(options, error),
+                onConnectionUp: () => this.onConnectionUp()
+            };
+
+            window.Blazor.start({ reconnectionHandler: handler })
+                .then(() => this.restoreAfterReload())
+                .catch(err => console.error('[Reconnect] Blazor failed to start:', err));
+        }
+    };
+
+    // Expose API for other modules (chat-outbox.js) and Blazor
+    window.tbReconnect = {
+        isConnected: function () {
+            return Reconnect.state === STATES.CONNECTED;
+        },
+        getState: function () {
+            return Reconnect.state;
+        },
+        retryNow: function () {
+            Reconnect.retryNow();
+        }
+    };
+
+    // Deferred scripts (file-utils.js etc.) run before DOMContentLoaded, so
+    // components can use them from their first OnAfterRenderAsync
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => Reconnect.init());
+    } else {
+        Reconnect.init();
+    }
+})();
@@ -0,0 +1,480 @@
+/**
+ * TailorBlend Keyboard Shortcuts & Command Palette
+ *
+ * Global shortcut registry for desktop use. Built-in bindings cover the
+ * common actions; Blazor components register their own entries through
+ * `tbShortcuts.register(owner, dotNetRef, entries)` and receive
+ * `OnShortcut(id)`. An entry with the id of a built-in replaces its handler
+ * (keeping the built-in keys) while the component is mounted - e.g. Chat
+ * provides "new-consultation", MainLayout provides "toggle-theme".
+ *
+ * Ctrl/Cmd+K opens a palette with fuzzy search over pages, registered
+ * prompts and every titled command.
+ *
+ * Shortcuts never fire during IME composition, and not while an input has
+ * focus unless the binding sets `allowInInput`.
+ */
+
+(function () {
+    'use strict';
+
+    const INVOKE_METHOD = 'OnShortcut';
+    const MAX_RESULTS = 12;
+
+    const isMac = /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent);
+
+    const PAGES = [
+        { path: '/chat', title: 'Chat', keywords: 'consultation conversation' },
+        { path: '/practitioner-blend', title: 'Practitioner Blend', keywords: 'pro formulation' },
+        { path: '/multi-agent-blend', title: 'Multi-Agent Blend', keywords: 'agents' },
+        { path: '/datasets', title: 'Datasets', keywords: 'data files' },
+        { path: '/configuration', title: 'Configuration', keywords: 'settings prompts' }
+    ];
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    function navigate(path) {
+        if (window.Blazor && typeof window.Blazor.navigateTo === 'function') {
+            window.Blazor.navigateTo(path);
+        } else {
+            window.location.href = path;
+        }
+    }
+
+    function getComposer() {
+        return document.querySelector('[data-tb-draft="composer"]') || document.querySelector('.tb-chat-input');
+    }
+
+    function isEditable(element) {
+        if (!(element instanceof Element)) return false;
+        if (element.isContentEditable) return true;
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+        if (element.tagName !== 'INPUT') return false;
+        // Buttons and checkboxes do not take typing
+        return !/^(button|submit|reset|checkbox|radio|range|color|file)$/i.test(element.type);
+    }
+
+    /**
+     * Parse "mod+shift+k" into a matcher. `mod` is Cmd on macOS and Ctrl elsewhere.
+     */
+    function parseKeys(keys) {
+        const parts = keys.toLowerCase().split('+');
+        const key = parts.pop();
+        const mod = parts.includes('mod');
+        return {
+            key: key,
+            ctrl: parts.includes('ctrl') || (mod && !isMac),
+            meta: parts.includes('meta') || (mod && isMac),
+            alt: parts.includes('alt'),
+            shift: parts.includes('shift')
+        };
+    }
+
+    function eventKey(e) {
+        // Option changes e.key on macOS (Option+N is "˜"), so use the physical key for letters and digits
+        if (e.altKey) {
+            if (/^Key[A-Z]$/.test(e.code)) return e.code.slice(3).toLowerCase();
+            if (/^Digit[0-9]$/.test(e.code)) return e.code.slice(5);
+        }
+        return (e.key || '').toLowerCase();
+    }
+
+    function matches(combo, e) {
+        return combo.key === eventKey(e) &&
+            combo.ctrl === e.ctrlKey &&
+            combo.meta === e.metaKey &&
+            combo.alt === e.altKey &&
+            // Keys like "/" or "?" may need Shift on some layouts - only enforce it when required
+            (combo.shift ? e.shiftKey : (!e.shiftKey || combo.key.length === 1 && !/[a-z0-9]/.test(combo.key)));
+    }
+
+    function formatKeys(keys) {
+        return keys.split('+').map(part => {
+            switch (part.toLowerCase()) {
+                case 'mod': return isMac ? '⌘' : 'Ctrl';
+                case 'ctrl': return 'Ctrl';
+                case 'meta': return isMac ? '⌘' : 'Win';
+                case 'alt': return isMac ? '⌥' : 'Alt';
+                case 'shift': return isMac ? '⇧' : 'Shift';
+                default: return part.length === 1 ? part.toUpperCase() : part;
+            }
+        }).join(isMac ? '' : '+');
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Fuzzy subsequence score - higher is better, -1 when not all characters match.
+     * Consecutive characters and word starts score extra.
+     */
+    function fuzzyScore(query, text) {
+        if (!query) return 0;
+
+        const q = query.toLowerCase();
+        const t = text.toLowerCase();
+
+        const direct = t.indexOf(q);
+        if (direct !== -1) {
+            return 100 - direct + (direct === 0 || /\W/.test(t[direct - 1]) ? 50 : 0);
+        }
+
+        let score = 0;
+        let ti = 0;
+        let previous = -2;
+        for (let qi = 0; qi < q.length; qi++) {
+            const ch = q[qi];
+            if (ch === ' ') continue;
+            ti = t.indexOf(ch, ti);
+            if (ti === -1) return -1;
+
+            score += 1;
+            if (ti === previous + 1) score += 4;
+            if (ti === 0 || /\W/.test(t[ti - 1])) score += 6;
+
+            previous = ti;
+            ti++;
+        }
+        return score;
+    }
+
+    // ============================================================================
+    // REGISTRY
+    // ============================================================================
+
+    const BUILT_INS = [
+        {
+            id: 'command-palette',
+            keys: 'mod+k',
+            title: 'Open command palette',
+            allowInInput: true,
+            run: () => Palette.toggle()
+        },
+        {
+            id: 'new-consultation',
+            keys: 'alt+n',
+            title: 'New consultation',
+            run: () => navigate('/chat')
+        },
+        {
+            id: 'focus-composer',
+            keys: '/',
+            title: 'Focus message input',
+            run: () => {
+                const composer = getComposer();
+                if (composer) {
+                    window.focusElement(composer);
+                } else {
+                    navigate('/chat');
+                }
+            }
+        },
+        {
+            id: 'attach-file',
+            keys: 'alt+a',
+            title: 'Attach a file',
+            run: () => window.triggerFileInput()
+        },
+        {
+            id: 'toggle-theme',
+            keys: 'alt+t',
+            title: 'Toggle light/dark theme',
+            run: () => {
+                const current = document.documentElement.getAttribute('data-theme');
+                window.tbTheme.setTheme(current === 'dark' ? 'light' : 'dark');
+            }
+        },
+        {
+            id: 'open-settings',
+            keys: 'mod+,',
+            title: 'Open settings',
+            allowInInput: true,
+            run: () => navigate('/configuration')
+        },
+        {
+            id: 'copy-last-answer',
+            keys: 'alt+c',
+            title: 'Copy last answer',
+            run: () => {
+                const answers = document.querySelectorAll('.tb-message--assistant');
+                const last = answers[answers.length - 1];
+                if (!last || !window.tbMessageMenu || !window.tbMessageMenu.invoke(last, 'copy')) {
+                    console.warn('[Shortcuts] No answer to copy');
+                }
+            }
+        }
+    ];
+
+    // owner -> { dotNetRef, entries }
+    const owners = new Map();
+
+    const Registry = {
+        /**
+         * Effective commands: built-ins, overridden by the most recently
+         * registered component entry with the same id.
+         */
+        commands: function () {
+            const byId = new Map();
+            BUILT_INS.forEach(builtIn => byId.set(builtIn.id, { ...builtIn, group: builtIn.group || 'Actions' }));
+
+            owners.forEach(registration => {
+                registration.entries.forEach(entry => {
+                    const base = byId.get(entry.id) || { group: 'Actions' };
+                    byId.set(entry.id, {
+                        ...base,
+                        ...entry,
+                        keys: entry.keys || base.keys,
+                        title: entry.title || base.title,
+                        group: entry.group || base.group,
+                        run: () => registration.dotNetRef.invokeMethodAsync(INVOKE_METHOD, entry.id)
+                            .catch(err => console.warn(`[Shortcuts] ${entry.id} failed:`, err))
+                    });
+                });
+            });
+
+            return Array.from(byId.values());
+        },
+
+        handleKeyDown: function (e) {
+            // IME composition (Japanese, Chinese, Korean input) owns the keyboard
+            if (e.isComposing || e.keyCode === 229 || e.defaultPrevented) return;
+            if (Palette.isOpen() && Palette.handleKeyDown(e)) return;
+
+            const inInput = isEditable(e.target);
+
+            for (const command of this.commands()) {
+                if (!command.keys || !matches(parseKeys(command.keys), e)) continue;
+                if (inInput && !command.allowInInput) return;
+
+                e.preventDefault();
+                command.run();
+                return;
+            }
+        }
+    };
+
+    // ============================================================================
+    // COMMAND PALETTE
+    // ============================================================================
+
+    const Palette = {
+        element: null,
+        input: null,
+        list: null,
+        results: [],
+        activeIndex: 0,
+        returnFocus: null,
+
+        isOpen: function () {
+            return !!this.element;
+        },
+
+        toggle: function () {
+            if (this.isOpen()) {
+                this.close();
+            } else {
+                this.open();
+            }
+        },
+
+        open: function () {
+            if (this.isOpen()) return;
+
+            this.returnFocus = document.activeElement;
+
+            const element = document.createElement('div');
+            element.className = 'tb-palette';
+            element.innerHTML = `
+                <div class="tb-palette__dialog" role="dialog" aria-modal="true" aria-label="Command palette">
+                    <div class="tb-palette__search">
+                        <i class="fas fa-magnifying-glass" aria-hidden="true"></i>
+                        <input type="text" class="tb-palette__input" placeholder="Search pages, prompts and commands"
+                               role="combobox" aria-expanded="true" aria-controls="tb-palette-results"
+                               aria-autocomplete="list" autocomplete="off" spellcheck="false" />
+                        <kbd class="tb-palette__kbd">Esc</kbd>
+                    </div>
+                    <ul class="tb-palette__results" id="tb-palette-results" role="listbox"></ul>
+                </div>
+            `;
+
+            element.addEventListener('mousedown', (e) => {
+                if (e.target === element) this.close();
+            });
+            element.addEventListener('click', (e) => {
+                const option = e.target instanceof Element ? e.target.closest('[data-index]') : null;
+                if (option) this.run(Number(option.dataset.index));
+            });
+
+            this.element = element;
+            this.input = element.querySelector('.tb-palette__input');
+            this.list = element.querySelector('.tb-palette__results');
+            this.input.addEventListener('input', () => this.search(this.input.value));
+
+            document.body.appendChild(element);
+            this.search('');
+            this.input.focus();
+        },
+
+        close: function () {
+            if (!this.element) return;
+
+            this.element.remove();
+            this.element = null;
+            this.input = null;
+            this.list = null;
+
+            if (this.returnFocus && this.returnFocus.isConnected) {
+                this.returnFocus.focus({ preventScroll: true });
+            }
+            this.returnFocus = null;
+        },
+
+        items: function () {
+            const pages = PAGES.map(page => ({
+                title: page.title,
+                group: 'Pages',
+                keywords: page.keywords,
+                icon: 'fa-arrow-right',
+                run: () => navigate(page.path)
+            }));
+
+            const commands = Registry.commands()
+                .filter(command => command.title && command.id !== 'command-palette')
+                .map(command => ({
+                    title: command.title,
+                    group: command.group,
+                    keywords: command.keywords || '',
+                    keys: command.keys,
+                    icon: command.group === 'Prompts' ? 'fa-comment-dots' : 'fa-bolt',
+                    run: command.run
+                }));
+
+            return pages.concat(commands);
+        },
+
+        search: function (query) {
+            const trimmed = query.trim();
+
+            this.results = this.items()
+                .map(item => ({
+                    item: item,
+                    score: Math.max(fuzzyScore(trimmed, item.title), fuzzyScore(trimmed, item.keywords) - 20)
+                }))
+                .filter(result => result.score >= 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_RESULTS)
+                .map(result => result.item);
+
+            this.activeIndex = 0;
+            this.render();
+        },
+
+        render: function () {
+            if (this.results.length === 0) {
+                this.list.innerHTML = '<li class="tb-palette__empty">No matches</li>';
+                this.input.removeAttribute('aria-activedescendant');
+                return;
+            }
+
+            this.list.innerHTML = this.results.map((item, index) => `
+                <li class="tb-palette__option" role="option" id="tb-palette-option-${index}" data-index="${index}"
+                    aria-selected="${index === this.activeIndex}">
+                    <i class="fas ${item.icon}" aria-hidden="true"></i>
+                    <span class="tb-palette__title">${escapeHtml(item.title)}</span>
+                    <span class="tb-palette__group">${escapeHtml(item.group)}</span>
+                    ${item.keys ? `<kbd class="tb-palette__kbd">${escapeHtml(formatKeys(item.keys))}</kbd>` : ''}
+                </li>
+            `).join('');
+
+            this.input.setAttribute('aria-activedescendant', `tb-palette-option-${this.activeIndex}`);
+        },
+
+        move: function (delta) {
+            if (this.results.length === 0) return;
+            this.activeIndex = (this.activeIndex + delta + this.results.length) % this.results.length;
+            this.render();
+
+            const active = this.list.querySelector('[aria-selected="true"]');
+            if (active) active.scrollIntoView({ block: 'nearest' });
+        },
+
+        run: function (index) {
+            const item = this.results[index];
+            if (!item) return;
+            this.close();
+            item.run();
+        },
+
+        /**
+         * Keys handled while the palette is open. Returns true when consumed.
+         */
+        handleKeyDown: function (e) {
+            switch (e.key) {
+                case 'Escape':
+                    e.preventDefault();
+                    this.close();
+                    return true;
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.move(1);
+                    return true;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.move(-1);
+                    return true;
+                case 'Enter':
+                    e.preventDefault();
+                    this.run(this.activeIndex);
+                    return true;
+                case 'Tab':
+                    // Keep focus in the dialog
+                    e.preventDefault();
+                    return true;
+                default:
+                    return false;
+            }
+        }
+    };
+
+    document.addEventListener('keydown', (e) => Registry.handleKeyDown(e));
+
+    // Expose API for Blazor
+    window.tbShortcuts = {
+        /**
+         * Register (or replace) a component's shortcuts and palette commands.
+         * @param {string} owner - Unique key for the component (used to unregister)
+         * @param {DotNetObjectReference} dotNetRef - Receives OnShortcut(id)
+         * @param {Array} entries - [{id, title, group, keys, keywords, allowInInput}]
+         */
+        register: function (owner, dotNetRef, entries) {
+            owners.delete(owner);
+            owners.set(owner, { dotNetRef: dotNetRef, entries: entries || [] });
+        },
+
+        unregister: function (owner) {
+            owners.delete(owner);
+        },
+
+        openPalette: function () {
+            Palette.open();
+        },
+
+        closePalette: function () {
+            Palette.close();
+        },
+
+        /**
+         * Current bindings, e.g. for a help screen: [{id, title, keys, label}]
+         */
+        list: function () {
+            return Registry.commands()
+                .filter(command => command.keys)
+                .map(command => ({ id: command.id, title: command.title, keys: command.keys, label: formatKeys(command.keys) }));
+        }
+    };
+})();
@@ -1,24 +1,154 @@
 // TailorBlend PWA - Service Worker Registration
-// Registers the service worker and handles updates
+// Registers the service worker and handles updates.
+// New workers wait in the "waiting" state until the user accepts the update,
+// so a consultation is never silently taken over by a different build.
+// Update events are recorded through telemetry.js.
 
 (function() {
   'use strict';
 
+  let registration = null;
+  let updateAccepted = false;
+  const updateListeners = new Map();
+  let nextUpdateListenerId = 1;
+  const trackedWorkers = new WeakSet();
+
+  // Debug-only logging and analytics - no-ops without telemetry.js
+  function log() {
+    if (window.tbTelemetry) {
+      window.tbTelemetry.debug.apply(null, ['[PWA]'].concat(Array.prototype.slice.call(arguments)));
+    }
+  }
+
+  function track(name, props) {
+    if (window.tbTelemetry) {
+      window.tbTelemetry.track(name, props);
+    }
+  }
+
+  // Notify Blazor (and any JS listeners) that a new version is waiting
+  function notifyUpdateAvailable() {
+    log('New version available');
+    track('sw_update_available');
+
+    window.dispatchEvent(new CustomEvent('tbUpdateAvailable'));
+
+    updateListeners.forEach(function(listener) {
+      listener.dotNetRef.invokeMethodAsync(listener.methodName).catch(function(error) {
+        console.warn('[PWA] Update listener failed:', error);
+      });
+    });
+  }
+
+  // Watch an installing worker until it is installed alongside an active controller
+  function trackInstalling(worker) {
+    if (trackedWorkers.has(worker)) {
+      return;
+    }
+    trackedWorkers.add(worker);
+
+    worker.addEventListener('statechange', function() {
+      // Without a controller this is the first install - nothing to update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        notifyUpdateAvailable();
+      }
+    });
+  }
+
+  window.tbPwa = {
+    /**
+     * Register a .NET callback for "new version available".
+     * Fires immediately if a worker is already waiting.
+     * @param {DotNetObjectReference} dotNetRef - Component reference
+     * @param {string} methodName - [JSInvokable] method to call
+     * @returns {number} Id for offUpdateAvailable
+     */
+    onUpdateAvailable: function(dotNetRef, methodName) {
+      const id = nextUpdateListenerId++;
+      updateListeners.set(id, { dotNetRef: dotNetRef, methodName: methodName });
+
+      if (registration && registration.waiting && navigator.serviceWorker.controller) {
+        dotNetRef.invokeMethodAsync(methodName).catch(function(error) {
+          console.warn('[PWA] Update listener failed:', error);
+        });
+      }
+
+      return id;
+    },
+
+    /**
+     * Remove a .NET callback (called when the component is disposed).
+     * Takes the id from onUpdateAvailable - the interop layer hands JS a new
+     * wrapper for the same DotNetObjectReference on every call.
+     * @param {number} id - Listener id
+     */
+    offUpdateAvailable: function(id) {
+      updateListeners.delete(id);
+    },
+
+    isUpdateAvailable: function() {
+      return !!(registration && registration.waiting && navigator.serviceWorker.controller);
+    },
+
+    /**
+     * Activate the waiting worker and reload once it takes control.
+     * @returns {boolean} False if no update is waiting
+     */
+    applyUpdate: function() {
+      if (!registration || !registration.waiting) {
+        return false;
+      }
+
+      updateAccepted = true;
+      track('sw_update_applied');
+      registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+      return true;
+    }
+  };
+
   if ('serviceWorker' in navigator) {
+    // Reload only for updates the user accepted (not for the first install's clients.claim)
+    navigator.serviceWorker.addEventListener('controllerchange', function() {
+      if (!updateAccepted) {
+        return;
+      }
+      updateAccepted = false;
+      window.location.reload();
+    });
+
     window.addEventListener('load', function() {
       navigator.serviceWorker.register('/service-worker.js', {
-        scope: '/'
+        scope: '/',
+        // Always fetch the worker and its imported precache manifest from the network
+        updateViaCache: 'none'
       })
-      .then(function(registration) {
-        console.log('[PWA] ServiceWorker registered:', registration.scope);
+      .then(function(reg) {
+        registration = reg;
+        log('ServiceWorker registered:', reg.scope);
+
+        // An update may have been installed during a previous visit
+        if (reg.waiting && navigator.serviceWorker.controller) {
+          notifyUpdateAvailable();
+        }
+
+        if (reg.installing) {
+          trackInstalling(reg.installing);
+        }
+
+        reg.addEventListener('updatefound', function() {
+          if (reg.installing) {
+            trackInstalling(reg.installing);
+          }
+        });
 
         // Check for updates every hour
         setInterval(function() {
-          registration.update();
+          reg.update();
         }, 60 * 60 * 1000);
       })
       .catch(function(error) {
         console.warn('[PWA] ServiceWorker registration failed:', error);
+        track('sw_registration_failed', { error: error && error.name ? error.name : 'Error' });
       });
     });
   }
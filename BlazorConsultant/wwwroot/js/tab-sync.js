@@ -0,0 +1,207 @@
+/**
+ * TailorBlend Cross-Tab Sync
+ *
+ * Small message bus between open tabs and PWA windows of the same origin.
+ * Uses BroadcastChannel, falling back to `storage` events (write + remove of
+ * a localStorage key) where BroadcastChannel is missing. Messages are never
+ * delivered back to the tab that sent them.
+ *
+ * Message types:
+ *   - theme: {preference, palette} - applied here through tbTheme
+ *   - install-banner-dismissed
+ *   - sign-out - default: go back to the start page
+ *   - session-reset
+ *
+ * Blazor uses ITabSyncService (Services/TabSyncService.cs), which connects a
+ * .NET reference and receives every message via `OnTabSyncMessage(type, payload)`.
+ */
+
+(function () {
+    'use strict';
+
+    const CHANNEL_NAME = 'tailorblend-sync';
+    const STORAGE_KEY = 'tb-sync-message';
+
+    const tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+    const listeners = new Map();
+    let nextListenerId = 1;
+    let channel = null;
+
+    // ============================================================================
+    // TRANSPORT
+    // ============================================================================
+
+    function send(envelope) {
+        if (channel) {
+            channel.postMessage(envelope);
+            return;
+        }
+
+        try {
+            // The storage event only fires when the value changes - sentAt/id make it unique
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(envelope));
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (err) {
+            console.warn('[TabSync] Failed to publish:', err);
+        }
+    }
+
+    function receive(envelope) {
+        if (!envelope || !envelope.type || envelope.source === tabId) return;
+
+        listeners.forEach(listener => {
+            if (listener.type !== '*' && listener.type !== envelope.type) return;
+            try {
+                listener.callback(envelope.type, envelope.payload);
+            } catch (err) {
+                console.warn(`[TabSync] ${envelope.type} listener failed:`, err);
+            }
+        });
+    }
+
+    if (typeof BroadcastChannel === 'function') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', (e) => receive(e.data));
+    } else {
+        window.addEventListener('storage', (e) => {
+            if (e.key !== STORAGE_KEY || !e.newValue) return;
+            try {
+                receive(JSON.parse(e.newValue));
+            } catch (err) {
+                console.warn('[TabSync] Ignoring malformed message:', err);
+            }
+        });
+    }
+
+    function publish(type, payload) {
+        send({
+            type: type,
+            payload: payload === undefined ? null : payload,
+            source: tabId,
+            sentAt: Date.now()
+        });
+    }
+
+    function subscribe(type, callback) {
+        const id = nextListenerId++;
+        listeners.set(id, { type: type, callback: callback });
+        return id;
+    }
+
+    // ============================================================================
+    // BUILT-IN: THEME
+    // ============================================================================
+
+    const ThemeSync = {
+        applyingRemote: false,
+        lastSent: null,
+
+        init: function () {
+            if (!window.tbTheme) return;
+
+            this.lastSent = this.snapshot();
+
+            window.tbTheme.subscribe(() => {
+                if (this.applyingRemote) return;
+
+                // System theme changes happen in every tab anyway - only share explicit choices
+                const snapshot = this.snapshot();
+                if (snapshot === this.lastSent) return;
+                this.lastSent = snapshot;
+
+                const state = JSON.parse(snapshot);
+                publish('theme', state);
+            });
+
+            subscribe('theme', (type, payload) => this.apply(payload));
+        },
+
+        snapshot: function () {
+            let palette = null;
+            try {
+                palette = localStorage.getItem('tb-palette');
+            } catch (err) {
+                // Storage unavailable - share the preference only
+            }
+            return JSON.stringify({ preference: window.tbTheme.getPreference(), palette: palette });
+        },
+
+        apply: function (payload) {
+            if (!payload) return;
+
+            this.applyingRemote = true;
+            try {
+                const current = JSON.parse(this.snapshot());
+                if (payload.palette !== current.palette) {
+                    window.tbTheme.setPalette(payload.palette ? JSON.parse(payload.palette) : null);
+                }
+                if (payload.preference !== current.preference) {
+                    window.tbTheme.setPreference(payload.preference);
+                }
+            } catch (err) {
+                console.warn('[TabSync] Failed to apply theme:', err);
+            } finally {
+                this.applyingRemote = false;
+                this.lastSent = this.snapshot();
+            }
+        }
+    };
+
+    // ============================================================================
+    // BUILT-IN: SIGN-OUT
+    // ============================================================================
+
+    subscribe('sign-out', () => {
+        console.log('[TabSync] Signed out in another window');
+        if (window.tbDrafts) window.tbDrafts.flush();
+        window.location.assign('/');
+    });
+
+    // Expose API for Blazor
+    window.tbSync = {
+        tabId: tabId,
+
+        /**
+         * Send a message to every other open tab/window.
+         * @param {string} type - Message type
+         * @param {*} payload - JSON-serializable payload
+         */
+        publish: function (type, payload) {
+            publish(type, payload);
+        },
+
+        /**
+         * Listen for messages from other tabs.
+         * @param {string} type - Message type, or '*' for all
+         * @param {Function} callback - (type, payload) => void
+         * @returns {number} Id for unsubscribe
+         */
+        subscribe: function (type, callback) {
+            return subscribe(type, callback);
+        },
+
+        unsubscribe: function (id) {
+            listeners.delete(id);
+        },
+
+        /**
+         * Forward every message to .NET (ITabSyncService filters by type).
+         * @param {DotNetObjectReference} dotNetRef - Receives methodName(type, payload)
+         * @param {string} methodName - [JSInvokable] method name
+         * @returns {number} Id for disconnect
+         */
+        connect: function (dotNetRef, methodName) {
+            return subscribe('*', (type, payload) => {
+                dotNetRef.invokeMethodAsync(methodName, type, payload)
+                    .catch(err => console.warn(`[TabSync] Failed to deliver ${type} to .NET:`, err));
+            });
+        },
+
+        disconnect: function (id) {
+            listeners.delete(id);
+        }
+    };
+
+    ThemeSync.init();
+})();
@@ -0,0 +1,314 @@
+/**
+ * TailorBlend Client Telemetry
+ *
+ * Small event queue for install/engagement analytics. Events are batched and
+ * handed to pluggable sinks; whatever is left is flushed with sendBeacon on
+ * `pagehide` (and when the page is hidden). No user agent or message content
+ * is recorded - only event names, small property bags and the display mode.
+ *
+ * Configuration (meta tags written by _Host.cshtml from appsettings `Telemetry`):
+ *   - tb-telemetry-endpoint: HTTP sink URL (no HTTP sink when empty)
+ *   - tb-telemetry-debug: "true" enables debug logging and the console sink
+ * `localStorage['tb-debug'] = '1'` turns debug mode on for one browser.
+ *
+ * Built-in events: app_open, display_mode_changed, theme_changed. Other
+ * modules call `tbTelemetry.track` (pwa-install.js, sw-register.js).
+ */
+
+(function () {
+    'use strict';
+
+    const BATCH_SIZE = 20;
+    const FLUSH_INTERVAL_MS = 10000;
+    const MAX_QUEUE = 200;
+    const SESSION_KEY = 'tb-telemetry-session';
+    const DEBUG_KEY = 'tb-debug';
+
+    const sinks = new Map();
+    let queue = [];
+    let flushTimer = null;
+    let debugEnabled = false;
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    function readMeta(name) {
+        const meta = document.querySelector(`meta[name="${name}"]`);
+        return meta ? meta.content : '';
+    }
+
+    function newId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    // One id per browser tab session, so events can be grouped without identifying anyone
+    function getSessionId() {
+        try {
+            let id = sessionStorage.getItem(SESSION_KEY);
+            if (!id) {
+                id = newId();
+                sessionStorage.setItem(SESSION_KEY, id);
+            }
+            return id;
+        } catch (err) {
+            return newId();
+        }
+    }
+
+    function getDisplayMode() {
+        if (window.navigator.standalone === true) return 'standalone';
+        if (!window.matchMedia) return 'browser';
+
+        const modes = ['fullscreen', 'standalone', 'minimal-ui', 'window-controls-overlay'];
+        for (const mode of modes) {
+            if (window.matchMedia(`(display-mode: ${mode})`).matches) return mode;
+        }
+        return 'browser';
+    }
+
+    function debug(prefix, ...args) {
+        if (debugEnabled) console.log(prefix, ...args);
+    }
+
+    const sessionId = getSessionId();
+
+    // ============================================================================
+    // SINKS
+    // ============================================================================
+
+    /**
+     * Logs batches to the console (development).
+     */
+    function createConsoleSink() {
+        return {
+            name: 'console',
+            send: function (events) {
+                console.groupCollapsed(`[Telemetry] ${events.length} event(s)`);
+                events.forEach(event => console.log(event.name, event.props));
+                console.groupEnd();
+            }
+        };
+    }
+
+    /**
+     * POSTs batches as JSON `{events: [...]}` to an endpoint. Uses sendBeacon
+     * when the page is going away, fetch with keepalive otherwise.
+     */
+    function createHttpSink(endpoint) {
+        return {
+            name: 'http',
+            send: function (events, options) {
+                const body = JSON.stringify({ events: events });
+
+                if (options && options.beacon && navigator.sendBeacon) {
+                    const queued = navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+                    if (queued) return Promise.resolve();
+                }
+
+                return fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body,
+                    credentials: 'same-origin',
+                    keepalive: true
+                }).then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                });
+            }
+        };
+    }
+
+    function addSink(sink) {
+        if (!sink || !sink.name || typeof sink.send !== 'function') {
+            console.warn('[Telemetry] Ignoring invalid sink:', sink);
+            return;
+        }
+        sinks.set(sink.name, sink);
+    }
+
+    // ============================================================================
+    // QUEUE
+    // ============================================================================
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush(false);
+        }, FLUSH_INTERVAL_MS);
+    }
+
+    function track(name, props) {
+        if (!name) return;
+
+        queue.push({
+            name: name,
+            props: props || {},
+            ts: new Date().toISOString(),
+            sessionId: sessionId,
+            path: window.location.pathname,
+            displayMode: getDisplayMode()
+        });
+
+        // Keep the newest events if no sink is draining the queue
+        if (queue.length > MAX_QUEUE) {
+            queue = queue.slice(queue.length - MAX_QUEUE);
+        }
+
+        debug('[Telemetry]', name, props || {});
+
+        if (queue.length >= BATCH_SIZE) {
+            flush(false);
+        } else {
+            scheduleFlush();
+        }
+    }
+
+    function flush(beacon) {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (!queue.length || !sinks.size) return;
+
+        const events = queue;
+        queue = [];
+
+        sinks.forEach(sink => {
+            let result;
+            try {
+                result = sink.send(events, { beacon: beacon });
+            } catch (err) {
+                result = Promise.reject(err);
+            }
+
+            Promise.resolve(result).catch(err => {
+                debug('[Telemetry]', `${sink.name} sink failed:`, err);
+
+                // Put the batch back for the next attempt (unless the page is going away)
+                if (!beacon && sink.name === 'http') {
+                    queue = events.concat(queue).slice(-MAX_QUEUE);
+                    scheduleFlush();
+                }
+            });
+        });
+    }
+
+    window.addEventListener('pagehide', () => flush(true));
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush(true);
+    });
+
+    // ============================================================================
+    // SETUP
+    // ============================================================================
+
+    function readStoredDebug() {
+        try {
+            return localStorage.getItem(DEBUG_KEY) === '1';
+        } catch (err) {
+            return false;
+        }
+    }
+
+    debugEnabled = readMeta('tb-telemetry-debug') === 'true' || readStoredDebug();
+    if (debugEnabled) {
+        addSink(createConsoleSink());
+    }
+
+    const endpoint = readMeta('tb-telemetry-endpoint');
+    if (endpoint) {
+        addSink(createHttpSink(endpoint));
+    }
+
+    // Built-in: how the app was opened, and theme changes
+    const initialState = window.tbTheme ? window.tbTheme.getState() : null;
+    track('app_open', {
+        displayMode: getDisplayMode(),
+        theme: initialState ? initialState.theme : null,
+        themePreference: initialState ? initialState.preference : null,
+        palette: initialState ? initialState.palette : null
+    });
+
+    if (window.matchMedia) {
+        window.matchMedia('(display-mode: standalone)').addEventListener('change', () => {
+            track('display_mode_changed', { displayMode: getDisplayMode() });
+        });
+    }
+
+    if (window.tbTheme) {
+        let lastTheme = initialState ? JSON.stringify(initialState) : null;
+        window.tbTheme.subscribe(state => {
+            const snapshot = JSON.stringify(state);
+            if (snapshot === lastTheme) return;
+            lastTheme = snapshot;
+            track('theme_changed', {
+                theme: state.theme,
+                themePreference: state.preference,
+                palette: state.palette
+            });
+        });
+    }
+
+    // Expose API for other modules and Blazor
+    window.tbTelemetry = {
+        /**
+         * Queue an event.
+         * @param {string} name - snake_case event name
+         * @param {Object} props - Small JSON-serializable property bag
+         */
+        track: function (name, props) {
+            track(name, props);
+        },
+
+        /**
+         * Send queued events now.
+         */
+        flush: function () {
+            flush(false);
+        },
+
+        /**
+         * Add (or replace, by name) a sink: {name, send(events, {beacon}) => Promise|void}
+         */
+        addSink: function (sink) {
+            addSink(sink);
+        },
+
+        removeSink: function (name) {
+            sinks.delete(name);
+        },
+
+        createConsoleSink: createConsoleSink,
+        createHttpSink: createHttpSink,
+
+        getDisplayMode: function () {
+            return getDisplayMode();
+        },
+
+        isDebug: function () {
+            return debugEnabled;
+        },
+
+        /**
+         * Turn debug logging (and the console sink) on or off for this page.
+         */
+        setDebug: function (enabled) {
+            debugEnabled = !!enabled;
+            if (debugEnabled) {
+                addSink(createConsoleSink());
+            } else {
+                sinks.delete('console');
+            }
+        },
+
+        /**
+         * console.log only in debug mode - replaces unconditional logging in other modules.
+         * @param {string} prefix - e.g. '[PWA]'
+         */
+        debug: function (prefix, ...args) {
+            debug(prefix, ...args);
+        }
+    };
+})();
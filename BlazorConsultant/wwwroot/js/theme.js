@@ -1,71 +1,357 @@
+/**
+ * TailorBlend Theme
+ *
+ * Preference: `system | light | dark | high-contrast`, stored in localStorage
+ * (`tb-theme`). `system` follows prefers-color-scheme (and prefers-contrast:
+ * more). The resolved theme is written to `<html data-theme>`; the inline
+ * script in _Host.cshtml does the same before first paint.
+ *
+ * Brand palettes (white-label clinics) override the `--tb-*` colour tokens
+ * for light and dark mode through an injected <style id="tb-palette">. The
+ * palette comes from `setPalette`, or from the JSON file named by
+ * `<meta name="tb-palette">` (Branding:PaletteUrl in appsettings). High
+ * contrast keeps its own tokens. The theme-color meta tag and the web app
+ * manifest colours follow the active theme and palette.
+ */
+
 (function () {
-    function resolveInitialTheme() {
+    const PREFERENCE_KEY = 'tb-theme';
+    const PALETTE_KEY = 'tb-palette';
+    const PALETTE_CSS_KEY = 'tb-palette-css';
+    const PREFERENCES = ['system', 'light', 'dark', 'high-contrast'];
+
+    const DEFAULT_THEME_COLORS = {
+        light: '#70D1C7',
+        dark: '#75D5CA',
+        'high-contrast': '#000000'
+    };
+
+    const subscribers = new Map();
+    let nextSubscriberId = 1;
+    let manifestUrl = null;
+    let activePalette = null;
+
+    // ============================================================================
+    // STORAGE
+    // ============================================================================
+
+    function readStorage(key) {
         try {
-            const stored = window.localStorage ? localStorage.getItem('tb-theme') : null;
-            if (stored === 'light' || stored === 'dark') {
-                return stored;
+            return window.localStorage ? localStorage.getItem(key) : null;
+        } catch (err) {
+            console.warn('TailorBlend: unable to read ' + key, err);
+            return null;
+        }
+    }
+
+    function writeStorage(key, value) {
+        try {
+            if (!window.localStorage) return;
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
             }
         } catch (err) {
-            console.warn('TailorBlend: unable to read stored theme', err);
+            console.warn('TailorBlend: unable to persist ' + key, err);
+        }
+    }
+
+    function getPreference() {
+        const stored = readStorage(PREFERENCE_KEY);
+        return PREFERENCES.indexOf(stored) !== -1 ? stored : 'system';
+    }
+
+    function resolveTheme(preference) {
+        if (preference !== 'system') return preference;
+        if (!window.matchMedia) return 'light';
+        if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    // ============================================================================
+    // PALETTE
+    // ============================================================================
+
+    /**
+     * Build the palette stylesheet. Token names map to `--tb-<name>`; anything
+     * that could break out of the declaration is dropped.
+     */
+    function paletteCss(palette) {
+        function block(selector, tokens) {
+            if (!tokens) return '';
+            const declarations = Object.keys(tokens)
+                .filter(name => /^[a-z0-9-]+$/.test(name) && /^[#(),.%\w\s-]+$/.test(String(tokens[name])))
+                .map(name => `    --tb-${name}: ${tokens[name]};`);
+            return declarations.length ? `${selector} {\n${declarations.join('\n')}\n}\n` : '';
         }
 
-        const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-        return prefersDark ? 'dark' : 'light';
+        // Element selectors outrank tailorblend.css (which loads after the cached copy),
+        // and high contrast is left alone
+        return block('html:not([data-theme="dark"]):not([data-theme="high-contrast"])', palette.light) +
+            block('html[data-theme="dark"]', palette.dark);
     }
 
-    const initialTheme = resolveInitialTheme();
-    document.documentElement.setAttribute('data-theme', initialTheme);
+    function applyPalette(palette) {
+        let style = document.getElementById('tb-palette');
+        const css = palette ? paletteCss(palette) : '';
+
+        if (!css) {
+            if (style) style.remove();
+            writeStorage(PALETTE_CSS_KEY, null);
+            return;
+        }
+
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'tb-palette';
+            document.head.appendChild(style);
+        }
+        style.textContent = css;
+
+        // Lets the inline script in _Host.cshtml apply it before first paint
+        writeStorage(PALETTE_CSS_KEY, css);
+    }
+
+    function readStoredPalette() {
+        const stored = readStorage(PALETTE_KEY);
+        if (!stored) return null;
+        try {
+            return JSON.parse(stored);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // ============================================================================
+    // THEME COLOR & MANIFEST
+    // ============================================================================
+
+    function themeColorFor(theme, palette) {
+        if (theme !== 'high-contrast' && palette && palette.themeColor && palette.themeColor[theme]) {
+            return palette.themeColor[theme];
+        }
+        if (theme !== 'high-contrast' && palette && palette[theme] && palette[theme].accent) {
+            return palette[theme].accent;
+        }
+        return DEFAULT_THEME_COLORS[theme] || DEFAULT_THEME_COLORS.light;
+    }
 
     // Update theme-color meta tag for PWA
     function updateThemeColor(theme) {
-        const lightColor = '#70D1C7';
-        const darkColor = '#75D5CA';
-        const themeColor = theme === 'dark' ? darkColor : lightColor;
-
-        // Update the single theme-color meta tag
         const metaTag = document.querySelector('meta[name="theme-color"]');
         if (metaTag) {
-            metaTag.content = themeColor;
+            metaTag.content = themeColorFor(theme, activePalette);
         }
     }
 
+    /**
+     * Point the manifest link at a copy of manifest.json with the palette's
+     * colours (used when the app is installed while a palette is active).
+     */
+    function updateManifest(palette) {
+        const link = document.querySelector('link[rel="manifest"]');
+        if (!link) return;
+
+        if (!link.dataset.tbOriginalHref) {
+            link.dataset.tbOriginalHref = link.href;
+        }
+        const originalHref = link.dataset.tbOriginalHref;
+
+        if (manifestUrl) {
+            URL.revokeObjectURL(manifestUrl);
+            manifestUrl = null;
+        }
+
+        if (!palette) {
+            link.href = originalHref;
+            return;
+        }
+
+        fetch(originalHref)
+            .then(response => response.json())
+            .then(manifest => {
+                // URLs inside a blob manifest resolve against the blob - make them absolute
+                const absolute = (url) => new URL(url, originalHref).href;
+                manifest.start_url = absolute(manifest.start_url || '/');
+                manifest.scope = absolute(manifest.scope || '/');
+                (manifest.icons || []).forEach(icon => { icon.src = absolute(icon.src); });
+                (manifest.shortcuts || []).forEach(shortcut => {
+                    shortcut.url = absolute(shortcut.url);
+                    (shortcut.icons || []).forEach(icon => { icon.src = absolute(icon.src); });
+                });
+
+                manifest.theme_color = themeColorFor('light', palette);
+                if (palette.backgroundColor) {
+                    manifest.background_color = palette.backgroundColor;
+                }
+                if (palette.name) {
+                    manifest.short_name = palette.name;
+                }
+
+                manifestUrl = URL.createObjectURL(new Blob([JSON.stringify(manifest)], { type: 'application/manifest+json' }));
+                link.href = manifestUrl;
+            })
+            .catch(err => console.warn('TailorBlend: unable to update manifest colours', err));
+    }
+
+    // ============================================================================
+    // APPLY & NOTIFY
+    // ============================================================================
+
+    function getState() {
+        const preference = getPreference();
+        return {
+            preference: preference,
+            theme: resolveTheme(preference),
+            palette: activePalette ? activePalette.name || 'custom' : null
+        };
+    }
+
+    function apply() {
+        const state = getState();
+        document.documentElement.setAttribute('data-theme', state.theme);
+        updateThemeColor(state.theme);
+        notify(state);
+        return state;
+    }
+
+    function notify(state) {
+        subscribers.forEach(subscriber => {
+            try {
+                if (typeof subscriber.callback === 'function') {
+                    subscriber.callback(state);
+                } else {
+                    subscriber.callback.invokeMethodAsync(subscriber.methodName, state)
+                        .catch(err => console.warn('TailorBlend: theme subscriber failed', err));
+                }
+            } catch (err) {
+                console.warn('TailorBlend: theme subscriber failed', err);
+            }
+        });
+    }
+
+    function loadConfiguredPalette() {
+        if (activePalette) return;
+
+        const meta = document.querySelector('meta[name="tb-palette"]');
+        const url = meta && meta.content;
+        if (!url) {
+            // Drop CSS cached from a palette that is no longer configured
+            applyPalette(null);
+            return;
+        }
+
+        window.tbTheme.loadPalette(url, { persist: false });
+    }
+
     window.tbTheme = {
+        /**
+         * Apply the stored preference. Returns the resolved theme (light, dark or high-contrast).
+         */
         init: function () {
-            return document.documentElement.getAttribute('data-theme') || initialTheme || 'light';
+            return document.documentElement.getAttribute('data-theme') || resolveTheme(getPreference());
+        },
+
+        getPreference: function () {
+            return getPreference();
         },
+
+        /**
+         * {preference, theme, palette}
+         */
+        getState: function () {
+            return getState();
+        },
+
+        /**
+         * @param {string} preference - system, light, dark or high-contrast
+         */
+        setPreference: function (preference) {
+            const value = PREFERENCES.indexOf(preference) !== -1 ? preference : 'system';
+            writeStorage(PREFERENCE_KEY, value === 'system' ? null : value);
+            return apply();
+        },
+
+        // Kept for existing callers - same as setPreference
         setTheme: function (theme) {
-            const value = theme === 'dark' ? 'dark' : 'light';
-            document.documentElement.setAttribute('data-theme', value);
-            try {
-                if (window.localStorage) {
-                    localStorage.setItem('tb-theme', value);
-                }
-            } catch (err) {
-                console.warn('TailorBlend: unable to persist theme', err);
+            return this.setPreference(theme);
+        },
+
+        /**
+         * Notify on every change. Pass a function, or a DotNetObjectReference
+         * and the name of a [JSInvokable] method taking the state.
+         * @returns {number} Id for unsubscribe
+         */
+        subscribe: function (callback, methodName) {
+            const id = nextSubscriberId++;
+            subscribers.set(id, { callback: callback, methodName: methodName });
+            return id;
+        },
+
+        unsubscribe: function (id) {
+            subscribers.delete(id);
+        },
+
+        /**
+         * Apply a brand palette, or pass null to return to TailorBlend colours.
+         * @param {Object|null} palette - {name, light: {accent, 'accent-strong', ...},
+         *   dark: {...}, themeColor: {light, dark}, backgroundColor}
+         * @param {Object} options - {persist: false} to apply for this page view only
+         */
+        setPalette: function (palette, options) {
+            if (!options || options.persist !== false) {
+                writeStorage(PALETTE_KEY, palette ? JSON.stringify(palette) : null);
             }
-            // Update PWA theme color
-            updateThemeColor(value);
+
+            activePalette = palette || null;
+            applyPalette(activePalette);
+            updateManifest(activePalette);
+            return apply();
+        },
+
+        /**
+         * Fetch a palette JSON file and apply it.
+         */
+        loadPalette: function (url, options) {
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(palette => this.setPalette(palette, options))
+                .catch(err => console.warn('TailorBlend: unable to load palette', err));
+        },
+
+        getPalette: function () {
+            return activePalette;
         }
     };
 
-    // Set initial theme color
+    // Apply the stored palette (the inline script has already set its CSS)
+    activePalette = readStoredPalette();
+    if (activePalette) {
+        applyPalette(activePalette);
+        updateManifest(activePalette);
+    }
+
+    const initialTheme = resolveTheme(getPreference());
+    document.documentElement.setAttribute('data-theme', initialTheme);
     updateThemeColor(initialTheme);
 
     if (window.matchMedia) {
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', function (event) {
-            try {
-                const stored = window.localStorage ? localStorage.getItem('tb-theme') : null;
-                if (stored === 'light' || stored === 'dark') {
-                    return; // honor explicit preference
-                }
-            } catch {
-                // ignore
+        const onSystemChange = function () {
+            if (getPreference() === 'system') {
+                apply();
             }
+        };
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', onSystemChange);
+        window.matchMedia('(prefers-contrast: more)').addEventListener('change', onSystemChange);
+    }
 
-            const value = event.matches ? 'dark' : 'light';
-            document.documentElement.setAttribute('data-theme', value);
-            // Update PWA theme color when system preference changes
-            updateThemeColor(value);
-        });
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', loadConfiguredPalette);
+    } else {
+        loadConfiguredPalette();
     }
 })();
@@ -0,0 +1,289 @@
+/**
+ * TailorBlend Typewriter
+ *
+ * Client-side reveal of assistant answers. ChatMessageComponent renders an
+ * empty host element and sends the rendered markdown HTML once (`start`),
+ * or again as more of the answer arrives (`update`). Words are revealed on
+ * animation frames by copying the parsed tree node by node, so every frame
+ * is well-formed HTML - no half tags or unclosed lists.
+ *
+ * - prefers-reduced-motion: the answer is shown at once
+ * - tapping the message skips to the end
+ * - `OnTypewriterFinished` (or the given method) is invoked on the .NET
+ *   reference when the whole answer is visible, so the actions can appear
+ *
+ * Keys of answers already shown are remembered for the page, so a message
+ * re-created by the virtual list is not animated twice.
+ */
+
+(function () {
+    'use strict';
+
+    const WORDS_PER_SECOND = 45;
+    const MAX_DURATION_MS = 6000;    // Long answers speed up instead of typing for minutes
+    const SCROLL_CONTAINERS = '.tb-chat-messages, .tb-practitioner-main';
+
+    // Parsed via <template>, so nothing runs - these are dropped before display
+    const BLOCKED_ELEMENTS = 'script, style, iframe, object, embed, link, meta, base, form';
+
+    const states = new WeakMap();
+    const shownKeys = new Set();
+
+    function prefersReducedMotion() {
+        return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    // ============================================================================
+    // PARSING
+    // ============================================================================
+
+    function parse(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html || '';
+        const root = template.content;
+
+        root.querySelectorAll(BLOCKED_ELEMENTS).forEach(node => node.remove());
+        root.querySelectorAll('*').forEach(node => {
+            Array.from(node.attributes).forEach(attr => {
+                const name = attr.name.toLowerCase();
+                const value = attr.value.replace(/\s+/g, '').toLowerCase();
+                if (name.startsWith('on') || ((name === 'href' || name === 'src') && value.startsWith('javascript:'))) {
+                    node.removeAttribute(attr.name);
+                }
+            });
+        });
+
+        return root;
+    }
+
+    /**
+     * Flatten the tree into reveal steps in document order:
+     * {node, words} for text, {node} for empty elements (img, br, hr, ...).
+     */
+    function buildSteps(root) {
+        const steps = [];
+        let wordCount = 0;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType === Node.TEXT_NODE) {
+                // Word plus its trailing whitespace; leading whitespace is its own token
+                const words = node.data.match(/\S+\s*|\s+/g) || [];
+                steps.push({ node: node, words: words });
+                wordCount += words.length;
+            } else if (!node.firstChild) {
+                steps.push({ node: node, words: null });
+                wordCount += 1;
+            }
+        }
+
+        return { steps: steps, wordCount: wordCount };
+    }
+
+    // ============================================================================
+    // REVEAL
+    // ============================================================================
+
+    /**
+     * Shallow-copy a source node (and any missing ancestors) into the host.
+     */
+    function ensureCopy(state, node) {
+        if (node === state.root) return state.element;
+
+        let copy = state.copies.get(node);
+        if (!copy) {
+            copy = node.nodeType === Node.TEXT_NODE ? document.createTextNode('') : node.cloneNode(false);
+            ensureCopy(state, node.parentNode).appendChild(copy);
+            state.copies.set(node, copy);
+        }
+        return copy;
+    }
+
+    // Reveal words until `target` words are visible
+    function revealTo(state, target) {
+        while (state.revealed < target && state.stepIndex < state.steps.length) {
+            const step = state.steps[state.stepIndex];
+            const copy = ensureCopy(state, step.node);
+
+            if (!step.words) {
+                state.revealed++;
+                state.stepIndex++;
+                continue;
+            }
+
+            while (state.revealed < target && state.wordIndex < step.words.length) {
+                copy.data += step.words[state.wordIndex++];
+                state.revealed++;
+            }
+
+            if (state.wordIndex >= step.words.length) {
+                state.stepIndex++;
+                state.wordIndex = 0;
+            }
+        }
+    }
+
+    function reset(state, html) {
+        state.root = parse(html);
+        const { steps, wordCount } = buildSteps(state.root);
+        state.steps = steps;
+        state.wordCount = wordCount;
+        state.copies = new Map();
+        state.stepIndex = 0;
+        state.wordIndex = 0;
+
+        // Rebuild what was already visible from the new tree
+        const visible = state.revealed;
+        state.revealed = 0;
+        state.element.textContent = '';
+        revealTo(state, visible);
+    }
+
+    function followScroll(state) {
+        const container = state.element.closest(SCROLL_CONTAINERS);
+        if (container && window.scrollToBottom) {
+            window.scrollToBottom(container);
+        }
+    }
+
+    function tick(state, now) {
+        state.frame = 0;
+
+        // Removed by Blazor (disposed or scrolled out of the virtual list)
+        if (!state.element.isConnected) {
+            stop(state.element);
+            return;
+        }
+
+        const elapsed = now - state.startedAt;
+        const rate = Math.max(WORDS_PER_SECOND / 1000, state.wordCount / MAX_DURATION_MS);
+        revealTo(state, Math.floor(elapsed * rate));
+        followScroll(state);
+
+        if (state.revealed >= state.wordCount && state.complete) {
+            finish(state);
+        } else {
+            state.frame = requestAnimationFrame(time => tick(state, time));
+        }
+    }
+
+    function finish(state) {
+        if (state.frame) {
+            cancelAnimationFrame(state.frame);
+            state.frame = 0;
+        }
+
+        revealTo(state, Infinity);
+        followScroll(state);
+        stop(state.element);
+
+        if (state.dotNetRef) {
+            state.dotNetRef.invokeMethodAsync(state.methodName)
+                .catch(err => console.warn('[Typewriter] Failed to notify .NET:', err));
+        }
+    }
+
+    function stop(element) {
+        const state = states.get(element);
+        if (!state) return;
+
+        if (state.frame) cancelAnimationFrame(state.frame);
+        element.removeEventListener('click', state.onClick);
+        element.classList.remove('tb-typewriter--typing');
+        states.delete(element);
+    }
+
+    function skip(element) {
+        const state = states.get(element);
+        if (!state) return;
+
+        if (state.complete) {
+            finish(state);
+        } else {
+            // Nothing more to reveal until the rest arrives
+            state.startedAt = -Infinity;
+        }
+    }
+
+    // Expose API for Blazor
+    window.tbTypewriter = {
+        /**
+         * Reveal `html` inside `element` (which Blazor leaves empty).
+         * @param {HTMLElement} element - Host element
+         * @param {string} html - Rendered answer HTML
+         * @param {DotNetObjectReference} dotNetRef - Notified when everything is visible
+         * @param {string} methodName - [JSInvokable] method (no arguments)
+         * @param {Object} options - {key: message key, complete: false while more HTML will arrive}
+         * @returns {boolean} False if the answer was shown at once (no callback follows)
+         */
+        start: function (element, html, dotNetRef, methodName, options) {
+            if (!element) return false;
+            stop(element);
+
+            const opts = options || {};
+            const state = {
+                element: element,
+                dotNetRef: dotNetRef,
+                methodName: methodName || 'OnTypewriterFinished',
+                complete: opts.complete !== false,
+                revealed: 0,
+                frame: 0,
+                startedAt: performance.now()
+            };
+            reset(state, html);
+
+            const animate = !prefersReducedMotion() && !(opts.key && shownKeys.has(opts.key));
+            if (opts.key) shownKeys.add(opts.key);
+
+            if (!animate && state.complete) {
+                revealTo(state, Infinity);
+                return false;
+            }
+
+            state.onClick = () => skip(element);
+            element.addEventListener('click', state.onClick);
+            element.classList.add('tb-typewriter--typing');
+            states.set(element, state);
+
+            if (!animate) {
+                // Still waiting for the rest of the answer - show what we have
+                revealTo(state, Infinity);
+            }
+            state.frame = requestAnimationFrame(time => tick(state, time));
+            return true;
+        },
+
+        /**
+         * More of the answer arrived. Already visible words stay visible.
+         * @param {boolean} complete - True once this is the final HTML
+         */
+        update: function (element, html, complete) {
+            const state = states.get(element);
+            if (!state) return false;
+
+            reset(state, html);
+            state.complete = complete !== false;
+            if (prefersReducedMotion()) revealTo(state, Infinity);
+            return true;
+        },
+
+        /**
+         * Show the rest immediately (tap on the message does the same).
+         */
+        skip: function (element) {
+            skip(element);
+        },
+
+        isTyping: function (element) {
+            return states.has(element);
+        },
+
+        /**
+         * Stop without notifying .NET (component disposed).
+         */
+        stop: function (element) {
+            stop(element);
+        }
+    };
+})();
@@ -0,0 +1,268 @@
+/**
+ * TailorBlend Virtual Message List
+ *
+ * Windowing helper for long consultations. Blazor owns the message DOM, so
+ * nothing is removed here: this module measures rendered items, works out
+ * which range is visible (plus an overscan buffer) and tells the component
+ * through `OnVirtualRangeChanged(start, end, topSpacer, bottomSpacer)`.
+ * The component renders only that range between two spacer elements.
+ *
+ * Rendered items carry `data-tb-key` (stable per message). Heights are cached
+ * by key, so prepending older messages does not invalidate measurements, and
+ * the first visible item is used as a scroll anchor: when items above it are
+ * measured, grow while streaming or get prepended, scrollTop is corrected so
+ * the text under the reader's eyes does not move. While the user is pinned to
+ * the bottom (chat.js auto-scroll) following the stream takes precedence.
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULT_OPTIONS = {
+        minItems: 40,              // Below this everything is rendered
+        overscanPx: 1200,          // Buffer above and below the viewport
+        estimatedHeight: 160,      // Used until an item has been measured
+        rangeMethod: 'OnVirtualRangeChanged'
+    };
+
+    const lists = new Map();
+
+    function escapeKey(key) {
+        return window.CSS && CSS.escape ? CSS.escape(key) : String(key).replace(/"/g, '\\"');
+    }
+
+    function createVirtualList(container, dotNetRef, options) {
+        const settings = { ...DEFAULT_OPTIONS, ...(options || {}) };
+
+        let keys = [];
+        const heights = new Map();
+        let range = { start: 0, end: 0, top: 0, bottom: 0 };
+        let anchor = null;
+        let frame = 0;
+        let adjusting = false;
+
+        function getGap() {
+            return parseFloat(getComputedStyle(container).rowGap) || 0;
+        }
+
+        function averageHeight() {
+            if (heights.size === 0) return settings.estimatedHeight;
+            let total = 0;
+            heights.forEach(h => { total += h; });
+            return total / heights.size;
+        }
+
+        function heightOf(index, fallback) {
+            const h = heights.get(keys[index]);
+            return h === undefined ? fallback : h;
+        }
+
+        function isPinned() {
+            return !window.tbScroll || window.tbScroll.isPinned(container);
+        }
+
+        // ------------------------------------------------------------------------
+        // RANGE
+        // ------------------------------------------------------------------------
+
+        function computeRange() {
+            const count = keys.length;
+            if (count < settings.minItems) {
+                return { start: 0, end: count, top: 0, bottom: 0 };
+            }
+
+            const gap = getGap();
+            const fallback = averageHeight();
+            const viewTop = container.scrollTop - settings.overscanPx;
+            const viewBottom = container.scrollTop + container.clientHeight + settings.overscanPx;
+
+            let offset = 0;
+            let start = -1;
+            let end = count;
+            let top = 0;
+
+            for (let i = 0; i < count; i++) {
+                const slot = heightOf(i, fallback) + gap;
+                if (start === -1 && offset + slot > viewTop) {
+                    start = i;
+                    top = offset;
+                }
+                if (offset > viewBottom) {
+                    end = i;
+                    break;
+                }
+                offset += slot;
+            }
+
+            if (start === -1) start = Math.max(0, count - 1);
+
+            let bottom = 0;
+            for (let i = end; i < count; i++) {
+                bottom += heightOf(i, fallback) + gap;
+            }
+
+            // Each spacer is a flex child and adds its own gap - subtract it
+            return {
+                start: start,
+                end: Math.max(end, start + 1),
+                top: start > 0 ? Math.max(0, Math.round(top - gap)) : 0,
+                bottom: end < count ? Math.max(0, Math.round(bottom - gap)) : 0
+            };
+        }
+
+        function reportRange() {
+            const next = computeRange();
+            if (next.start === range.start && next.end === range.end &&
+                Math.abs(next.top - range.top) < 2 && Math.abs(next.bottom - range.bottom) < 2) {
+                return;
+            }
+
+            range = next;
+            dotNetRef.invokeMethodAsync(settings.rangeMethod, next.start, next.end, next.top, next.bottom)
+                .catch(err => console.warn('[VirtualList] Failed to report range:', err));
+        }
+
+        // ------------------------------------------------------------------------
+        // ANCHORING
+        // ------------------------------------------------------------------------
+
+        function captureAnchor() {
+            const containerTop = container.getBoundingClientRect().top;
+            const items = container.querySelectorAll('[data-tb-key]');
+
+            for (const item of items) {
+                const rect = item.getBoundingClientRect();
+                if (rect.bottom > containerTop) {
+                    anchor = { key: item.dataset.tbKey, offset: rect.top - containerTop };
+                    return;
+                }
+            }
+            anchor = null;
+        }
+
+        function restoreAnchor() {
+            if (!anchor || isPinned()) return;
+
+            const item = container.querySelector(`[data-tb-key="${escapeKey(anchor.key)}"]`);
+            if (!item) return;
+
+            const offset = item.getBoundingClientRect().top - container.getBoundingClientRect().top;
+            const delta = offset - anchor.offset;
+            if (Math.abs(delta) > 0.5) {
+                adjusting = true;
+                container.scrollTop += delta;
+            }
+        }
+
+        // ------------------------------------------------------------------------
+        // OBSERVERS
+        // ------------------------------------------------------------------------
+
+        function schedule() {
+            if (!frame) {
+                frame = requestAnimationFrame(() => {
+                    frame = 0;
+                    restoreAnchor();
+                    reportRange();
+                });
+            }
+        }
+
+        const resizeObserver = new ResizeObserver(entries => {
+            entries.forEach(entry => {
+                const key = entry.target.dataset.tbKey;
+                const size = entry.borderBoxSize && entry.borderBoxSize[0];
+                heights.set(key, size ? size.blockSize : entry.target.getBoundingClientRect().height);
+            });
+            schedule();
+        });
+
+        function observeItems() {
+            container.querySelectorAll('[data-tb-key]').forEach(item => resizeObserver.observe(item));
+        }
+
+        // Blazor adds/removes items as the range changes
+        const mutationObserver = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node instanceof Element && node.dataset.tbKey !== undefined) {
+                        resizeObserver.observe(node);
+                    }
+                });
+                mutation.removedNodes.forEach(node => {
+                    if (node instanceof Element && node.dataset.tbKey !== undefined) {
+                        resizeObserver.unobserve(node);
+                    }
+                });
+            });
+            schedule();
+        });
+
+        function handleScroll() {
+            // Our own anchor correction should not move the anchor
+            if (adjusting) {
+                adjusting = false;
+            } else {
+                captureAnchor();
+            }
+            schedule();
+        }
+
+        // Anchoring is done here - the browser's own scroll anchoring would double-correct
+        container.dataset.tbVirtual = 'true';
+        container.addEventListener('scroll', handleScroll, { passive: true });
+        mutationObserver.observe(container, { childList: true });
+        observeItems();
+
+        return {
+            /**
+             * New message list (keys in order). Called when messages are added or prepended.
+             * @param {string[]} nextKeys - Stable message keys
+             */
+            update: function (nextKeys) {
+                keys = nextKeys || [];
+                const known = new Set(keys);
+                heights.forEach((_, key) => {
+                    if (!known.has(key)) heights.delete(key);
+                });
+                schedule();
+            },
+
+            destroy: function () {
+                if (frame) cancelAnimationFrame(frame);
+                container.removeEventListener('scroll', handleScroll);
+                resizeObserver.disconnect();
+                mutationObserver.disconnect();
+                delete container.dataset.tbVirtual;
+            }
+        };
+    }
+
+    // Expose API for Blazor
+    window.tbVirtualList = {
+        /**
+         * Start windowing a message container.
+         * @param {DotNetObjectReference} dotNetRef - Component with OnVirtualRangeChanged
+         * @param {HTMLElement} container - Scrollable messages container
+         * @param {Object} options - Overrides for DEFAULT_OPTIONS
+         */
+        attach: function (dotNetRef, container, options) {
+            if (!container) return;
+            this.detach(container);
+            lists.set(container, createVirtualList(container, dotNetRef, options));
+        },
+
+        update: function (container, keys) {
+            const list = lists.get(container);
+            if (list) list.update(keys);
+        },
+
+        detach: function (container) {
+            const list = lists.get(container);
+            if (list) {
+                list.destroy();
+                lists.delete(container);
+            }
+        }
+    };
+})();
@@ -0,0 +1,166 @@
+// Generated by wwwroot/tools/generate-precache-manifest.js - do not edit by hand.
+self.__TB_PRECACHE_MANIFEST = {
+  "version": "5f6915120c96",
+  "assets": [
+    {
+      "url": "/css/fontawesome.min.css",
+      "revision": "e2b4c87e8e46"
+    },
+    {
+      "url": "/css/tailorblend.css",
+      "revision": "71bea56ae2f7"
+    },
+    {
+      "url": "/css/tailwind.output.css",
+      "revision": "51067ab09523"
+    },
+    {
+      "url": "/webfonts/fa-brands-400.woff2",
+      "revision": "061dd5c33345"
+    },
+    {
+      "url": "/webfonts/fa-regular-400.woff2",
+      "revision": "81159a6b3687"
+    },
+    {
+      "url": "/webfonts/fa-solid-900.woff2",
+      "revision": "bdd7887ef769"
+    },
+    {
+      "url": "/webfonts/fa-v4compatibility.woff2",
+      "revision": "c18e29ec6e1d"
+    },
+    {
+      "url": "/icons/apple-touch-icon.png",
+      "revision": "6014fdef2ead"
+    },
+    {
+      "url": "/icons/favicon-16.png",
+      "revision": "ef43338fdf2b"
+    },
+    {
+      "url": "/icons/favicon-32.png",
+      "revision": "2779ab5b2029"
+    },
+    {
+      "url": "/icons/icon-192.png",
+      "revision": "ee1755415fd9"
+    },
+    {
+      "url": "/icons/icon-512.png",
+      "revision": "57eb9c195be2"
+    },
+    {
+      "url": "/icons/icon.svg",
+      "revision": "19f70d34e73c"
+    },
+    {
+      "url": "/js/agent-timeline.js",
+      "revision": "876258f7344d"
+    },
+    {
+      "url": "/js/attachment-drop.js",
+      "revision": "8e27eddb7cd2"
+    },
+    {
+      "url": "/js/camera-capture.js",
+      "revision": "bee1b2a15c8c"
+    },
+    {
+      "url": "/js/chat-outbox.js",
+      "revision": "2a8171dac9bb"
+    },
+    {
+      "url": "/js/chat.js",
+      "revision": "7bfcf60dda37"
+    },
+    {
+      "url": "/js/download.js",
+      "revision": "b99e61f1eb50"
+    },
+    {
+      "url": "/js/draft-store.js",
+      "revision": "ae3bd0118999"
+    },
+    {
+      "url": "/js/file-utils.js",
+      "revision": "f350060c6328"
+    },
+    {
+      "url": "/js/gestures.js",
+      "revision": "e85dc36c1ac3"
+    },
+    {
+      "url": "/js/install-sheet.js",
+      "revision": "95de2796afa2"
+    },
+    {
+      "url": "/js/lightbox.js",
+      "revision": "489a8074c58c"
+    },
+    {
+      "url": "/js/message-menu.js",
+      "revision": "870788377c36"
+    },
+    {
+      "url": "/js/mobile-utils.js",
+      "revision": "942e46a4ac4e"
+    },
+    {
+      "url": "/js/pdf-builder.js",
+      "revision": "90ea2e8e6191"
+    },
+    {
+      "url": "/js/pwa-install.js",
+      "revision": "6dca4ff0a28e"
+    },
+    {
+      "url": "/js/reconnect.js",
+      "revision": "c443727de13e"
+    },
+    {
+      "url": "/js/shortcuts.js",
+      "revision": "3f3d6787e96a"
+    },
+    {
+      "url": "/js/sw-register.js",
+      "revision": "f8ac30f9ece4"
+    },
+    {
+      "url": "/js/tab-sync.js",
+      "revision": "4702c9cf2086"
+    },
+    {
+      "url": "/js/telemetry.js",
+      "revision": "ec2d4468f2b4"
+    },
+    {
+      "url": "/js/theme.js",
+      "revision": "8243fce04212"
+    },
+    {
+      "url": "/js/typewriter.js",
+      "revision": "b3bdeed6942b"
+    },
+    {
+      "url": "/js/virtual-list.js",
+      "revision": "343c6e10aa19"
+    },
+    {
+      "url": "/lib/pdfjs/pdf.min.mjs",
+      "revision": "44ec6f011027"
+    },
+    {
+      "url": "/lib/pdfjs/pdf.worker.min.mjs",
+      "revision": "bd88805178a2"
+    },
+    {
+      "url": "/offline.html",
+      "revision": "da8853ba0bdc"
+    },
+    {
+      "url": "/manifest.json",
+      "revision": "f8cd61e0f3e8"
+    }
+  ]
+};
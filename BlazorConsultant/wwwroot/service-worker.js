@@ -1,30 +1,102 @@
-// TailorBlend PWA - Minimal Service Worker
-// Purpose: Enable "Add to Home Screen" on iOS (requires SW)
-// Strategy: Network-first, no aggressive caching (Blazor Server requires live connection)
+// TailorBlend PWA - Service Worker
+// Purpose: Enable "Add to Home Screen" on iOS (requires SW) and keep the static
+//          app shell (CSS, fonts, icons, JS) available on weak connections
+// Strategy:
+//   - Precache hashed static assets listed in precache-manifest.js (generated at build)
+//   - Stale-while-revalidate for /css, /webfonts and /icons
+//   - Network-first with cache fallback for everything else
+//   - Network-only for /_blazor and /api/ (Blazor Server requires a live connection)
+//   - Background Sync wakes open pages to replay the offline chat outbox (chat-outbox.js)
 
 const CACHE_PREFIX = 'tailorblend-';
-const CACHE_VERSION = 'v1';
-const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
 const OFFLINE_URL = '/offline.html';
 
-// Minimal assets to cache (only for offline fallback)
-const CRITICAL_ASSETS = [
-  '/offline.html',
-  '/icons/icon-192.png'
-];
+// Fallback used when the generated manifest is missing (e.g. a dev build without npm)
+const FALLBACK_MANIFEST = {
+  version: 'dev',
+  assets: [
+    { url: '/offline.html', revision: null },
+    { url: '/icons/icon-192.png', revision: null }
+  ]
+};
 
-// Install event - cache critical assets only
+try {
+  importScripts('/precache-manifest.js');
+} catch (err) {
+  console.warn('[ServiceWorker] precache-manifest.js not found, using fallback manifest');
+}
+
+const PRECACHE_MANIFEST = self.__TB_PRECACHE_MANIFEST || FALLBACK_MANIFEST;
+
+// Cache names derive from the manifest hash, so every deploy with changed assets
+// gets fresh caches and activation evicts the previous ones
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${PRECACHE_MANIFEST.version}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime-${PRECACHE_MANIFEST.version}`;
+const CURRENT_CACHES = [PRECACHE_NAME, RUNTIME_CACHE_NAME];
+
+const STALE_WHILE_REVALIDATE_PATHS = ['/css/', '/webfonts/', '/icons/'];
+
+// Must match SYNC_TAG in js/chat-outbox.js
+const OUTBOX_SYNC_TAG = 'tb-outbox-replay';
+
+// Install event - precache the app shell.
+// The new worker then waits until the page sends SKIP_WAITING (user accepted the
+// update banner), so an open consultation keeps the build it was served with.
 self.addEventListener('install', event => {
-  console.log('[ServiceWorker] Install');
+  console.log('[ServiceWorker] Install', PRECACHE_MANIFEST.version);
 
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(CRITICAL_ASSETS))
-      .then(() => self.skipWaiting())
+    caches.open(PRECACHE_NAME)
+      .then(cache => cache.addAll(
+        // The revision query busts the HTTP cache so we never precache a stale copy
+        PRECACHE_MANIFEST.assets.map(asset => new Request(
+          asset.revision ? `${asset.url}?v=${asset.revision}` : asset.url,
+          { cache: 'reload' }
+        ))
+      ).then(() => stripRevisionQueries(cache)))
   );
 });
 
-// Activate event - clean up old caches
+// Message event - activate a waiting worker on request from sw-register.js
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    console.log('[ServiceWorker] Skip waiting requested');
+    self.skipWaiting();
+  }
+});
+
+// Sync event - connectivity is back, ask open pages to replay queued messages.
+// Messages travel over the Blazor circuit, so replay has to happen in a page;
+// with no page open the queue is replayed on the next visit instead.
+self.addEventListener('sync', event => {
+  if (event.tag !== OUTBOX_SYNC_TAG) {
+    return;
+  }
+
+  console.log('[ServiceWorker] Outbox sync');
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(clients => clients.forEach(client => client.postMessage({ type: 'OUTBOX_REPLAY' })))
+  );
+});
+
+// Store precached responses under their plain URL. The ?v= revision only busts the HTTP
+// cache during install - it is not the asp-append-version hash pages request.
+async function stripRevisionQueries(cache) {
+  const requests = await cache.keys();
+  await Promise.all(requests.map(async request => {
+    const url = new URL(request.url);
+    if (!url.search) {
+      return;
+    }
+    const response = await cache.match(request);
+    url.search = '';
+    await cache.put(url.toString(), response);
+    await cache.delete(request);
+  }));
+}
+
+// Activate event - evict caches from previous manifests
 self.addEventListener('activate', event => {
   console.log('[ServiceWorker] Activate');
 
@@ -32,7 +104,7 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames
-          .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+          .filter(name => name.startsWith(CACHE_PREFIX) && !CURRENT_CACHES.includes(name))
           .map(name => caches.delete(name))
       );
     })
@@ -40,7 +112,7 @@ self.addEventListener('activate', event => {
   );
 });
 
-// Fetch event - network first, offline fallback only
+// Fetch event - route by path
 self.addEventListener('fetch', event => {
   // Skip non-GET requests
   if (event.request.method !== 'GET') {
@@ -49,6 +121,11 @@ self.addEventListener('fetch', event => {
 
   const url = new URL(event.request.url);
 
+  // Only handle same-origin requests
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
   // Skip Blazor SignalR connections (critical for Blazor Server)
   if (url.pathname.startsWith('/_blazor')) {
     return;
@@ -59,19 +136,73 @@ self.addEventListener('fetch', event => {
     return;
   }
 
-  // Network-first strategy for everything else
-  event.respondWith(
-    fetch(event.request)
-      .catch(() => {
-        // Only serve offline page for navigation requests
-        if (event.request.mode === 'navigate') {
-          return caches.match(OFFLINE_URL);
-        }
-
-        // Try cache for assets (icons, CSS)
-        return caches.match(event.request);
-      })
-  );
+  if (STALE_WHILE_REVALIDATE_PATHS.some(prefix => url.pathname.startsWith(prefix))) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
+  event.respondWith(networkFirst(event.request));
 });
 
+// Serve from cache immediately and refresh the runtime cache in the background.
+// Entries are keyed by the full URL: asp-append-version (?v=hash) changes the URL
+// whenever the file changes, so a miss on a new version goes to the network rather
+// than serving the previous file. An older copy is only used when the network fails.
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cached = await caches.match(request);
+
+  const network = fetch(request)
+    .then(response => {
+      if (response && response.ok) {
+        event.waitUntil(putRuntime(request, response.clone()));
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => undefined));
+    return cached;
+  }
+
+  try {
+    return await network;
+  } catch (err) {
+    const stale = await caches.match(request, { ignoreSearch: true });
+    if (stale) {
+      return stale;
+    }
+    throw err;
+  }
+}
+
+// Store a runtime response and drop other versions of the same file
+async function putRuntime(request, response) {
+  const cache = await caches.open(RUNTIME_CACHE_NAME);
+  const previous = await cache.keys(request, { ignoreSearch: true });
+  await Promise.all(previous
+    .filter(key => key.url !== request.url)
+    .map(key => cache.delete(key)));
+  await cache.put(request, response);
+}
+
+// Network first, falling back to the cache (and the offline page for navigations)
+async function networkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    // Only serve offline page for navigation requests
+    if (request.mode === 'navigate') {
+      return caches.match(OFFLINE_URL);
+    }
+
+    // Try cache for precached assets (JS, manifest)
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+      return cached;
+    }
+    throw err;
+  }
+}
+
 console.log('[SW] Service worker loaded');
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * TailorBlend Precache Manifest Generator
+ * Hashes the static assets under wwwroot and writes precache-manifest.js,
+ * which service-worker.js imports. The manifest version (a hash of every
+ * asset revision) names the service worker caches, so any asset change
+ * produces new caches and the old ones are evicted on activation.
+ *
+ * Runs as part of the build (npm run build:precache, after build:css).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const wwwroot = path.join(__dirname, '..');
+const outputFile = path.join(wwwroot, 'precache-manifest.js');
+
+// Directories/files to precache, relative to wwwroot
+const includes = [
+    { dir: 'css', extensions: ['.css'] },
+    { dir: 'webfonts', extensions: ['.woff2'] },
+    { dir: 'icons', extensions: ['.png', '.svg'] },
+    { dir: 'js', extensions: ['.js'] },
+    { dir: 'lib/pdfjs', extensions: ['.mjs'] },     // PDF previews in file-utils.js, needed offline
+    { file: 'offline.html' },
+    { file: 'manifest.json' }
+];
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 12);
+}
+
+function collectAssets() {
+    const assets = [];
+
+    for (const entry of includes) {
+        if (entry.file) {
+            const filePath = path.join(wwwroot, entry.file);
+            if (fs.existsSync(filePath)) {
+                assets.push({ url: `/${entry.file}`, revision: hashFile(filePath) });
+            }
+            continue;
+        }
+
+        const dirPath = path.join(wwwroot, entry.dir);
+        if (!fs.existsSync(dirPath)) {
+            continue;
+        }
+
+        fs.readdirSync(dirPath)
+            .filter(name => entry.extensions.includes(path.extname(name)))
+            .sort()
+            .forEach(name => {
+                assets.push({
+                    url: `/${entry.dir}/${name}`,
+                    revision: hashFile(path.join(dirPath, name))
+                });
+            });
+    }
+
+    return assets;
+}
+
+function main() {
+    const assets = collectAssets();
+    const version = crypto.createHash('sha256')
+        .update(assets.map(a => `${a.url}:${a.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    const contents =
+        '// Generated by wwwroot/tools/generate-precache-manifest.js - do not edit by hand.\n' +
+        `self.__TB_PRECACHE_MANIFEST = ${JSON.stringify({ version, assets }, null, 2)};\n`;
+
+    fs.writeFileSync(outputFile, contents);
+    console.log(`✅ Precache manifest ${version} written with ${assets.length} assets`);
+}
+
+main();